@@ -1,5 +1,19 @@
 const express = require('express');
 const cors = require('cors');
+const mongoose = require('mongoose');
+const path = require('path');
+// Resolved from this file, since the function's working directory isn't the project root
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+// Without a database, queries fail straight away instead of waiting for a connection that
+// never comes, so the chatbot answers from its built-in flow without stalling every message
+mongoose.set('bufferCommands', false);
+
+const chatbotRoutes = require('../routes/chatbotRoutes');
+const { checkSecrets } = require('../middleware/auth');
+
+// Fail on cold start rather than signing chat session tokens with a missing secret
+checkSecrets();
 
 const app = express();
 
@@ -50,46 +64,29 @@ app.get('/api/test', (req, res) => {
   });
 });
 
-// Chatbot endpoint
-app.post('/api/chatbot/message', (req, res) => {
-  try {
-    const { message } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Message is required'
-      });
-    }
-
-    // Simple chatbot responses
-    const responses = [
-      "Hello! I'm your interior design assistant. How can I help you today?",
-      "Great question! I'd be happy to help with your interior design needs.",
-      "That's an interesting design challenge. Let me think about the best solution.",
-      "I understand you're looking for interior design advice. What specific area are you working on?",
-      "Thanks for reaching out! I'm here to help with all your interior design questions.",
-      "I'd love to help you with your interior design project! What style are you thinking about?",
-      "That sounds exciting! Let's work together to create your perfect space."
-    ];
-
-    const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-
-    res.status(200).json({
-      status: 'success',
-      message: 'Message received successfully',
-      response: randomResponse,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Chatbot error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Sorry, there was an error processing your message. Please try again.'
+// Reuse one MongoDB connection across serverless invocations. After a failed attempt the next
+// one waits a minute, so requests meanwhile aren't each held up by the connection timeout.
+const RECONNECT_DELAY_MS = 60 * 1000;
+let mongoConnection = null;
+let lastFailedAt = 0;
+const connectToMongoDB = () => {
+  if (!mongoConnection && process.env.MONGODB_URI && Date.now() - lastFailedAt > RECONNECT_DELAY_MS) {
+    mongoConnection = mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 }).catch((error) => {
+      console.warn('MongoDB connection failed:', error.message);
+      mongoConnection = null;
+      lastFailedAt = Date.now();
     });
   }
-});
+  return mongoConnection;
+};
+
+// Chatbot endpoints, shared with the main server so sessions behave the same in both deployments.
+// Handoff to a person is not available here: the queue lives in one process's memory and agents
+// join over Socket.IO, which serverless functions don't serve.
+app.use('/api/chatbot', async (req, res, next) => {
+  await connectToMongoDB();
+  next();
+}, chatbotRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,193 @@
+// Built-in consultation flow, used until an admin activates a flow stored in MongoDB
+const { BUDGET_RANGES, BUDGET_LIMITS, TIMELINE_OPTIONS, TIMELINE_LIMITS } = require('./projectOptions');
+
+// Design styles with descriptions
+const DESIGN_STYLES = {
+  modern: 'Clean lines, minimal decoration, and a focus on function',
+  traditional: 'Classic elegance with rich colors and ornate details',
+  contemporary: 'Current trends with clean, sophisticated aesthetics',
+  minimalist: 'Simple, uncluttered spaces with essential elements only',
+  industrial: 'Raw materials, exposed elements, and urban aesthetics',
+  scandinavian: 'Light, airy spaces with natural materials and functionality',
+  bohemian: 'Eclectic, artistic, and free-spirited design',
+  coastal: 'Relaxed, beach-inspired with light colors and natural textures',
+  farmhouse: 'Rustic charm with modern comfort and vintage elements',
+  'mid-century': 'Retro style from the 1950s-60s with clean lines',
+  'art-deco': 'Luxurious, geometric patterns and bold colors',
+  other: 'Custom or mixed style approach'
+};
+
+const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Steps that ask which space is being designed all fill roomType and lead to the style question
+const spaceStep = (key, prompt, options) => ({
+  key,
+  prompt,
+  entity: 'choice',
+  field: 'roomType',
+  options: options.map(([value, synonyms = []]) => ({ value, label: capitalize(value), synonyms })),
+  allowFreeText: true,
+  acknowledgement: 'Perfect! That sounds like a wonderful space to design.',
+  next: 'design_style'
+});
+
+const DEFAULT_CHAT_FLOW = {
+  key: 'consultation',
+  version: 0,
+  name: 'Design consultation',
+  description: 'Collects the project type, space, style, budget, timeline, size and contact details',
+  startStep: 'greeting',
+  steps: [
+    {
+      key: 'greeting',
+      entity: 'none',
+      acknowledgement: "Hello! 👋 I'm your interior design assistant. I'm here to help you plan your perfect space!",
+      next: 'project_type'
+    },
+    {
+      key: 'project_type',
+      prompt: 'What type of project are you thinking about? (residential, commercial, or renovation?)',
+      retryPrompt: "I'd love to help! What type of project are you planning? You can choose from:\n" +
+        '• Residential (homes, apartments)\n• Commercial (offices, retail spaces)\n• Renovation (updating existing spaces)',
+      entity: 'choice',
+      field: 'projectType',
+      options: [
+        { value: 'residential', label: 'Residential', synonyms: ['home', 'house', 'apartment', 'condo'], reply: 'Great choice! 🏠 Residential projects are our specialty.' },
+        { value: 'commercial', label: 'Commercial', synonyms: ['office', 'business', 'retail', 'restaurant', 'store'], reply: 'Excellent! 🏢 Commercial spaces require special attention to functionality and branding.' },
+        { value: 'renovation', label: 'Renovation', synonyms: ['renovate', 'renovating', 'remodel', 'remodeling', 'remodelling'], reply: 'Renovations are exciting! 🔨' }
+      ],
+      branches: [
+        { field: 'projectType', values: ['commercial'], next: 'commercial_space' },
+        { field: 'projectType', values: ['renovation'], next: 'renovation_area' }
+      ],
+      next: 'room_type'
+    },
+    spaceStep(
+      'room_type',
+      'Which room are you looking to design? (living room, bedroom, kitchen, bathroom, etc.)',
+      [['living room', ['lounge', 'family room']], ['bedroom'], ['kitchen'], ['bathroom'], ['dining room'], ['office', ['study']], ['basement'], ['outdoor', ['patio', 'garden', 'balcony']]]
+    ),
+    spaceStep(
+      'commercial_space',
+      'What type of commercial space? (office, retail, restaurant, etc.)',
+      [['office', ['workspace', 'coworking']], ['retail', ['shop', 'store', 'boutique']], ['restaurant', ['cafe', 'bar']], ['hospitality', ['hotel', 'lobby']]]
+    ),
+    spaceStep(
+      'renovation_area',
+      'Which area are you renovating? (kitchen, bathroom, entire home, etc.)',
+      [['kitchen'], ['bathroom'], ['entire home', ['whole home', 'whole house', 'entire house']], ['living room'], ['bedroom'], ['basement']]
+    ),
+    {
+      key: 'design_style',
+      prompt: "What's your preferred design style? Here are some popular options:\n\n{{options}}",
+      retryPrompt: "I'd love to know your design preference! Which style appeals to you most? You can choose from modern, traditional, contemporary, minimalist, industrial, scandinavian, bohemian, coastal, farmhouse, mid-century, art-deco, or other.",
+      entity: 'choice',
+      field: 'designStyle',
+      options: Object.entries(DESIGN_STYLES).map(([value, description]) => ({
+        value,
+        label: capitalize(value),
+        synonyms: value.includes('-') ? [value.replace(/-/g, ' ')] : [],
+        description,
+        matchAnywhere: value !== 'other'
+      })),
+      acknowledgement: 'Beautiful choice! {{designStyle.label}}: {{designStyle.description}}.',
+      next: 'budget'
+    },
+    {
+      key: 'budget',
+      prompt: "Now, let's talk budget. What's your budget range for this project?\n\n{{options}}",
+      retryPrompt: "Understanding your budget helps us plan the perfect project! What's your budget range? You can choose from under $10,000, $10,000-$25,000, $25,000-$50,000, $50,000-$100,000, or over $100,000.",
+      entity: 'choice',
+      field: 'budget',
+      options: Object.entries(BUDGET_RANGES).map(([value, label]) => ({
+        value,
+        label,
+        synonyms: [value.replace(/-/g, ' ')],
+        min: BUDGET_LIMITS[value].min,
+        max: BUDGET_LIMITS[value].max
+      })),
+      unit: 'money',
+      acknowledgement: 'Perfect! {{budget.label}} is a great budget range.',
+      next: 'timeline'
+    },
+    {
+      key: 'timeline',
+      prompt: "What's your timeline for this project?\n\n{{options}}",
+      retryPrompt: 'Timeline is important for planning! When would you like to complete this project? You can choose from 1-3 months, 3-6 months, 6-12 months, or over 12 months.',
+      entity: 'choice',
+      field: 'timeline',
+      options: Object.entries(TIMELINE_OPTIONS).map(([value, label]) => ({
+        value,
+        label,
+        synonyms: [value.replace(/-/g, ' ')],
+        min: TIMELINE_LIMITS[value].min,
+        max: TIMELINE_LIMITS[value].max
+      })),
+      unit: 'months',
+      acknowledgement: 'Great! {{timeline.label}} gives us good time to plan.',
+      next: 'room_size'
+    },
+    {
+      key: 'room_size',
+      prompt: "What's the approximate size of the space? (e.g., 500 sq ft, small bedroom, large open concept, etc.)",
+      entity: 'text',
+      field: 'roomSize',
+      unit: 'area',
+      acknowledgement: 'Thanks!',
+      next: 'contact_name'
+    },
+    {
+      key: 'contact_name',
+      prompt: "Now I'd love to get your contact information so our team can reach out with a personalized proposal. What's your name?",
+      entity: 'name',
+      field: 'name',
+      acknowledgement: 'Nice to meet you, {{name}}!',
+      next: 'contact_email'
+    },
+    {
+      key: 'contact_email',
+      prompt: "What's your email address so we can send you our proposal?",
+      retryPrompt: "That doesn't look like an email address. What's the best email to reach you at?",
+      entity: 'email',
+      field: 'email',
+      acknowledgement: 'Perfect!',
+      next: 'contact_phone'
+    },
+    {
+      key: 'contact_phone',
+      prompt: "And what's the best phone number to reach you on?",
+      retryPrompt: "That doesn't look like a phone number. What number can our team call you on? (e.g., 555-123-4567)",
+      entity: 'phone',
+      field: 'phone',
+      acknowledgement: 'Thanks!',
+      next: 'additional_notes'
+    },
+    {
+      key: 'additional_notes',
+      prompt: 'Finally, do you have any specific requirements or additional notes about your project? (e.g., must-have features, special considerations, etc.)',
+      entity: 'text',
+      field: 'additionalNotes',
+      offerConsultation: true,
+      next: 'review'
+    },
+    {
+      key: 'review',
+      prompt: "Here's what I have so far:\n\n{{summary}}\n\nDoes everything look right? Reply \"yes\" to send it to our team, or tell me what to change (for example \"change the budget to 50k\").",
+      retryPrompt: 'Reply "yes" if everything looks right, or tell me which detail to change, for example "budget" or "change the style to industrial".',
+      entity: 'review',
+      next: 'complete'
+    }
+  ],
+  completionMessage: '🎉 Perfect! Thank you for sharing your project details with me. ' +
+    "Our team will review your requirements and get back to you within 24 hours with a personalized proposal. We're excited to help bring your vision to life! 🏠✨",
+  nextSteps: [
+    'Our design team will review your requirements',
+    "You'll receive a personalized proposal within 24 hours",
+    "We'll schedule a consultation to discuss your project in detail"
+  ]
+};
+
+module.exports = {
+  DESIGN_STYLES,
+  DEFAULT_CHAT_FLOW
+};
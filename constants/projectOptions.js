@@ -0,0 +1,42 @@
+// Project options shared by the chatbot, leads, designs and quotes
+
+// Budget ranges offered to clients
+const BUDGET_RANGES = {
+  'under-10k': 'Under $10,000',
+  '10k-25k': '$10,000 - $25,000',
+  '25k-50k': '$25,000 - $50,000',
+  '50k-100k': '$50,000 - $100,000',
+  'over-100k': 'Over $100,000'
+};
+
+// Numeric bounds of each budget range; `max` is exclusive and open-ended when null
+const BUDGET_LIMITS = {
+  'under-10k': { min: 0, max: 10000 },
+  '10k-25k': { min: 10000, max: 25000 },
+  '25k-50k': { min: 25000, max: 50000 },
+  '50k-100k': { min: 50000, max: 100000 },
+  'over-100k': { min: 100000, max: null }
+};
+
+// Timeline options
+const TIMELINE_OPTIONS = {
+  '1-3-months': '1-3 months',
+  '3-6-months': '3-6 months',
+  '6-12-months': '6-12 months',
+  'over-12-months': 'Over 12 months'
+};
+
+// Months covered by each timeline option; `max` is exclusive, so "3 months" counts as 1-3 months
+const TIMELINE_LIMITS = {
+  '1-3-months': { min: 0, max: 4 },
+  '3-6-months': { min: 4, max: 7 },
+  '6-12-months': { min: 7, max: 13 },
+  'over-12-months': { min: 13, max: null }
+};
+
+module.exports = {
+  BUDGET_RANGES,
+  BUDGET_LIMITS,
+  TIMELINE_OPTIONS,
+  TIMELINE_LIMITS
+};
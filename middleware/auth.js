@@ -0,0 +1,185 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '7d';
+const REFRESH_TOKEN_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
+const CHAT_SESSION_EXPIRE = process.env.CHAT_SESSION_EXPIRE || '30d';
+const PORTAL_SESSION_EXPIRE = process.env.PORTAL_SESSION_EXPIRE || '7d';
+
+// JWT_SECRET is required; the other secrets fall back to values derived from it
+const getAccessSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  return process.env.JWT_SECRET;
+};
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || `${getAccessSecret()}_refresh`;
+const getChatSessionSecret = () => process.env.CHAT_SESSION_SECRET || `${getAccessSecret()}_chat`;
+const getPortalSessionSecret = () => process.env.PORTAL_SESSION_SECRET || `${getAccessSecret()}_portal`;
+
+// Called at startup so a missing secret stops the app instead of signing tokens with "undefined"
+const checkSecrets = () => {
+  getAccessSecret();
+};
+
+// Sign a short-lived access token for a user
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), role: user.role, version: user.tokenVersion },
+    getAccessSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+};
+
+// Sign a long-lived refresh token for a user
+const signRefreshToken = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), version: user.tokenVersion, type: 'refresh' },
+    getRefreshSecret(),
+    { expiresIn: REFRESH_TOKEN_EXPIRE }
+  );
+};
+
+// Issue both tokens for a user
+const issueTokens = (user) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user),
+  expiresIn: ACCESS_TOKEN_EXPIRE
+});
+
+// Verify a refresh token and return its payload
+const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, getRefreshSecret());
+  if (payload.type !== 'refresh') {
+    throw new Error('Invalid token type');
+  }
+  return payload;
+};
+
+// Sign a token proving ownership of a chat session
+const signChatSessionToken = (sessionId, userId) => {
+  return jwt.sign(
+    { sessionId, userId, type: 'chat' },
+    getChatSessionSecret(),
+    { expiresIn: CHAT_SESSION_EXPIRE }
+  );
+};
+
+// Verify a chat session token and return its payload
+const verifyChatSessionToken = (token) => {
+  const payload = jwt.verify(token, getChatSessionSecret());
+  if (payload.type !== 'chat') {
+    throw new Error('Invalid token type');
+  }
+  return payload;
+};
+
+// Sign a client portal session scoped to the client's email
+const signPortalToken = (email) => {
+  return jwt.sign(
+    { email, type: 'portal' },
+    getPortalSessionSecret(),
+    { expiresIn: PORTAL_SESSION_EXPIRE }
+  );
+};
+
+// Issue a client portal session
+const issuePortalSession = (email) => ({
+  token: signPortalToken(email),
+  expiresIn: PORTAL_SESSION_EXPIRE
+});
+
+// Verify a client portal token and return its payload
+const verifyPortalToken = (token) => {
+  const payload = jwt.verify(token, getPortalSessionSecret());
+  if (payload.type !== 'portal') {
+    throw new Error('Invalid token type');
+  }
+  return payload;
+};
+
+// Verify an access token and return the active user it belongs to, or null
+const verifyAccessToken = async (token) => {
+  try {
+    const payload = jwt.verify(token, getAccessSecret());
+    const user = await User.findById(payload.id);
+
+    if (!user || !user.isActive || user.tokenVersion !== payload.version) {
+      return null;
+    }
+
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Extract the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+// Require a valid access token and attach the user to the request
+const protect = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Authentication required'
+    });
+  }
+
+  const user = await verifyAccessToken(token);
+
+  if (!user) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or expired token'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Require a valid client portal token and attach the client to the request
+const protectClient = (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = verifyPortalToken(token);
+    req.client = { email: payload.email };
+  } catch (error) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or expired token'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  checkSecrets,
+  protect,
+  protectClient,
+  issueTokens,
+  verifyRefreshToken,
+  verifyAccessToken,
+  signChatSessionToken,
+  verifyChatSessionToken,
+  issuePortalSession,
+  getBearerToken
+};
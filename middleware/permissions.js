@@ -0,0 +1,360 @@
+const Design = require('../models/Design');
+const User = require('../models/User');
+const Lead = require('../models/Lead');
+const Appointment = require('../models/Appointment');
+const Quote = require('../models/Quote');
+const Project = require('../models/Project');
+
+const ROLES = ['owner', 'admin', 'designer', 'editor'];
+
+// Helpers used by the policy conditions below
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const ownsDesign = async (req) => {
+  const design = await Design.findById(req.params.id).select('teamMember');
+  // Let the route answer with its own 404
+  if (!design) return true;
+  return sameId(design.teamMember, req.user.teamMember);
+};
+
+const keepsOwnTeamMember = (req) => {
+  return req.body.teamMember === undefined || sameId(req.body.teamMember, req.user.teamMember);
+};
+
+const isOwnTeamMember = (req) => sameId(req.params.id, req.user.teamMember);
+
+// Editors may re-caption and re-order existing images but not add, remove or swap them
+const onlyImageCaptionsAndOrder = async (req) => {
+  if (req.body.images === undefined) return true;
+
+  const design = await Design.findById(req.params.id).select('images');
+  if (!design) return true;
+  if (!Array.isArray(req.body.images) || req.body.images.length !== design.images.length) {
+    return false;
+  }
+
+  return req.body.images.every((image) => {
+    const existing = image._id
+      ? design.images.find(img => sameId(img._id, image._id))
+      : design.images.find(img => img.url === image.url);
+
+    if (!existing) return false;
+
+    return Object.keys(image).every(key =>
+      ['_id', 'caption', 'order'].includes(key) ||
+      (key === 'url' && image.url === existing.url) ||
+      (['isBefore', 'isAfter'].includes(key) && image[key] === existing[key])
+    );
+  });
+};
+
+const isAssignedLead = async (req) => {
+  const lead = await Lead.findById(req.params.id).select('assignedTo');
+  if (!lead) return true;
+  return sameId(lead.assignedTo, req.user.teamMember);
+};
+
+const isOwnAppointment = async (req) => {
+  const appointment = await Appointment.findById(req.params.id).select('teamMember');
+  if (!appointment) return true;
+  return sameId(appointment.teamMember, req.user.teamMember) &&
+    (req.body.teamMember === undefined || sameId(req.body.teamMember, req.user.teamMember));
+};
+
+// Designers work on quotes they prepare; new quotes must be prepared by them
+const isOwnQuote = async (req) => {
+  if (!keepsOwnTeamMember(req)) return false;
+  if (!req.params.id) return true;
+
+  const quote = await Quote.findById(req.params.id).select('teamMember');
+  if (!quote) return true;
+  return sameId(quote.teamMember, req.user.teamMember);
+};
+
+const isProjectMember = async (req) => {
+  if (req.body.teamMembers !== undefined) return false;
+
+  const project = await Project.findById(req.params.id).select('teamMembers');
+  if (!project) return true;
+  return project.teamMembers.some(id => sameId(id, req.user.teamMember));
+};
+
+const doesNotTouchOwners = async (req) => {
+  if (req.body.role === 'owner') return false;
+  if (!req.params.id) return true;
+
+  const target = await User.findById(req.params.id).select('role');
+  return !target || target.role !== 'owner';
+};
+
+/*
+ * Route policies. Each permission maps a role to either `true` (always allowed)
+ * or a rule with an optional `fields` whitelist for the request body and an
+ * optional `condition(req)` that must resolve truthy. Roles not listed are denied.
+ */
+const POLICIES = {
+  // Designs
+  'design:create': {
+    owner: true,
+    admin: true,
+    designer: { condition: keepsOwnTeamMember }
+  },
+  'design:update': {
+    owner: true,
+    admin: true,
+    designer: { condition: async (req) => keepsOwnTeamMember(req) && ownsDesign(req) },
+    editor: { fields: ['tags', 'images'], condition: onlyImageCaptionsAndOrder }
+  },
+  'design:delete': {
+    owner: true,
+    admin: true,
+    designer: { condition: ownsDesign }
+  },
+  'design:order': {
+    owner: true,
+    admin: true,
+    designer: { condition: ownsDesign },
+    editor: true
+  },
+  'design:feature': {
+    owner: true,
+    admin: true
+  },
+  'design:before-after': {
+    owner: true,
+    admin: true,
+    designer: { condition: ownsDesign }
+  },
+
+  // Team members
+  'team:create': {
+    owner: true,
+    admin: true
+  },
+  'team:update': {
+    owner: true,
+    admin: true,
+    designer: {
+      fields: ['description', 'image', 'expertise', 'social'],
+      condition: isOwnTeamMember
+    }
+  },
+  'team:delete': {
+    owner: true,
+    admin: true
+  },
+  'team:status': {
+    owner: true,
+    admin: true
+  },
+  'team:order': {
+    owner: true,
+    admin: true,
+    editor: true
+  },
+  'team:availability': {
+    owner: true,
+    admin: true,
+    designer: { condition: isOwnTeamMember }
+  },
+
+  // Uploads
+  'upload:create': {
+    owner: true,
+    admin: true,
+    designer: true,
+    editor: true
+  },
+  'upload:team-profile': {
+    owner: true,
+    admin: true,
+    designer: true
+  },
+  'upload:delete': {
+    owner: true,
+    admin: true
+  },
+
+  // Leads
+  'lead:read': {
+    owner: true,
+    admin: true,
+    designer: true
+  },
+  'lead:create': {
+    owner: true,
+    admin: true
+  },
+  'lead:update': {
+    owner: true,
+    admin: true,
+    designer: { condition: isAssignedLead }
+  },
+  'lead:assign': {
+    owner: true,
+    admin: true
+  },
+  'lead:delete': {
+    owner: true,
+    admin: true
+  },
+
+  // Consultation appointments
+  'appointment:read': {
+    owner: true,
+    admin: true,
+    designer: true
+  },
+  'appointment:manage': {
+    owner: true,
+    admin: true,
+    designer: { condition: isOwnAppointment }
+  },
+
+  // Quotes and proposals
+  'quote:read': {
+    owner: true,
+    admin: true,
+    designer: true
+  },
+  'quote:manage': {
+    owner: true,
+    admin: true,
+    designer: { condition: isOwnQuote }
+  },
+  'quote:delete': {
+    owner: true,
+    admin: true
+  },
+
+  // Client projects
+  'project:read': {
+    owner: true,
+    admin: true,
+    designer: true
+  },
+  'project:create': {
+    owner: true,
+    admin: true
+  },
+  'project:update': {
+    owner: true,
+    admin: true,
+    designer: { condition: isProjectMember }
+  },
+  'project:delete': {
+    owner: true,
+    admin: true
+  },
+
+  // Chat inbox
+  'inbox:read': {
+    owner: true,
+    admin: true,
+    designer: true
+  },
+  'inbox:manage': {
+    owner: true,
+    admin: true,
+    designer: true
+  },
+
+  // Email templates and delivery log
+  'email:manage': {
+    owner: true,
+    admin: true
+  },
+
+  // Outbound webhook subscriptions and delivery log
+  'webhook:manage': {
+    owner: true,
+    admin: true
+  },
+
+  // Chatbot conversation flows
+  'chatflow:manage': {
+    owner: true,
+    admin: true
+  },
+
+  // Chatbot funnel and understanding reports
+  'chatbot:analytics': {
+    owner: true,
+    admin: true
+  },
+
+  // Chatbot FAQ entries and unanswered questions
+  'faq:manage': {
+    owner: true,
+    admin: true,
+    editor: true
+  },
+
+  // Audit log
+  'audit:read': {
+    owner: true,
+    admin: true
+  },
+
+  // User accounts
+  'user:manage': {
+    owner: true,
+    admin: { condition: doesNotTouchOwners }
+  }
+};
+
+// Check whether the current request satisfies a permission
+const can = async (req, permission) => {
+  const policy = POLICIES[permission];
+  if (!policy) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  const rule = req.user && policy[req.user.role];
+  if (!rule) return false;
+  if (rule === true) return true;
+
+  if (rule.fields) {
+    const disallowed = Object.keys(req.body || {}).filter(key => !rule.fields.includes(key));
+    if (disallowed.length > 0) return false;
+  }
+
+  if (rule.condition) {
+    return Boolean(await rule.condition(req));
+  }
+
+  return true;
+};
+
+// Middleware factory requiring a permission; use after `protect`
+const authorize = (permission) => {
+  if (!POLICIES[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (await can(req, permission)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to perform this action'
+      });
+    } catch (error) {
+      console.error('Error checking permissions:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to check permissions'
+      });
+    }
+  };
+};
+
+module.exports = {
+  ROLES,
+  POLICIES,
+  can,
+  authorize
+};
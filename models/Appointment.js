@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const APPOINTMENT_STATUSES = ['scheduled', 'cancelled', 'completed', 'no-show'];
+
+const appointmentSchema = new mongoose.Schema({
+  teamMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamMember',
+    required: [true, 'Team member is required']
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  sessionId: {
+    type: String,
+    trim: true
+  },
+  client: {
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Client email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  start: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  // The client's time zone, used when showing them the appointment
+  timeZone: {
+    type: String,
+    trim: true,
+    default: 'UTC'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: APPOINTMENT_STATUSES,
+    default: 'scheduled'
+  },
+  rescheduleHistory: [{
+    start: Date,
+    end: Date,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancellation: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    cancelledBy: {
+      type: String,
+      enum: ['client', 'staff']
+    },
+    cancelledAt: Date
+  },
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Lets the client reschedule or cancel without an account
+  manageToken: {
+    type: String,
+    select: false
+  },
+  // iCalendar SEQUENCE, bumped whenever the event changes
+  sequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+appointmentSchema.index({ teamMember: 1, start: 1 });
+appointmentSchema.index({ status: 1, start: 1 });
+appointmentSchema.index({ lead: 1 });
+appointmentSchema.index({ manageToken: 1 }, { sparse: true });
+
+// Virtual for duration in minutes
+appointmentSchema.virtual('durationMinutes').get(function() {
+  return Math.round((this.end - this.start) / 60000);
+});
+
+// Pre-save middleware to validate the time range and issue a manage token
+appointmentSchema.pre('save', function(next) {
+  if (this.start >= this.end) {
+    return next(new Error('Appointment must end after it starts'));
+  }
+
+  if (this.isNew && !this.manageToken) {
+    this.manageToken = crypto.randomBytes(24).toString('hex');
+  }
+
+  if (!this.isNew && (this.isModified('start') || this.isModified('end') || this.isModified('status'))) {
+    this.sequence += 1;
+  }
+
+  next();
+});
+
+// Static method to find scheduled appointments overlapping a time range
+appointmentSchema.statics.findOverlapping = function(teamMemberIds, start, end, excludeId) {
+  const query = {
+    teamMember: { $in: [].concat(teamMemberIds) },
+    status: 'scheduled',
+    start: { $lt: end },
+    end: { $gt: start }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query).sort({ start: 1 });
+};
+
+// Static method to find an appointment by its client manage token
+appointmentSchema.statics.findByManageToken = function(token) {
+  return this.findOne({ manageToken: token }).select('+manageToken');
+};
+
+appointmentSchema.statics.STATUSES = APPOINTMENT_STATUSES;
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
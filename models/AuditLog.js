@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: ['Design', 'TeamMember']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: ['create', 'update', 'delete', 'toggle-featured', 'toggle-status', 'order', 'availability']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Snapshot of the actor so entries stay readable after the user is removed
+  actorName: {
+    type: String,
+    trim: true
+  },
+  actorEmail: {
+    type: String,
+    trim: true
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    userAgent: String,
+    ipAddress: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Static method to get the change history of a single entity
+auditLogSchema.statics.getEntityHistory = function(entityType, entityId, limit = 50) {
+  return this.find({ entityType, entityId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
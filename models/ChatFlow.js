@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('./ChatMessage');
+
+// How a step reads the visitor's answer; a review step shows {{summary}} and waits for a confirmation or an edit
+const ENTITY_TYPES = ['none', 'text', 'choice', 'email', 'phone', 'name', 'review'];
+
+// How numbers in an answer are read: money and months pick ranged options, area marks a size answer
+const UNITS = ['money', 'months', 'area'];
+
+// Step name the flow ends on; kept as currentStep so analytics can count completed chats
+const COMPLETE_STEP = 'complete';
+
+// Answers can only fill fields the chat context stores
+const COLLECTED_FIELDS = Object.keys(ChatMessage.schema.obj.context.collectedData);
+
+const optionSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    required: [true, 'Option value is required'],
+    trim: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Other words that pick this option
+  synonyms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Replaces the step acknowledgement when this option is picked
+  reply: {
+    type: String,
+    trim: true
+  },
+  // Range in the step's unit, so "about $30k" picks the option it falls in; max is exclusive
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  },
+  // Whether the option can be picked up from a message sent at another step; turn off for vague words like "other"
+  matchAnywhere: {
+    type: Boolean,
+    default: true
+  },
+  // Picture shown on the option's quick reply button
+  imageUrl: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const branchSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: [true, 'Branch field is required']
+  },
+  values: [{
+    type: String,
+    trim: true
+  }],
+  next: {
+    type: String,
+    required: [true, 'Branch target is required']
+  }
+}, { _id: false });
+
+const stepSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Step key is required'],
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'Step keys may only contain lowercase letters, numbers, _ and -']
+  },
+  // Question asked when the step is reached; {{options}} lists the options
+  prompt: {
+    type: String,
+    trim: true
+  },
+  // Asked instead of the prompt when the answer could not be understood
+  retryPrompt: {
+    type: String,
+    trim: true
+  },
+  // Said after a valid answer, before the next prompt; {{field}}, {{field.label}} and {{field.description}} are filled in
+  acknowledgement: {
+    type: String,
+    trim: true
+  },
+  entity: {
+    type: String,
+    enum: ENTITY_TYPES,
+    default: 'text'
+  },
+  field: {
+    type: String
+  },
+  options: [optionSchema],
+  // Picture sent with the prompt, such as a floor plan to measure from
+  image: {
+    url: {
+      type: String,
+      trim: true
+    },
+    caption: {
+      type: String,
+      trim: true
+    }
+  },
+  unit: {
+    type: String,
+    enum: UNITS
+  },
+  // Keep answers that match no option as typed
+  allowFreeText: {
+    type: Boolean,
+    default: false
+  },
+  // First branch whose field holds one of its values decides the next step
+  branches: [branchSchema],
+  next: {
+    type: String,
+    required: [true, 'Next step is required']
+  },
+  // Offer open consultation slots along with the prompt
+  offerConsultation: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const chatFlowSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Flow key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Flow keys may only contain lowercase letters, numbers, _ and -']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    required: [true, 'Flow name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Only one version per key is active; new chats start on it
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  startStep: {
+    type: String,
+    required: [true, 'Start step is required']
+  },
+  steps: [stepSchema],
+  completionMessage: {
+    type: String,
+    required: [true, 'Completion message is required'],
+    trim: true
+  },
+  nextSteps: [{
+    type: String,
+    trim: true
+  }],
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Change note cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+chatFlowSchema.index({ key: 1, version: -1 }, { unique: true });
+chatFlowSchema.index({ key: 1, isActive: 1 });
+
+// Static method to check that a flow's steps form a conversation that can finish.
+// Returns a list of problems; works on plain objects so the built-in flow can be checked too.
+chatFlowSchema.statics.validateDefinition = function(flow) {
+  const errors = [];
+  const steps = flow.steps || [];
+  const keys = steps.map(step => step.key);
+  const isTarget = target => target === COMPLETE_STEP || keys.includes(target);
+
+  if (steps.length === 0) {
+    return ['A flow needs at least one step'];
+  }
+
+  keys.forEach((key, index) => {
+    if (key === COMPLETE_STEP) errors.push(`"${COMPLETE_STEP}" is reserved for the end of the flow`);
+    if (keys.indexOf(key) !== index) errors.push(`Step "${key}" is defined more than once`);
+  });
+
+  if (!keys.includes(flow.startStep)) {
+    errors.push(`Start step "${flow.startStep}" does not exist`);
+  }
+
+  steps.forEach((step) => {
+    const label = `Step "${step.key}"`;
+    const options = step.options || [];
+
+    if (!['none', 'review'].includes(step.entity) && !step.field) {
+      errors.push(`${label} must name the field its answer fills`);
+    }
+    if (step.field && !COLLECTED_FIELDS.includes(step.field)) {
+      errors.push(`${label} fills unknown field "${step.field}"`);
+    }
+    if (step.key !== flow.startStep && !step.prompt) {
+      errors.push(`${label} needs a prompt`);
+    }
+    if (step.entity === 'choice' && options.length === 0) {
+      errors.push(`${label} is a choice but has no options`);
+    }
+
+    const ranged = options.some(option => option.min != null || option.max != null);
+    if (ranged && !['money', 'months'].includes(step.unit)) {
+      errors.push(`${label} has option ranges but no money or months unit to read them in`);
+    }
+
+    const values = options.map(option => option.value);
+    values.forEach((value, index) => {
+      if (values.indexOf(value) !== index) errors.push(`${label} has option "${value}" more than once`);
+    });
+
+    if (!isTarget(step.next)) {
+      errors.push(`${label} continues to unknown step "${step.next}"`);
+    }
+    (step.branches || []).forEach((branch) => {
+      if (!COLLECTED_FIELDS.includes(branch.field)) {
+        errors.push(`${label} branches on unknown field "${branch.field}"`);
+      }
+      if (!isTarget(branch.next)) {
+        errors.push(`${label} branches to unknown step "${branch.next}"`);
+      }
+    });
+  });
+
+  // Walk the flow from the start to find steps no conversation can reach
+  const reachable = new Set();
+  const queue = [flow.startStep];
+  while (queue.length > 0) {
+    const key = queue.shift();
+    const step = steps.find(candidate => candidate.key === key);
+    if (!step || reachable.has(step.key)) continue;
+    reachable.add(step.key);
+    queue.push(step.next, ...(step.branches || []).map(branch => branch.next));
+  }
+
+  keys.filter(key => !reachable.has(key)).forEach((key) => {
+    errors.push(`Step "${key}" can never be reached from the start step`);
+  });
+
+  const finishes = steps.some(step => reachable.has(step.key) &&
+    (step.next === COMPLETE_STEP || (step.branches || []).some(branch => branch.next === COMPLETE_STEP)));
+  if (!finishes) {
+    errors.push(`No step leads to "${COMPLETE_STEP}"`);
+  }
+
+  return [...new Set(errors)];
+};
+
+// Static method to get the version new chats start on
+chatFlowSchema.statics.findActive = function(key) {
+  return this.findOne({ key, isActive: true });
+};
+
+// Static method to get one version of a flow
+chatFlowSchema.statics.findVersion = function(key, version) {
+  return this.findOne({ key, version });
+};
+
+// Pre-validate middleware to check the step graph
+chatFlowSchema.pre('validate', function(next) {
+  const errors = this.constructor.validateDefinition(this);
+  if (errors.length > 0) {
+    this.invalidate('steps', errors.join('; '));
+  }
+  next();
+});
+
+// Pre-save middleware to keep published versions unchanged, since running chats are pinned to them
+chatFlowSchema.pre('save', function(next) {
+  const changed = this.modifiedPaths().filter(path => !['isActive', 'updatedAt'].includes(path));
+
+  if (!this.isNew && changed.length > 0) {
+    return next(new Error('Flow versions cannot be edited; save a new version instead'));
+  }
+
+  next();
+});
+
+chatFlowSchema.statics.ENTITY_TYPES = ENTITY_TYPES;
+chatFlowSchema.statics.UNITS = UNITS;
+chatFlowSchema.statics.COLLECTED_FIELDS = COLLECTED_FIELDS;
+chatFlowSchema.statics.COMPLETE_STEP = COMPLETE_STEP;
+
+module.exports = mongoose.model('ChatFlow', chatFlowSchema);
@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
 
+// Details the chatbot collects during a conversation
+const collectedDataDefinition = {
+  name: String,
+  email: String,
+  phone: String,
+  projectType: String,
+  roomType: String,
+  roomSize: String,
+  budget: String,
+  timeline: String,
+  designStyle: String,
+  additionalNotes: String
+};
+
+const MESSAGE_BLOCK_TYPES = ['text', 'quick_replies', 'carousel', 'image'];
+
+// One part of a structured bot message. Text blocks use `text`, quick replies `replies`,
+// carousels `cards` and images `url` and `caption`.
+const messageBlockSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: MESSAGE_BLOCK_TYPES,
+    required: true
+  },
+  text: String,
+  replies: [{
+    _id: false,
+    label: String,
+    // Sent back as `quickReply` when the button is picked
+    value: String,
+    imageUrl: String
+  }],
+  cards: [{
+    _id: false,
+    title: String,
+    subtitle: String,
+    imageUrl: String,
+    link: String
+  }],
+  url: String,
+  caption: String
+}, { _id: false });
+
 const chatMessageSchema = new mongoose.Schema({
   sessionId: {
     type: String,
@@ -11,23 +54,45 @@ const chatMessageSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+  // Visitor messages are limited to 1000 characters where they arrive; bot replies such as the
+  // review summary repeat earlier answers, so rows allow more
   message: {
     type: String,
     required: [true, 'Message is required'],
     trim: true,
-    maxlength: [1000, 'Message cannot exceed 1000 characters']
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
   },
+  // Reply the visitor received; empty for bot and agent rows and while an agent has the session
   response: {
     type: String,
-    required: [true, 'Response is required'],
+    default: '',
     trim: true,
-    maxlength: [2000, 'Response cannot exceed 2000 characters']
+    maxlength: [5000, 'Response cannot exceed 5000 characters']
   },
   messageType: {
     type: String,
-    enum: ['user', 'bot'],
+    enum: ['user', 'bot', 'agent'],
     default: 'user'
   },
+  // Structured form of a bot message for clients that render more than text; `message` is its text fallback
+  blocks: [messageBlockSchema],
+  // Quick reply value a visitor message was sent with
+  quickReply: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Quick reply cannot exceed 200 characters']
+  },
+  // Staff member who wrote an agent message
+  agent: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
   intent: {
     type: String,
     trim: true,
@@ -40,6 +105,11 @@ const chatMessageSchema = new mongoose.Schema({
     default: 0
   },
   context: {
+    // Chat flow version the conversation started on
+    flow: {
+      key: String,
+      version: Number
+    },
     currentStep: {
       type: String,
       trim: true
@@ -50,17 +120,36 @@ const chatMessageSchema = new mongoose.Schema({
       roomType: String,
       timeline: String
     },
-    collectedData: {
-      name: String,
-      email: String,
-      phone: String,
-      projectType: String,
-      roomSize: String,
-      budget: String,
-      timeline: String,
-      designStyle: String,
-      additionalNotes: String
-    }
+    collectedData: collectedDataDefinition,
+    // Quantities read from answers given in a step's unit, by collectedData field:
+    // money { min, max, currency }, months { min, max, by } and area { sqft, sqm, rooms }
+    parsedValues: mongoose.Schema.Types.Mixed,
+    // One entry per answered turn: the step that was asked and the values it replaced, for "go back"
+    history: [{
+      _id: false,
+      step: String,
+      changes: [{
+        _id: false,
+        field: String,
+        previous: String,
+        previousParsed: mongoose.Schema.Types.Mixed
+      }]
+    }],
+    // Room and style portfolio cards were last sent for, so each pair is only recommended once
+    recommendedFor: String,
+    // Language model tokens spent on this session, checked against LLM_SESSION_TOKEN_BUDGET
+    llmTokensUsed: Number,
+    // Earlier attempts kept when the visitor starts over
+    archivedContexts: [{
+      _id: false,
+      flow: {
+        key: String,
+        version: Number
+      },
+      currentStep: String,
+      collectedData: collectedDataDefinition,
+      archivedAt: Date
+    }]
   },
   isResolved: {
     type: Boolean,
@@ -84,6 +173,7 @@ const chatMessageSchema = new mongoose.Schema({
 chatMessageSchema.index({ sessionId: 1, createdAt: -1 });
 chatMessageSchema.index({ userId: 1, createdAt: -1 });
 chatMessageSchema.index({ createdAt: -1 });
+chatMessageSchema.index({ message: 'text' });
 
 // Virtual for message age
 chatMessageSchema.virtual('age').get(function() {
@@ -120,6 +210,73 @@ chatMessageSchema.statics.getConversationHistory = function(sessionId, limit = 5
     .sort({ createdAt: 1 });
 };
 
+// Static method to mark every message in a session resolved or unresolved
+chatMessageSchema.statics.setSessionResolved = function(sessionId, isResolved) {
+  return this.updateMany({ sessionId }, { isResolved });
+};
+
+// Static method to summarize sessions for the staff inbox, newest activity first
+chatMessageSchema.statics.getSessionSummaries = async function({ sessionIds, resolved, intent, startDate, endDate, skip = 0, limit = 20 } = {}) {
+  const sessionFilter = [];
+  if (resolved !== undefined) sessionFilter.push({ isResolved: resolved });
+  if (intent) sessionFilter.push({ intents: intent });
+  if (startDate) sessionFilter.push({ lastMessageAt: { $gte: startDate } });
+  if (endDate) sessionFilter.push({ lastMessageAt: { $lte: endDate } });
+
+  const [result] = await this.aggregate([
+    { $match: sessionIds ? { sessionId: { $in: sessionIds } } : {} },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$sessionId',
+        userId: { $first: '$userId' },
+        lastMessage: { $last: '$message' },
+        lastMessageType: { $last: '$messageType' },
+        lastMessageAt: { $last: '$createdAt' },
+        firstMessageAt: { $first: '$createdAt' },
+        messageCount: { $sum: 1 },
+        context: { $last: '$context' },
+        intents: { $addToSet: '$intent' },
+        // A session is resolved only while every message in it is
+        isResolved: { $min: '$isResolved' }
+      }
+    },
+    { $match: sessionFilter.length > 0 ? { $and: sessionFilter } : {} },
+    { $sort: { lastMessageAt: -1 } },
+    {
+      $facet: {
+        sessions: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              sessionId: '$_id',
+              userId: 1,
+              lastMessage: 1,
+              lastMessageType: 1,
+              lastMessageAt: 1,
+              firstMessageAt: 1,
+              messageCount: 1,
+              intents: 1,
+              isResolved: 1,
+              currentStep: '$context.currentStep',
+              collectedData: '$context.collectedData',
+              isComplete: { $eq: ['$context.currentStep', 'complete'] }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    sessions: result.sessions,
+    total: result.total[0] ? result.total[0].count : 0
+  };
+};
+
 // Static method to get user sessions
 chatMessageSchema.statics.getUserSessions = function(userId) {
   return this.distinct('sessionId', { userId });
@@ -135,4 +292,6 @@ chatMessageSchema.methods.isConversationComplete = function() {
   );
 };
 
+chatMessageSchema.statics.MESSAGE_BLOCK_TYPES = MESSAGE_BLOCK_TYPES;
+
 module.exports = mongoose.model('ChatMessage', chatMessageSchema); 
\ No newline at end of file
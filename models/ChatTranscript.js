@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('./ChatMessage');
+
+// What the chatbot did with one visitor message when the transcript was recorded
+const expectedSchema = new mongoose.Schema({
+  step: {
+    type: String
+  },
+  intent: {
+    type: String
+  },
+  collectedData: ChatMessage.schema.obj.context.collectedData,
+  isComplete: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const turnSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Quick reply button value sent with the message, as the chat widget would
+  quickReply: {
+    type: String,
+    maxlength: [200, 'Quick reply cannot exceed 200 characters']
+  },
+  expected: expectedSchema
+}, { _id: false });
+
+const chatTranscriptSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Flow the transcript runs on; without a version it follows the flow's active version,
+  // and without a key the flow the website chatbot runs
+  flow: {
+    key: String,
+    version: Number
+  },
+  turns: {
+    type: [turnSchema],
+    validate: {
+      validator: turns => turns.length > 0,
+      message: 'A transcript needs at least one turn'
+    }
+  },
+  lastReplay: {
+    at: Date,
+    passed: Boolean,
+    diffCount: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ChatTranscript', chatTranscriptSchema);
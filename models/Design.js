@@ -148,6 +148,11 @@ designSchema.virtual('beforeAfterCount').get(function() {
   return this.beforeAfterImages ? this.beforeAfterImages.length : 0;
 });
 
+// Virtual for whether the design is shown in the public portfolio
+designSchema.virtual('isPublished').get(function() {
+  return Boolean(this.isPublic && this.status === 'completed');
+});
+
 // Pre-save middleware
 designSchema.pre('save', function(next) {
   // Ensure tags are unique
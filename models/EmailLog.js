@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const emailLogSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: [true, 'Template key is required'],
+    trim: true
+  },
+  to: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  subject: {
+    type: String,
+    trim: true
+  },
+  transport: {
+    type: String,
+    enum: ['smtp', 'file', 'console']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  messageId: {
+    type: String,
+    trim: true
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  sessionId: {
+    type: String,
+    trim: true
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+emailLogSchema.index({ status: 1, createdAt: -1 });
+emailLogSchema.index({ template: 1, createdAt: -1 });
+emailLogSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
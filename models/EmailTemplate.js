@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Template key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Template key may only contain lowercase letters, numbers and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  text: {
+    type: String,
+    required: [true, 'Text body is required'],
+    maxlength: [10000, 'Text body cannot exceed 10000 characters']
+  },
+  html: {
+    type: String,
+    maxlength: [20000, 'HTML body cannot exceed 20000 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
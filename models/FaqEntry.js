@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const faqEntrySchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    maxlength: [300, 'Question cannot exceed 300 characters']
+  },
+  answer: {
+    type: String,
+    required: [true, 'Answer is required'],
+    trim: true,
+    maxlength: [1000, 'Answer cannot exceed 1000 characters']
+  },
+  // Other ways visitors ask the same thing, matched like the question
+  alternateQuestions: [{
+    type: String,
+    trim: true,
+    maxlength: [300, 'Alternate questions cannot exceed 300 characters']
+  }],
+  keywords: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // How often the chatbot has answered with this entry
+  timesServed: {
+    type: Number,
+    default: 0
+  },
+  lastServedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+faqEntrySchema.index({ isActive: 1, category: 1 });
+
+module.exports = mongoose.model('FaqEntry', faqEntrySchema);
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+
+const LEAD_STATUSES = ['new', 'contacted', 'consultation-booked', 'proposal-sent', 'won', 'lost'];
+
+const leadSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    required: [true, 'Source is required'],
+    enum: ['form', 'chat']
+  },
+  // Every channel the lead has come in through, in order of first contact
+  sources: [{
+    type: String,
+    enum: ['form', 'chat']
+  }],
+  projectType: {
+    type: String,
+    trim: true
+  },
+  roomType: {
+    type: String,
+    trim: true
+  },
+  roomSize: {
+    type: String,
+    trim: true
+  },
+  budget: {
+    type: String,
+    trim: true
+  },
+  timeline: {
+    type: String,
+    trim: true
+  },
+  // Quantities the chatbot read from the budget, room size and timeline answers
+  parsedValues: {
+    budget: {
+      min: Number,
+      max: Number,
+      currency: String
+    },
+    roomSize: {
+      sqft: Number,
+      sqm: Number
+    },
+    timeline: {
+      min: Number,
+      max: Number,
+      by: Date
+    }
+  },
+  designStyle: {
+    type: String,
+    trim: true
+  },
+  additionalNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Additional notes cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: LEAD_STATUSES,
+    default: 'new'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: LEAD_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, 'Note cannot exceed 2000 characters']
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    authorName: {
+      type: String,
+      trim: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamMember'
+  },
+  assignmentHistory: [{
+    teamMember: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TeamMember'
+    },
+    method: {
+      type: String,
+      enum: ['auto', 'manual'],
+      required: true
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    score: {
+      type: Number
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Chat sessions and contact form submissions that fed this lead
+  sessionIds: [{
+    type: String,
+    trim: true
+  }],
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+leadSchema.index({ status: 1, createdAt: -1 });
+leadSchema.index({ source: 1, createdAt: -1 });
+leadSchema.index({ lastActivityAt: -1 });
+leadSchema.index({ assignedTo: 1, status: 1 });
+
+// Virtual for whether the lead is still being worked
+leadSchema.virtual('isOpen').get(function() {
+  return !['won', 'lost'].includes(this.status);
+});
+
+// Pre-save middleware to keep sources unique and track status changes
+leadSchema.pre('save', function(next) {
+  if (this.sources) {
+    this.sources = [...new Set(this.sources)];
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status });
+  }
+
+  next();
+});
+
+// Static method to find a lead by email
+leadSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase().trim() });
+};
+
+// Instance method to change pipeline status
+leadSchema.methods.setStatus = function(status, userId) {
+  if (status !== this.status) {
+    this.status = status;
+    this.statusHistory.push({ status, changedBy: userId });
+  }
+  return this;
+};
+
+// Instance method to assign the lead to a team member and record it
+leadSchema.methods.assignTo = function(teamMemberId, { method, assignedBy, score, reason } = {}) {
+  this.assignedTo = teamMemberId;
+  this.assignmentHistory.push({ teamMember: teamMemberId, method, assignedBy, score, reason });
+  return this;
+};
+
+// Static method to count open leads per team member
+leadSchema.statics.getOpenLeadCounts = async function() {
+  const counts = await this.aggregate([
+    { $match: { assignedTo: { $ne: null }, status: { $nin: ['won', 'lost'] } } },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(count => [count._id.toString(), count.count]));
+};
+
+leadSchema.statics.STATUSES = LEAD_STATUSES;
+
+module.exports = mongoose.model('Lead', leadSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const LINK_EXPIRE_MINUTES = parseInt(process.env.PORTAL_LINK_EXPIRE_MINUTES) || 30;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const portalLinkSchema = new mongoose.Schema({
+  // Only a hash of the emailed token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  requestedIp: {
+    type: String
+  },
+  usedIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Expired links are removed by MongoDB
+portalLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+portalLinkSchema.index({ email: 1, createdAt: -1 });
+
+// Static method to create a link for an email; returns the link and the plain token to send
+portalLinkSchema.statics.issue = async function(email, requestedIp) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const link = await this.create({
+    tokenHash: hashToken(token),
+    email,
+    requestedIp,
+    expiresAt: new Date(Date.now() + LINK_EXPIRE_MINUTES * 60 * 1000)
+  });
+
+  return { link, token };
+};
+
+// Static method to use up a link; returns null when it is unknown, expired or already used
+portalLinkSchema.statics.redeem = function(token, usedIp) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date(), usedIp },
+    { new: true }
+  );
+};
+
+portalLinkSchema.statics.EXPIRE_MINUTES = LINK_EXPIRE_MINUTES;
+
+module.exports = mongoose.model('PortalLink', portalLinkSchema);
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const { BUDGET_RANGES } = require('../constants/projectOptions');
+
+const PROJECT_STATUSES = ['planning', 'in-progress', 'on-hold', 'completed', 'cancelled'];
+const EXPENSE_CATEGORIES = ['labor', 'materials', 'furniture', 'other'];
+
+const photoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Milestone title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  dueDate: {
+    type: Date
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  completedAt: {
+    type: Date
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  photos: [photoSchema]
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+milestoneSchema.virtual('isComplete').get(function() {
+  return Boolean(this.completedAt);
+});
+
+milestoneSchema.virtual('isOverdue').get(function() {
+  return Boolean(this.dueDate && !this.completedAt && this.dueDate < new Date());
+});
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  client: {
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      trim: true,
+      maxlength: [100, 'Client name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  design: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Design'
+  },
+  teamMembers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamMember'
+  }],
+  location: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: PROJECT_STATUSES,
+    default: 'planning'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: PROJECT_STATUSES,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  startDate: {
+    type: Date
+  },
+  targetEndDate: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  budget: {
+    amount: {
+      type: Number,
+      min: [0, 'Budget cannot be negative'],
+      default: 0
+    },
+    // The client's budget range, using the chatbot's option keys
+    range: {
+      type: String,
+      enum: Object.keys(BUDGET_RANGES)
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'USD'
+    }
+  },
+  expenses: [{
+    description: {
+      type: String,
+      required: [true, 'Expense description is required'],
+      trim: true,
+      maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    category: {
+      type: String,
+      enum: EXPENSE_CATEGORIES,
+      default: 'other'
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Expense amount is required'],
+      min: [0, 'Expense amount cannot be negative']
+    },
+    vendor: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Vendor cannot exceed 100 characters']
+    },
+    milestone: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    incurredAt: {
+      type: Date,
+      default: Date.now
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  milestones: [milestoneSchema],
+  // Conversation between the client (through the portal) and the team
+  comments: [{
+    message: {
+      type: String,
+      required: [true, 'Comment is required'],
+      trim: true,
+      maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    author: {
+      type: {
+        type: String,
+        enum: ['client', 'staff'],
+        required: true
+      },
+      name: {
+        type: String,
+        trim: true
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    milestone: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+projectSchema.index({ status: 1, createdAt: -1 });
+projectSchema.index({ teamMembers: 1, status: 1 });
+projectSchema.index({ lead: 1 });
+projectSchema.index({ 'client.email': 1 });
+
+// Virtual for money spent so far
+projectSchema.virtual('actualSpend').get(function() {
+  const total = (this.expenses || []).reduce((sum, expense) => sum + expense.amount, 0);
+  return Math.round(total * 100) / 100;
+});
+
+// Virtual for budget left (negative when over budget)
+projectSchema.virtual('budgetRemaining').get(function() {
+  return Math.round(((this.budget && this.budget.amount) || 0) * 100 - this.actualSpend * 100) / 100;
+});
+
+// Virtual for share of milestones completed, 0-100
+projectSchema.virtual('progress').get(function() {
+  if (!this.milestones || this.milestones.length === 0) return 0;
+  const completed = this.milestones.filter(milestone => milestone.completedAt).length;
+  return Math.round((completed / this.milestones.length) * 100);
+});
+
+// Pre-save middleware to keep milestones ordered, team unique and history started
+projectSchema.pre('save', function(next) {
+  if (this.teamMembers) {
+    const seen = new Set();
+    this.teamMembers = this.teamMembers.filter((id) => {
+      const key = id.toString();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  if (this.milestones) {
+    this.milestones.sort((a, b) => a.order - b.order);
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.createdBy });
+  }
+
+  next();
+});
+
+// Instance method to change status and record it on the timeline
+projectSchema.methods.setStatus = function(status, userId, note) {
+  if (status !== this.status) {
+    this.status = status;
+    this.statusHistory.push({ status, changedBy: userId, note });
+
+    if (status === 'in-progress' && !this.startDate) {
+      this.startDate = new Date();
+    }
+    this.completedAt = status === 'completed' ? new Date() : undefined;
+  }
+  return this;
+};
+
+// Instance method to attach progress photos to a milestone; returns null when the milestone is missing
+projectSchema.methods.addMilestonePhotos = function(milestoneId, photos, userId) {
+  const milestone = this.milestones.id(milestoneId);
+  if (!milestone) return null;
+
+  photos.forEach((photo) => {
+    milestone.photos.push({
+      url: photo.url,
+      publicId: photo.publicId,
+      caption: photo.caption,
+      uploadedBy: userId
+    });
+  });
+  return milestone;
+};
+
+// Instance method to build a chronological timeline of the project
+projectSchema.methods.getTimeline = function() {
+  const events = [];
+
+  this.statusHistory.forEach((entry) => {
+    events.push({ type: 'status', at: entry.changedAt, status: entry.status, note: entry.note, by: entry.changedBy });
+  });
+
+  this.milestones.forEach((milestone) => {
+    if (milestone.completedAt) {
+      events.push({ type: 'milestone', at: milestone.completedAt, milestoneId: milestone._id, title: milestone.title, by: milestone.completedBy });
+    }
+    milestone.photos.forEach((photo) => {
+      events.push({ type: 'photo', at: photo.uploadedAt, milestoneId: milestone._id, title: milestone.title, url: photo.url, caption: photo.caption, by: photo.uploadedBy });
+    });
+  });
+
+  this.expenses.forEach((expense) => {
+    events.push({ type: 'expense', at: expense.incurredAt, description: expense.description, amount: expense.amount, by: expense.recordedBy });
+  });
+
+  this.comments.forEach((comment) => {
+    events.push({ type: 'comment', at: comment.createdAt, message: comment.message, author: comment.author, milestoneId: comment.milestone });
+  });
+
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+// Instance method to build the view shown to the client, without internal spend and notes
+projectSchema.methods.toClientJSON = function() {
+  const project = this.toJSON();
+
+  return {
+    _id: project._id,
+    name: project.name,
+    description: project.description,
+    location: project.location,
+    status: project.status,
+    statusHistory: project.statusHistory.map(({ status, changedAt }) => ({ status, changedAt })),
+    startDate: project.startDate,
+    targetEndDate: project.targetEndDate,
+    completedAt: project.completedAt,
+    progress: project.progress,
+    teamMembers: project.teamMembers,
+    milestones: project.milestones.map(milestone => ({
+      _id: milestone._id,
+      title: milestone.title,
+      description: milestone.description,
+      dueDate: milestone.dueDate,
+      completedAt: milestone.completedAt,
+      isComplete: milestone.isComplete,
+      photos: milestone.photos.map(({ _id, url, caption, uploadedAt }) => ({ _id, url, caption, uploadedAt }))
+    })),
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt
+  };
+};
+
+projectSchema.statics.STATUSES = PROJECT_STATUSES;
+projectSchema.statics.EXPENSE_CATEGORIES = EXPENSE_CATEGORIES;
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { BUDGET_RANGES, BUDGET_LIMITS, TIMELINE_OPTIONS } = require('../constants/projectOptions');
+
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'declined', 'expired'];
+const LINE_ITEM_CATEGORIES = ['labor', 'materials', 'furniture', 'other'];
+
+// Round to whole cents
+const roundMoney = value => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const lineItemSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Line item category is required'],
+    enum: LINE_ITEM_CATEGORIES
+  },
+  description: {
+    type: String,
+    required: [true, 'Line item description is required'],
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Quantity cannot be negative'],
+    default: 1
+  },
+  // e.g. "hours", "sq ft", "pcs"
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  taxable: {
+    type: Boolean,
+    default: true
+  },
+  total: {
+    type: Number,
+    default: 0
+  }
+});
+
+const quoteSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    unique: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  design: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Design'
+  },
+  teamMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamMember'
+  },
+  client: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Client name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    }
+  },
+  // Same shape as Design.projectDetails; budget and timeline use the chatbot's option keys
+  projectDetails: {
+    projectSize: {
+      type: String,
+      trim: true
+    },
+    budget: {
+      type: String,
+      enum: Object.keys(BUDGET_RANGES)
+    },
+    timeline: {
+      type: String,
+      enum: Object.keys(TIMELINE_OPTIONS)
+    },
+    location: {
+      type: String,
+      trim: true
+    }
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code']
+  },
+  lineItems: [lineItemSchema],
+  discount: {
+    type: {
+      type: String,
+      enum: ['percent', 'amount'],
+      default: 'percent'
+    },
+    value: {
+      type: Number,
+      min: [0, 'Discount cannot be negative'],
+      default: 0
+    }
+  },
+  // Percentage applied to taxable line items after the discount
+  taxRate: {
+    type: Number,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%'],
+    default: 0
+  },
+  totals: {
+    byCategory: {
+      labor: { type: Number, default: 0 },
+      materials: { type: Number, default: 0 },
+      furniture: { type: Number, default: 0 },
+      other: { type: Number, default: 0 }
+    },
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Terms cannot exceed 5000 characters']
+  },
+  validUntil: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: QUOTE_STATUSES,
+    default: 'draft'
+  },
+  // Number of the latest QuoteVersion snapshot
+  version: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date
+  },
+  response: {
+    decision: {
+      type: String,
+      enum: ['accepted', 'declined']
+    },
+    version: Number,
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters']
+    },
+    ipAddress: String,
+    respondedAt: Date
+  },
+  // Secret for the client's public quote link
+  publicToken: {
+    type: String,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+quoteSchema.index({ lead: 1, createdAt: -1 });
+quoteSchema.index({ design: 1, createdAt: -1 });
+quoteSchema.index({ status: 1, createdAt: -1 });
+quoteSchema.index({ publicToken: 1 }, { sparse: true });
+
+// Virtual for whether the total fits the budget range the client gave
+quoteSchema.virtual('budgetFit').get(function() {
+  const limits = this.projectDetails && BUDGET_LIMITS[this.projectDetails.budget];
+  if (!limits) return null;
+
+  const total = this.totals.total;
+  if (total < limits.min) return 'under';
+  if (limits.max !== null && total >= limits.max) return 'over';
+  return 'within';
+});
+
+// Virtual for whether the client can still respond
+quoteSchema.virtual('isExpired').get(function() {
+  return Boolean(this.validUntil && this.validUntil < new Date() && ['draft', 'sent'].includes(this.status));
+});
+
+// Pre-validate middleware to require a lead or design and compute totals
+quoteSchema.pre('validate', function(next) {
+  if (!this.lead && !this.design) {
+    return next(new Error('A quote must be attached to a lead or a design'));
+  }
+
+  this.calculateTotals();
+  next();
+});
+
+// Pre-save middleware to assign a quote number and public token
+quoteSchema.pre('save', async function(next) {
+  if (this.isNew && !this.publicToken) {
+    this.publicToken = crypto.randomBytes(24).toString('hex');
+  }
+
+  if (this.isNew && !this.number) {
+    const year = new Date().getFullYear();
+    const last = await this.constructor.findOne({ number: new RegExp(`^Q-${year}-`) })
+      .sort({ number: -1 })
+      .select('number');
+    const sequence = last ? parseInt(last.number.split('-')[2]) + 1 : 1;
+    this.number = `Q-${year}-${String(sequence).padStart(4, '0')}`;
+  }
+
+  next();
+});
+
+// Instance method to compute line, category and grand totals
+quoteSchema.methods.calculateTotals = function() {
+  const byCategory = { labor: 0, materials: 0, furniture: 0, other: 0 };
+  let subtotal = 0;
+  let taxableSubtotal = 0;
+
+  this.lineItems.forEach((item) => {
+    item.total = roundMoney(item.quantity * item.unitPrice);
+    byCategory[item.category] = roundMoney(byCategory[item.category] + item.total);
+    subtotal = roundMoney(subtotal + item.total);
+    if (item.taxable) {
+      taxableSubtotal = roundMoney(taxableSubtotal + item.total);
+    }
+  });
+
+  const discountValue = (this.discount && this.discount.value) || 0;
+  const discount = this.discount && this.discount.type === 'amount'
+    ? Math.min(roundMoney(discountValue), subtotal)
+    : roundMoney(subtotal * Math.min(discountValue, 100) / 100);
+
+  // The discount is spread proportionally, so only its taxable share reduces the tax base
+  const taxableBase = subtotal > 0 ? taxableSubtotal - discount * (taxableSubtotal / subtotal) : 0;
+  const tax = roundMoney(taxableBase * (this.taxRate || 0) / 100);
+
+  this.totals = {
+    byCategory,
+    subtotal,
+    discount,
+    tax,
+    total: roundMoney(subtotal - discount + tax)
+  };
+
+  return this.totals;
+};
+
+// Static method to find a quote by its public token
+quoteSchema.statics.findByPublicToken = function(token) {
+  return this.findOne({ publicToken: token }).select('+publicToken');
+};
+
+quoteSchema.statics.STATUSES = QUOTE_STATUSES;
+quoteSchema.statics.LINE_ITEM_CATEGORIES = LINE_ITEM_CATEGORIES;
+
+module.exports = mongoose.model('Quote', quoteSchema);
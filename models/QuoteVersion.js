@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a quote, written on every create and edit
+const quoteVersionSchema = new mongoose.Schema({
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Title, client, project details, line items, discount, tax and totals as they were
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Change note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+quoteVersionSchema.index({ quote: 1, version: -1 }, { unique: true });
+
+// Versions are write-once
+quoteVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Quote versions cannot be modified'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach((operation) => {
+  quoteVersionSchema.pre(operation, function(next) {
+    next(new Error('Quote versions cannot be modified'));
+  });
+});
+
+module.exports = mongoose.model('QuoteVersion', quoteVersionSchema);
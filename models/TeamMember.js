@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
 const teamMemberSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -58,6 +60,54 @@ const teamMemberSchema = new mongoose.Schema({
   order: {
     type: Number,
     default: 0
+  },
+  // Used to rotate automatic lead assignment between equally good matches
+  lastLeadAssignedAt: {
+    type: Date
+  },
+  // IANA time zone the working hours are expressed in, e.g. "Europe/London"
+  timeZone: {
+    type: String,
+    trim: true
+  },
+  // Weekly consultation hours; a day may have several windows
+  workingHours: [{
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Start must be a time in HH:mm format']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'End must be a time in HH:mm format']
+    }
+  }],
+  timeOff: [{
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+  }],
+  // Secret for the public iCalendar feed URL
+  calendarToken: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true,
@@ -78,6 +128,17 @@ teamMemberSchema.pre('save', function(next) {
   if (this.expertise) {
     this.expertise = [...new Set(this.expertise)];
   }
+
+  const invalidHours = (this.workingHours || []).find(hours => hours.start >= hours.end);
+  if (invalidHours) {
+    return next(new Error('Working hours must end after they start'));
+  }
+
+  const invalidTimeOff = (this.timeOff || []).find(period => period.start >= period.end);
+  if (invalidTimeOff) {
+    return next(new Error('Time off must end after it starts'));
+  }
+
   next();
 });
 
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const UNANSWERED_STATUSES = ['open', 'answered', 'dismissed'];
+
+// Chat questions the FAQ couldn't answer, grouped by their normalised text
+const unansweredQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    maxlength: [1000, 'Question cannot exceed 1000 characters']
+  },
+  normalized: {
+    type: String,
+    required: true
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  lastAskedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSessionId: {
+    type: String
+  },
+  // Step the conversation was on when the question was last asked
+  lastStep: {
+    type: String
+  },
+  // Best FAQ entry found, and how close it came to the confidence threshold
+  closestFaq: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FaqEntry'
+  },
+  closestConfidence: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: UNANSWERED_STATUSES,
+    default: 'open'
+  },
+  // Entry written or chosen to answer it
+  answeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FaqEntry'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+unansweredQuestionSchema.index({ normalized: 1 }, { unique: true });
+unansweredQuestionSchema.index({ status: 1, lastAskedAt: -1 });
+
+unansweredQuestionSchema.statics.STATUSES = UNANSWERED_STATUSES;
+
+module.exports = mongoose.model('UnansweredQuestion', unansweredQuestionSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'designer', 'editor'],
+    default: 'editor'
+  },
+  teamMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamMember'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Incremented on logout so previously issued tokens stop working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.tokenVersion;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Pre-save middleware to hash the password
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Index for looking up the account behind a team member
+userSchema.index({ teamMember: 1 });
+
+// Static method to find a user by email including the password hash
+userSchema.statics.findByEmailWithPassword = function(email) {
+  return this.findOne({ email: email.toLowerCase() }).select('+password');
+};
+
+// Instance method to compare a candidate password with the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: {
+    type: Number
+  },
+  // First part of the response body, for debugging the receiver
+  responseBody: {
+    type: String,
+    maxlength: 1000
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Shared by every delivery of the same event, so receivers can ignore duplicates
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Exact body that is signed and sent
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  redeliveredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+webhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Events a subscription can listen to
+const WEBHOOK_EVENTS = ['lead.created', 'chat.completed', 'design.published', 'design.liked', 'contact.submitted'];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'URL must start with http:// or https://']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Key for the HMAC-SHA256 signature sent with every delivery
+  secret: {
+    type: String,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+webhookSubscriptionSchema.index({ events: 1, isActive: 1 });
+
+// Pre-save middleware to generate the signing secret
+webhookSubscriptionSchema.pre('save', function(next) {
+  if (this.isNew && !this.secret) {
+    this.secret = webhookSubscriptionSchema.statics.generateSecret();
+  }
+
+  this.events = [...new Set(this.events)];
+  next();
+});
+
+// Static method to create a new signing secret
+webhookSubscriptionSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+webhookSubscriptionSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
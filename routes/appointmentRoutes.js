@@ -0,0 +1,528 @@
+const express = require('express');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const appointmentService = require('../services/appointmentService');
+const { body, query, validationResult } = require('express-validator');
+const { protect, verifyChatSessionToken, getBearerToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+const { emitToSession } = require('../socket/socketSetup');
+
+const timeZoneValidator = (field) => field.optional()
+  .custom(value => appointmentService.isValidTimeZone(value))
+  .withMessage('Invalid time zone');
+
+// Shape a slot for clients, labelled in their time zone
+const formatSlot = (slot, timeZone) => ({
+  start: slot.start,
+  end: slot.end,
+  label: appointmentService.formatInTimeZone(slot.start, timeZone),
+  teamMembers: slot.teamMembers
+});
+
+// Get open consultation slots
+router.get('/availability', [
+  query('teamMember').optional().isMongoId().withMessage('Invalid team member ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  timeZoneValidator(query('timeZone'))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { teamMember, from, to, duration, limit, timeZone } = req.query;
+
+    const slots = await appointmentService.getAvailableSlots({
+      teamMemberId: teamMember,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      duration: duration ? parseInt(duration) : undefined,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        timeZone: timeZone || process.env.STUDIO_TIMEZONE || 'UTC',
+        duration: duration ? parseInt(duration) : appointmentService.getDefaultDuration(),
+        slots: slots.map(slot => formatSlot(slot, timeZone))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch availability'
+    });
+  }
+});
+
+// Book a consultation
+router.post('/', [
+  body('start').isISO8601().withMessage('Start must be a valid date and time'),
+  body('teamMember').optional().isMongoId().withMessage('Invalid team member ID'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('email').isEmail().withMessage('A valid email is required'),
+  body('phone').optional().trim().isLength({ max: 30 }).withMessage('Phone cannot exceed 30 characters'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('sessionId').optional().trim().isLength({ max: 100 }).withMessage('Invalid session ID'),
+  timeZoneValidator(body('timeZone'))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { start, teamMember, name, email, phone, notes, sessionId, timeZone } = req.body;
+
+    // Linking a booking to a chat announces it in that chat, so the caller must own the session
+    if (sessionId) {
+      try {
+        const payload = verifyChatSessionToken(getBearerToken(req));
+        if (payload.sessionId !== sessionId) throw new Error('Session mismatch');
+      } catch (tokenError) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'A valid session token is required to book from a chat session'
+        });
+      }
+    }
+
+    const { appointment, teamMember: member, conflict } = await appointmentService.book({
+      teamMemberId: teamMember,
+      start: new Date(start),
+      client: { name, email, phone },
+      timeZone,
+      notes,
+      sessionId
+    });
+
+    if (conflict) {
+      return res.status(409).json({
+        status: 'error',
+        message: conflict
+      });
+    }
+
+    if (sessionId) {
+      emitToSession(sessionId, 'appointment-booked', {
+        appointmentId: appointment._id,
+        start: appointment.start,
+        end: appointment.end,
+        label: appointmentService.formatInTimeZone(appointment.start, appointment.timeZone),
+        teamMember: { _id: member._id, name: member.name }
+      });
+    }
+
+    // The manage token is only ever returned here, so the client can keep it
+    res.status(201).json({
+      status: 'success',
+      data: {
+        ...appointment.toJSON(),
+        teamMember: { _id: member._id, name: member.name, position: member.position, image: member.image },
+        label: appointmentService.formatInTimeZone(appointment.start, appointment.timeZone)
+      }
+    });
+  } catch (error) {
+    console.error('Error booking appointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to book appointment'
+    });
+  }
+});
+
+// Load the appointment for a client manage token or answer 404
+const loadByManageToken = async (req, res) => {
+  const appointment = await Appointment.findByManageToken(req.params.token)
+    .populate('teamMember', 'name position image');
+
+  if (!appointment) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Appointment not found'
+    });
+    return null;
+  }
+
+  return appointment;
+};
+
+// Get an appointment by its client manage token
+router.get('/manage/:token', async (req, res) => {
+  try {
+    const appointment = await loadByManageToken(req, res);
+    if (!appointment) return;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...appointment.toJSON(),
+        label: appointmentService.formatInTimeZone(appointment.start, appointment.timeZone)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch appointment'
+    });
+  }
+});
+
+// Download a client's appointment as an iCalendar file
+router.get('/manage/:token/calendar.ics', async (req, res) => {
+  try {
+    const appointment = await loadByManageToken(req, res);
+    if (!appointment) return;
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="consultation.ics"');
+    res.status(200).send(appointmentService.buildCalendar('Design consultation', [appointment]));
+  } catch (error) {
+    console.error('Error building appointment calendar:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to build appointment calendar'
+    });
+  }
+});
+
+// Reschedule an appointment with its client manage token
+router.patch('/manage/:token/reschedule', [
+  body('start').isISO8601().withMessage('Start must be a valid date and time'),
+  timeZoneValidator(body('timeZone'))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await loadByManageToken(req, res);
+    if (!appointment) return;
+
+    if (appointment.status !== 'scheduled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only scheduled appointments can be rescheduled'
+      });
+    }
+
+    appointment.depopulate('teamMember');
+    if (req.body.timeZone) {
+      appointment.timeZone = req.body.timeZone;
+    }
+
+    const { conflict } = await appointmentService.reschedule(appointment, { start: new Date(req.body.start) });
+
+    if (conflict) {
+      return res.status(409).json({
+        status: 'error',
+        message: conflict
+      });
+    }
+
+    await appointment.populate('teamMember', 'name position image');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...appointment.toJSON(),
+        label: appointmentService.formatInTimeZone(appointment.start, appointment.timeZone)
+      }
+    });
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reschedule appointment'
+    });
+  }
+});
+
+// Cancel an appointment with its client manage token
+router.patch('/manage/:token/cancel', [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await loadByManageToken(req, res);
+    if (!appointment) return;
+
+    if (appointment.status !== 'scheduled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only scheduled appointments can be cancelled'
+      });
+    }
+
+    await appointmentService.cancel(appointment, { reason: req.body.reason, cancelledBy: 'client' });
+
+    res.status(200).json({
+      status: 'success',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel appointment'
+    });
+  }
+});
+
+// Get all appointments with filtering and pagination
+router.get('/', protect, authorize('appointment:read'), async (req, res) => {
+  try {
+    const { teamMember, status, lead, from, to, limit = 50, page = 1 } = req.query;
+
+    let query = {};
+    if (teamMember) query.teamMember = teamMember;
+    if (status) query.status = { $in: status.split(',') };
+    if (lead) query.lead = lead;
+
+    if (from || to) {
+      query.start = {};
+      if (from) query.start.$gte = new Date(from);
+      if (to) query.start.$lte = new Date(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const appointments = await Appointment.find(query)
+      .populate('teamMember', 'name position image')
+      .populate('lead', 'name email status')
+      .sort({ start: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Appointment.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        appointments,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + appointments.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch appointments'
+    });
+  }
+});
+
+// Get single appointment
+router.get('/:id', protect, authorize('appointment:read'), async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('teamMember', 'name position image')
+      .populate('lead', 'name email status')
+      .populate('rescheduleHistory.changedBy', 'name');
+
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch appointment'
+    });
+  }
+});
+
+// Reschedule an appointment, optionally moving it to another team member
+router.patch('/:id/reschedule', protect, authorize('appointment:manage'), [
+  body('start').isISO8601().withMessage('Start must be a valid date and time'),
+  body('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes'),
+  body('teamMember').optional().isMongoId().withMessage('Invalid team member ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.status !== 'scheduled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only scheduled appointments can be rescheduled'
+      });
+    }
+
+    const { conflict } = await appointmentService.reschedule(appointment, {
+      start: new Date(req.body.start),
+      duration: req.body.duration ? parseInt(req.body.duration) : undefined,
+      teamMemberId: req.body.teamMember
+    }, req.user);
+
+    if (conflict) {
+      return res.status(409).json({
+        status: 'error',
+        message: conflict
+      });
+    }
+
+    await appointment.populate('teamMember', 'name position image');
+
+    res.status(200).json({
+      status: 'success',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reschedule appointment'
+    });
+  }
+});
+
+// Cancel an appointment
+router.patch('/:id/cancel', protect, authorize('appointment:manage'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.status !== 'scheduled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only scheduled appointments can be cancelled'
+      });
+    }
+
+    await appointmentService.cancel(appointment, { reason: req.body.reason, cancelledBy: 'staff' });
+
+    res.status(200).json({
+      status: 'success',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel appointment'
+    });
+  }
+});
+
+// Mark a past appointment completed or missed
+router.patch('/:id/status', protect, authorize('appointment:manage'), [
+  body('status').isIn(['completed', 'no-show']).withMessage('Status must be completed or no-show')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cancelled appointments cannot change status'
+      });
+    }
+
+    appointment.status = req.body.status;
+    await appointment.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error updating appointment status:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update appointment status'
+    });
+  }
+});
+
+module.exports = router;
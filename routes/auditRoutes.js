@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+// All audit queries require an owner or admin
+router.use(protect, authorize('audit:read'));
+
+// Get audit log entries with filtering and pagination
+router.get('/', async (req, res) => {
+  try {
+    const {
+      entityType,
+      entityId,
+      actor,
+      action,
+      startDate,
+      endDate,
+      limit = 50,
+      page = 1
+    } = req.query;
+
+    let query = {};
+
+    if (entityType) query.entityType = entityType;
+    if (action) query.action = action;
+
+    if (entityId) {
+      if (!mongoose.Types.ObjectId.isValid(entityId)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid entity ID'
+        });
+      }
+      query.entityId = entityId;
+    }
+
+    // Actor can be a user ID or an email address
+    if (actor) {
+      if (mongoose.Types.ObjectId.isValid(actor)) {
+        query.actor = actor;
+      } else {
+        query.actorEmail = actor.toLowerCase();
+      }
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid date range'
+        });
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entries,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + entries.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// Get the change history of a single design or team member
+router.get('/:entityType/:entityId', async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const { limit = 50 } = req.query;
+
+    if (!['Design', 'TeamMember'].includes(entityType)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Entity type must be Design or TeamMember'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid entity ID'
+      });
+    }
+
+    const entries = await AuditLog.getEntityHistory(entityType, entityId, parseInt(limit));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entityType,
+        entityId,
+        entries,
+        total: entries.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching entity history:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch entity history'
+    });
+  }
+});
+
+module.exports = router;
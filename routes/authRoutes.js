@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { body, validationResult } = require('express-validator');
+const { protect, issueTokens, verifyRefreshToken } = require('../middleware/auth');
+
+// Create the initial owner account (only allowed while no users exist)
+router.post('/setup', [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingUsers = await User.countDocuments();
+    if (existingUsers > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Setup has already been completed'
+      });
+    }
+
+    const { name, email, password } = req.body;
+    const user = new User({ name, email, password, role: 'owner' });
+    await user.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        user,
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating initial owner:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create initial owner'
+    });
+  }
+});
+
+// Log in with email and password
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+    const user = await User.findByEmailWithPassword(email);
+
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user,
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log in'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(req.body.refreshToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(payload.id);
+
+    if (!user || !user.isActive || user.tokenVersion !== payload.version) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: issueTokens(user)
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// Log out and revoke all tokens issued to the current user
+router.post('/logout', protect, async (req, res) => {
+  try {
+    req.user.tokenVersion += 1;
+    await req.user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log out'
+    });
+  }
+});
+
+// Get the currently authenticated user
+router.get('/me', protect, async (req, res) => {
+  try {
+    await req.user.populate('teamMember', 'name position image');
+
+    res.status(200).json({
+      status: 'success',
+      data: req.user
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch current user'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+const ChatFlow = require('../models/ChatFlow');
+const chatFlowService = require('../services/chatFlowService');
+const { DEFAULT_CHAT_FLOW } = require('../constants/defaultChatFlow');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+// All chat flow administration requires an owner or admin
+router.use(protect, authorize('chatflow:manage'));
+
+// Step graphs are checked by the model; these only cover the shape of the request
+const flowValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+    field('startStep').trim().notEmpty().withMessage('Start step is required'),
+    field('steps').isArray({ min: 1 }).withMessage('Steps must be a non-empty array'),
+    field('completionMessage').trim().notEmpty().withMessage('Completion message is required'),
+    body('steps.*.key').optional().isString().withMessage('Step keys must be strings'),
+    body('steps.*.entity').optional().isIn(ChatFlow.ENTITY_TYPES).withMessage('Invalid entity type'),
+    body('steps.*.field').optional().isIn(ChatFlow.COLLECTED_FIELDS).withMessage('Invalid field'),
+    body('nextSteps').optional().isArray().withMessage('Next steps must be an array'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('changeNote').optional().trim().isLength({ max: 200 }).withMessage('Change note cannot exceed 200 characters'),
+    body('activate').optional().isBoolean().withMessage('activate must be a boolean')
+  ];
+};
+
+// Get all flows with their active and latest versions
+router.get('/', async (req, res) => {
+  try {
+    const versions = await ChatFlow.find()
+      .select('key version name isActive createdAt')
+      .sort({ key: 1, version: -1 });
+
+    const flows = [];
+    versions.forEach((version) => {
+      let flow = flows.find(candidate => candidate.key === version.key);
+      if (!flow) {
+        flow = { key: version.key, name: version.name, latestVersion: version.version, activeVersion: null, versions: 0, updatedAt: version.createdAt };
+        flows.push(flow);
+      }
+      flow.versions += 1;
+      if (version.isActive) flow.activeVersion = version.version;
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        flows,
+        chatbotFlowKey: chatFlowService.flowKey
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching chat flows:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch chat flows'
+    });
+  }
+});
+
+// Get the built-in flow the chatbot runs while no version is active, as a starting point for new flows
+router.get('/built-in', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: DEFAULT_CHAT_FLOW
+  });
+});
+
+// Get the active version of a flow
+router.get('/:key', async (req, res) => {
+  try {
+    const flow = await ChatFlow.findActive(req.params.key);
+
+    if (!flow) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active version of this chat flow'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: flow
+    });
+  } catch (error) {
+    console.error('Error fetching chat flow:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch chat flow'
+    });
+  }
+});
+
+// Get the version history of a flow
+router.get('/:key/versions', async (req, res) => {
+  try {
+    const versions = await ChatFlow.find({ key: req.params.key })
+      .select('-steps')
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+
+    if (versions.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat flow not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error fetching chat flow versions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch chat flow versions'
+    });
+  }
+});
+
+// Get one version of a flow
+router.get('/:key/versions/:version', async (req, res) => {
+  try {
+    const flow = await ChatFlow.findVersion(req.params.key, parseInt(req.params.version))
+      .populate('createdBy', 'name email');
+
+    if (!flow) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat flow version not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: flow
+    });
+  } catch (error) {
+    console.error('Error fetching chat flow version:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch chat flow version'
+    });
+  }
+});
+
+// Create a flow as version 1
+router.post('/', [
+  body('key').trim().toLowerCase().matches(/^[a-z0-9_-]+$/).withMessage('Key may only contain lowercase letters, numbers, _ and -'),
+  ...flowValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await ChatFlow.exists({ key: req.body.key })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A chat flow with this key already exists; update it to save a new version'
+      });
+    }
+
+    const flow = await chatFlowService.createVersion(req.body.key, req.body, req.user, { activate: req.body.activate === true });
+
+    res.status(201).json({
+      status: 'success',
+      data: flow
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Another version of this flow was saved at the same time, please try again'
+      });
+    }
+    console.error('Error creating chat flow:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create chat flow'
+    });
+  }
+});
+
+// Save changes as the next version; fields left out are copied from the latest version
+router.put('/:key', flowValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const latest = await ChatFlow.findOne({ key: req.params.key }).sort({ version: -1 });
+
+    if (!latest) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat flow not found'
+      });
+    }
+
+    const definition = { ...chatFlowService.getDefinition(latest), ...req.body };
+    const flow = await chatFlowService.createVersion(latest.key, definition, req.user, { activate: req.body.activate === true });
+
+    res.status(201).json({
+      status: 'success',
+      data: flow
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Another version of this flow was saved at the same time, please try again'
+      });
+    }
+    console.error('Error updating chat flow:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update chat flow'
+    });
+  }
+});
+
+// Make a version the one new chats start on; running chats keep their version
+router.post('/:key/versions/:version/activate', async (req, res) => {
+  try {
+    const flow = await ChatFlow.findVersion(req.params.key, parseInt(req.params.version));
+
+    if (!flow) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat flow version not found'
+      });
+    }
+
+    await chatFlowService.activate(flow);
+
+    res.status(200).json({
+      status: 'success',
+      data: flow
+    });
+  } catch (error) {
+    console.error('Error activating chat flow version:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to activate chat flow version'
+    });
+  }
+});
+
+// Stop using a flow for new chats, so the chatbot falls back to the built-in flow
+router.post('/:key/deactivate', async (req, res) => {
+  try {
+    await ChatFlow.updateMany({ key: req.params.key }, { isActive: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Chat flow deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Error deactivating chat flow:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to deactivate chat flow'
+    });
+  }
+});
+
+// Delete a flow and all its versions; chats pinned to it move to the active or built-in flow
+router.delete('/:key', async (req, res) => {
+  try {
+    const result = await ChatFlow.deleteMany({ key: req.params.key });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat flow not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Chat flow deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting chat flow:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete chat flow'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const router = express.Router();
+const ChatTranscript = require('../models/ChatTranscript');
+const chatSimulatorService = require('../services/chatSimulatorService');
+const { body, query, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+// Simulating chats is part of chat flow administration
+router.use(protect, authorize('chatflow:manage'));
+
+// Turns are plain messages or { message, quickReply } objects
+const turnsValidator = (optional) => [
+  (optional ? body('turns').optional() : body('turns'))
+    .isArray({ min: 1, max: 100 }).withMessage('Turns must be an array of 1 to 100 messages'),
+  body('turns.*').custom((turn) => {
+    const message = typeof turn === 'string' ? turn : turn && turn.message;
+    if (typeof message !== 'string' || !message.trim() || message.length > 1000) {
+      throw new Error('Each turn needs a message of 1 to 1000 characters');
+    }
+    if (typeof turn === 'object' && turn.quickReply !== undefined &&
+      (typeof turn.quickReply !== 'string' || turn.quickReply.length > 200)) {
+      throw new Error('Quick replies must be strings of up to 200 characters');
+    }
+    return true;
+  }),
+  body('flow.key').optional({ nullable: true }).isString().withMessage('Flow key must be a string'),
+  body('flow.version').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Flow version must be a whole number').toInt()
+];
+
+const transcriptValidators = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  ...turnsValidator(optional)
+];
+
+// Flow pin as stored on a transcript; no key means the chatbot's own flow, no version its active
+// version, and version 0 the built-in flow
+const readFlow = flow => (flow && flow.key
+  ? { key: flow.key, version: Number.isInteger(flow.version) ? flow.version : undefined }
+  : undefined);
+
+// Run messages through the chatbot without saving anything and report each turn
+router.post('/run', turnsValidator(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await chatSimulatorService.run(req.body.turns, { flow: readFlow(req.body.flow) });
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error simulating chat:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to simulate chat'
+    });
+  }
+});
+
+// Get stored transcripts with their last replay, without their turns
+router.get('/transcripts', async (req, res) => {
+  try {
+    const transcripts = await ChatTranscript.find()
+      .select('-turns')
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: transcripts
+    });
+  } catch (error) {
+    console.error('Error fetching chat transcripts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch chat transcripts'
+    });
+  }
+});
+
+// Replay every stored transcript, optionally only those that run on one flow
+router.post('/transcripts/replay', [
+  query('flow').optional().trim().notEmpty().withMessage('Flow must be a flow key')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const summary = await chatSimulatorService.replayAll({ flowKey: req.query.flow });
+
+    res.status(200).json({
+      status: 'success',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error replaying chat transcripts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to replay chat transcripts'
+    });
+  }
+});
+
+// Get one transcript with its turns and expected results
+router.get('/transcripts/:id', async (req, res) => {
+  try {
+    const transcript = await ChatTranscript.findById(req.params.id)
+      .populate('createdBy updatedBy', 'name email');
+
+    if (!transcript) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat transcript not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: transcript
+    });
+  } catch (error) {
+    console.error('Error fetching chat transcript:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch chat transcript'
+    });
+  }
+});
+
+// Store a transcript, recording what the chatbot does with its turns now as the expected results
+router.post('/transcripts', transcriptValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const flow = readFlow(req.body.flow);
+    const turns = await chatSimulatorService.record(req.body.turns, { flow });
+
+    const transcript = await ChatTranscript.create({
+      name: req.body.name,
+      description: req.body.description,
+      flow,
+      turns,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: transcript
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A chat transcript with this name already exists'
+      });
+    }
+    console.error('Error creating chat transcript:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create chat transcript'
+    });
+  }
+});
+
+// Update a transcript and re-record its expected results, accepting the chatbot's current behaviour
+router.put('/transcripts/:id', transcriptValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transcript = await ChatTranscript.findById(req.params.id);
+
+    if (!transcript) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat transcript not found'
+      });
+    }
+
+    if (req.body.name !== undefined) transcript.name = req.body.name;
+    if (req.body.description !== undefined) transcript.description = req.body.description;
+    if (req.body.flow !== undefined) transcript.flow = readFlow(req.body.flow) || { key: undefined, version: undefined };
+
+    const turns = req.body.turns || transcript.turns.map(({ message, quickReply }) => ({ message, quickReply }));
+    transcript.turns = await chatSimulatorService.record(turns, { flow: readFlow(transcript.flow) });
+    transcript.lastReplay = undefined;
+    transcript.updatedBy = req.user._id;
+    await transcript.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: transcript
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A chat transcript with this name already exists'
+      });
+    }
+    console.error('Error updating chat transcript:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update chat transcript'
+    });
+  }
+});
+
+// Replay one transcript and return the turns whose results changed
+router.post('/transcripts/:id/replay', async (req, res) => {
+  try {
+    const transcript = await ChatTranscript.findById(req.params.id);
+
+    if (!transcript) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat transcript not found'
+      });
+    }
+
+    const result = await chatSimulatorService.replay(transcript);
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error replaying chat transcript:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to replay chat transcript'
+    });
+  }
+});
+
+// Delete a transcript
+router.delete('/transcripts/:id', async (req, res) => {
+  try {
+    const transcript = await ChatTranscript.findByIdAndDelete(req.params.id);
+
+    if (!transcript) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Chat transcript not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Chat transcript deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting chat transcript:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete chat transcript'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,118 +1,127 @@
 const express = require('express');
 const router = express.Router();
-const ChatMessage = require('../models/ChatMessage');
-
-// Simple chatbot response logic
-const getChatbotResponse = (message) => {
-  const lowerMessage = message.toLowerCase();
-  
-  // Basic response patterns
-  if (lowerMessage.includes('hello') || lowerMessage.includes('hi')) {
-    return "Hello! I'm your interior design assistant. How can I help you today?";
-  }
-  
-  if (lowerMessage.includes('design') || lowerMessage.includes('interior')) {
-    return "I'd love to help you with your interior design project! What type of space are you looking to design?";
-  }
-  
-  if (lowerMessage.includes('color') || lowerMessage.includes('paint')) {
-    return "Color selection is crucial for interior design! What mood are you trying to create in your space?";
-  }
-  
-  if (lowerMessage.includes('furniture') || lowerMessage.includes('sofa') || lowerMessage.includes('chair')) {
-    return "Furniture selection is key to creating a functional and beautiful space. What style are you drawn to?";
-  }
-  
-  if (lowerMessage.includes('budget') || lowerMessage.includes('cost') || lowerMessage.includes('price')) {
-    return "Budget planning is important! I can help you find cost-effective design solutions. What's your budget range?";
-  }
-  
-  if (lowerMessage.includes('thank')) {
-    return "You're welcome! I'm here to help with all your interior design questions.";
-  }
-  
-  // Default response
-  return "That's interesting! I'm here to help you with interior design. Could you tell me more about what you're looking for?";
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const leadService = require('../services/leadService');
+const mailerService = require('../services/mailerService');
+const webhookService = require('../services/webhookService');
+const handoffService = require('../services/handoffService');
+const chatAnalyticsService = require('../services/chatAnalyticsService');
+const { query, validationResult } = require('express-validator');
+const { handleVisitorMessage } = require('../socket/socketSetup');
+const { protect, signChatSessionToken, verifyChatSessionToken, getBearerToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+// Start a chat session, returning its ID and the token that proves ownership of it
+const createSession = (userId) => {
+  const sessionId = `chat_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+  const sessionUserId = userId ? userId.trim() : `visitor_${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    sessionId,
+    userId: sessionUserId,
+    token: signChatSessionToken(sessionId, sessionUserId)
+  };
 };
 
+// A user ID is optional, but must be a short non-empty string when given
+const isValidUserId = userId => userId === undefined ||
+  (typeof userId === 'string' && userId.trim() !== '' && userId.length <= 100);
+
+// POST /api/chatbot/session (start a chat and get a signed session token)
+router.post('/session', (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User ID must be a non-empty string of at most 100 characters'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: createSession(userId)
+    });
+  } catch (error) {
+    console.error('Error starting chat session:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to start chat session'
+    });
+  }
+});
+
 // POST /api/chatbot/message
+// Runs the same conversation flow as the Socket.IO chat. Without a sessionId a new session is
+// started and its token returned; to continue a session send its sessionId and the token as a bearer token.
 router.post('/message', async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, sessionId, userId, quickReply } = req.body;
     
-    if (!message || typeof message !== 'string') {
+    if (!message || typeof message !== 'string' || message.trim() === '' || message.length > 1000) {
       return res.status(400).json({
         status: 'error',
-        message: 'Message is required and must be a string'
+        message: 'Message is required and must be a string of at most 1000 characters'
       });
     }
-    
-    // Get chatbot response
-    const response = getChatbotResponse(message);
-    
-    // Create a unique session ID for this chat
-    const sessionId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Try to save chat messages to MongoDB (if available)
-    try {
-      const userMessage = new ChatMessage({
-        sessionId: sessionId,
-        userId: 'anonymous_user', // You can change this to track specific users
-        message: message,
-        response: response,
-        messageType: 'user',
-        intent: 'chat_message',
-        confidence: 1,
-        context: {
-          currentStep: 'chat_conversation'
-        },
-        metadata: {
-          userAgent: req.headers['user-agent'] || '',
-          ipAddress: req.ip || '',
-          timestamp: new Date()
-        }
-      });
-      
-      const botMessage = new ChatMessage({
-        sessionId: sessionId,
-        userId: 'anonymous_user',
-        message: response,
-        response: '',
-        messageType: 'bot',
-        intent: 'chat_response',
-        confidence: 1,
-        context: {
-          currentStep: 'chat_conversation'
-        },
-        metadata: {
-          userAgent: req.headers['user-agent'] || '',
-          ipAddress: req.ip || '',
-          timestamp: new Date()
-        }
-      });
-      
-      // Save both messages to database
-      await userMessage.save();
-      await botMessage.save();
-      
-      console.log('Chat messages saved to MongoDB:', {
-        sessionId,
-        userMessage: message,
-        botResponse: response
-      });
-    } catch (dbError) {
-      console.log('Database not available, chat messages logged only:', {
-        sessionId,
-        userMessage: message,
-        botResponse: response
+
+    if (quickReply !== undefined && (typeof quickReply !== 'string' || quickReply.length > 200)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Quick reply must be a string of at most 200 characters'
       });
     }
     
+    let session;
+    if (sessionId) {
+      try {
+        const payload = verifyChatSessionToken(getBearerToken(req));
+        if (payload.sessionId !== sessionId) throw new Error('Session mismatch');
+        session = { sessionId, userId: payload.userId };
+      } catch (tokenError) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'A valid session token is required to continue this session'
+        });
+      }
+    } else {
+      if (!isValidUserId(userId)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'User ID must be a non-empty string of at most 100 characters'
+        });
+      }
+      session = createSession(userId);
+    }
+    
+    const { botResponse } = await handleVisitorMessage({
+      sessionId: session.sessionId,
+      userId: session.userId,
+      message,
+      quickReply,
+      metadata: {
+        userAgent: req.headers['user-agent'] || '',
+        ipAddress: req.ip || ''
+      }
+    });
+    const handoff = handoffService.get(session.sessionId);
+    
     res.json({
       status: 'success',
-      response: response,
+      // null while a designer has taken over the chat; their replies arrive over Socket.IO
+      response: botResponse ? botResponse.response : null,
+      blocks: botResponse ? botResponse.blocks : undefined,
+      intent: botResponse ? botResponse.intent : 'agent_conversation',
+      isComplete: botResponse ? Boolean(botResponse.isComplete) : false,
+      nextSteps: botResponse ? botResponse.nextSteps : undefined,
+      availableSlots: botResponse ? botResponse.availableSlots : undefined,
+      designs: botResponse ? botResponse.designs : undefined,
+      collectedData: botResponse && botResponse.context ? botResponse.context.collectedData : undefined,
+      handoff: handoff ? handoff.status : null,
       timestamp: new Date().toISOString(),
-      sessionId: sessionId
+      ...session
     });
     
   } catch (error) {
@@ -140,44 +149,19 @@ router.post('/form', async (req, res) => {
     // Create a unique session ID for this contact form submission
     const sessionId = `contact_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    // Try to save contact form data to MongoDB (if available)
+    // Try to save the submission as a lead (if MongoDB is available)
+    let lead = null;
     try {
-      const contactMessage = new ChatMessage({
-        sessionId: sessionId,
-        userId: email, // Use email as user ID
-        message: message,
-        response: 'Contact form submitted successfully',
-        messageType: 'user',
-        intent: 'contact_form',
-        confidence: 1,
-        context: {
-          currentStep: 'contact_form_submitted',
-          collectedData: {
-            name: name,
-            email: email,
-            phone: phone || '',
-            projectType: service || '',
-            additionalNotes: message
-          }
-        },
-        metadata: {
-          userAgent: req.headers['user-agent'] || '',
-          ipAddress: req.ip || '',
-          timestamp: new Date()
-        }
-      });
-      
-      // Save to database
-      await contactMessage.save();
-      console.log('Contact form data saved to MongoDB:', {
+      const result = await leadService.upsertFromForm({ name, email, phone, service, message }, sessionId);
+      lead = result.lead;
+      console.log(`Contact form ${result.isNew ? 'created' : 'updated'} lead:`, {
         sessionId,
-        name,
-        email,
-        phone,
-        service,
-        message
+        leadId: lead._id,
+        email
       });
     } catch (dbError) {
+      // Only a missing connection is expected; other errors mean the submission wasn't saved
+      if (mongoose.connection.readyState === 1) throw dbError;
       console.log('Database not available, contact form data logged only:', {
         sessionId,
         name,
@@ -188,13 +172,34 @@ router.post('/form', async (req, res) => {
       });
     }
     
+    // Notify staff and acknowledge the client without holding up the response
+    mailerService.notifyContactSubmission({ name, email, phone, service, message }, { lead, sessionId })
+      .catch(mailError => console.error('Error sending contact form emails:', mailError));
+    
+    webhookService.emit('contact.submitted', {
+      sessionId,
+      name,
+      email,
+      phone,
+      service,
+      message,
+      leadId: lead ? lead._id : null
+    });
+    
     res.json({
       status: 'success',
       message: 'Thank you for your message! We will get back to you soon.',
-      sessionId: sessionId
+      sessionId: sessionId,
+      leadId: lead ? lead._id : null
     });
     
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     console.error('Contact form error:', error);
     res.status(500).json({
       status: 'error',
@@ -203,6 +208,59 @@ router.post('/form', async (req, res) => {
   }
 });
 
+// Reports default to the last 30 days
+const ANALYTICS_DEFAULT_DAYS = 30;
+
+// GET /api/chatbot/analytics (staff only)
+// Funnel, time per step, confidence spread, completion by day and clusters of messages the bot didn't understand
+router.get('/analytics', protect, authorize('chatbot:analytics'), [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('flow').optional().trim().matches(/^[a-z0-9_-]+$/).withMessage('Invalid flow key'),
+  query('userId').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - ANALYTICS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start date must be before end date'
+      });
+    }
+
+    const report = await chatAnalyticsService.getReport({
+      startDate,
+      endDate,
+      flowKey: req.query.flow,
+      userId: req.query.userId
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error fetching chat analytics:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch chat analytics'
+    });
+  }
+});
+
 // GET /api/chatbot/health
 router.get('/health', (req, res) => {
   res.json({
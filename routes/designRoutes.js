@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const Design = require('../models/Design');
+const auditService = require('../services/auditService');
+const webhookService = require('../services/webhookService');
 const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
 
 // Get all designs with filtering and pagination
 router.get('/', async (req, res) => {
@@ -175,7 +179,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new design
-router.post('/', [
+router.post('/', protect, authorize('design:create'), [
   body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
   body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('category').isIn(['residential', 'commercial', 'kitchen', 'bathroom', 'living-room', 'bedroom', 'office', 'outdoor', 'other']).withMessage('Invalid category'),
@@ -197,10 +201,15 @@ router.post('/', [
     
     const design = new Design(req.body);
     await design.save();
+    await auditService.record({ entityType: 'Design', action: 'create', after: design, req });
     
     // Populate team member info
     await design.populate('teamMember', 'name position image');
     
+    if (design.isPublished) {
+      webhookService.emit('design.published', { design: design.toJSON() });
+    }
+    
     res.status(201).json({
       status: 'success',
       data: design
@@ -215,7 +224,7 @@ router.post('/', [
 });
 
 // Update design
-router.put('/:id', [
+router.put('/:id', protect, authorize('design:update'), [
   body('title').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
   body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('category').optional().isIn(['residential', 'commercial', 'kitchen', 'bathroom', 'living-room', 'bedroom', 'office', 'outdoor', 'other']).withMessage('Invalid category'),
@@ -235,17 +244,25 @@ router.put('/:id', [
       });
     }
     
+    const existing = await Design.findById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Design not found'
+      });
+    }
+    
     const design = await Design.findByIdAndUpdate(
       req.params.id,
       req.body,
       { new: true, runValidators: true }
     ).populate('teamMember', 'name position image');
     
-    if (!design) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Design not found'
-      });
+    await auditService.record({ entityType: 'Design', action: 'update', before: existing, after: design, req });
+    
+    if (design.isPublished && !existing.isPublished) {
+      webhookService.emit('design.published', { design: design.toJSON() });
     }
     
     res.status(200).json({
@@ -262,7 +279,7 @@ router.put('/:id', [
 });
 
 // Delete design
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, authorize('design:delete'), async (req, res) => {
   try {
     const design = await Design.findByIdAndDelete(req.params.id);
     
@@ -273,6 +290,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    await auditService.record({ entityType: 'Design', action: 'delete', before: design, req });
+    
     res.status(200).json({
       status: 'success',
       message: 'Design deleted successfully'
@@ -287,7 +306,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Toggle design featured status
-router.patch('/:id/toggle-featured', async (req, res) => {
+router.patch('/:id/toggle-featured', protect, authorize('design:feature'), async (req, res) => {
   try {
     const design = await Design.findById(req.params.id);
     
@@ -298,8 +317,10 @@ router.patch('/:id/toggle-featured', async (req, res) => {
       });
     }
     
+    const before = auditService.toPlain(design);
     design.isFeatured = !design.isFeatured;
     await design.save();
+    await auditService.record({ entityType: 'Design', action: 'toggle-featured', before, after: design, req });
     
     res.status(200).json({
       status: 'success',
@@ -314,6 +335,64 @@ router.patch('/:id/toggle-featured', async (req, res) => {
   }
 });
 
+// Update design image order
+router.patch('/:id/images/order', protect, authorize('design:order'), [
+  body('order').isArray({ min: 1 }).withMessage('Order must be a non-empty array of image IDs'),
+  body('order.*').isMongoId().withMessage('Invalid image ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const design = await Design.findById(req.params.id);
+    
+    if (!design) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Design not found'
+      });
+    }
+    
+    const { order } = req.body;
+    const imageIds = design.images.map(image => image._id.toString());
+    const isPermutation = order.length === imageIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => imageIds.includes(id));
+    
+    if (!isPermutation) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Order must list every image of the design exactly once'
+      });
+    }
+    
+    const before = auditService.toPlain(design);
+    order.forEach((imageId, index) => {
+      design.images.id(imageId).order = index;
+    });
+    design.images.sort((a, b) => a.order - b.order);
+    await design.save();
+    await auditService.record({ entityType: 'Design', action: 'order', before, after: design, req });
+    
+    res.status(200).json({
+      status: 'success',
+      data: design.images
+    });
+  } catch (error) {
+    console.error('Error updating design image order:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update design image order'
+    });
+  }
+});
+
 // Like design
 router.post('/:id/like', async (req, res) => {
   try {
@@ -328,6 +407,12 @@ router.post('/:id/like', async (req, res) => {
     
     await design.incrementLikes();
     
+    webhookService.emit('design.liked', {
+      designId: design._id,
+      title: design.title,
+      likes: design.likes
+    });
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -344,7 +429,7 @@ router.post('/:id/like', async (req, res) => {
 });
 
 // Add before/after images
-router.post('/:id/before-after', [
+router.post('/:id/before-after', protect, authorize('design:before-after'), [
   body('beforeImage').isURL().withMessage('Before image URL must be valid'),
   body('afterImage').isURL().withMessage('After image URL must be valid'),
   body('caption').optional().trim().isLength({ max: 200 }).withMessage('Caption cannot exceed 200 characters')
@@ -368,8 +453,10 @@ router.post('/:id/before-after', [
       });
     }
     
+    const before = auditService.toPlain(design);
     design.beforeAfterImages.push(req.body);
     await design.save();
+    await auditService.record({ entityType: 'Design', action: 'update', before, after: design, req });
     
     res.status(200).json({
       status: 'success',
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const EmailTemplate = require('../models/EmailTemplate');
+const EmailLog = require('../models/EmailLog');
+const mailerService = require('../services/mailerService');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+// All email administration requires an owner or admin
+router.use(protect, authorize('email:manage'));
+
+// Get all templates, stored overrides merged over the built-in defaults
+router.get('/templates', async (req, res) => {
+  try {
+    const stored = await EmailTemplate.find().sort({ key: 1 });
+    const defaults = mailerService.getDefaultTemplates();
+
+    const templates = Object.entries(defaults).map(([key, template]) => {
+      const override = stored.find(item => item.key === key);
+      return override
+        ? { ...override.toJSON(), isDefault: false, hasDefault: true }
+        : { key, ...template, isActive: true, isDefault: true, hasDefault: true };
+    });
+
+    // Custom templates without a built-in counterpart
+    stored
+      .filter(item => !defaults[item.key])
+      .forEach(item => templates.push({ ...item.toJSON(), isDefault: false, hasDefault: false }));
+
+    res.status(200).json({
+      status: 'success',
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch email templates'
+    });
+  }
+});
+
+// Get single template
+router.get('/templates/:key', async (req, res) => {
+  try {
+    const template = await mailerService.getTemplate(req.params.key);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Email template not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch email template'
+    });
+  }
+});
+
+// Create or update a stored template
+router.put('/templates/:key', [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('subject').trim().isLength({ min: 1, max: 200 }).withMessage('Subject must be between 1 and 200 characters'),
+  body('text').isLength({ min: 1, max: 10000 }).withMessage('Text body must be between 1 and 10000 characters'),
+  body('html').optional().isLength({ max: 20000 }).withMessage('HTML body cannot exceed 20000 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const key = req.params.key.toLowerCase();
+    const defaults = mailerService.getDefaultTemplates()[key];
+    const { name, description, subject, text, html, isActive } = req.body;
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { key },
+      {
+        key,
+        name: name || (defaults && defaults.name) || key,
+        description: description !== undefined ? description : defaults && defaults.description,
+        subject,
+        text,
+        html,
+        isActive: isActive !== undefined ? isActive : true,
+        updatedBy: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save email template'
+    });
+  }
+});
+
+// Delete a stored template, reverting to the built-in default if there is one
+router.delete('/templates/:key', async (req, res) => {
+  try {
+    const template = await EmailTemplate.findOneAndDelete({ key: req.params.key.toLowerCase() });
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Email template not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting email template:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete email template'
+    });
+  }
+});
+
+// Render a template with sample variables without sending it
+router.post('/templates/:key/preview', async (req, res) => {
+  try {
+    const template = await mailerService.getTemplate(req.params.key);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Email template not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: mailerService.render(template, req.body.variables || {})
+    });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to preview email template'
+    });
+  }
+});
+
+// Get email delivery log
+router.get('/logs', async (req, res) => {
+  try {
+    const { status, template, to, limit = 50, page = 1 } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+    if (template) query.template = template;
+    if (to) query.to = to.toLowerCase();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const logs = await EmailLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await EmailLog.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        logs,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + logs.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching email logs:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch email logs'
+    });
+  }
+});
+
+module.exports = router;
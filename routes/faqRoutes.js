@@ -0,0 +1,420 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const FaqEntry = require('../models/FaqEntry');
+const UnansweredQuestion = require('../models/UnansweredQuestion');
+const faqService = require('../services/faqService');
+const { body, query, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+// All FAQ administration requires staff with FAQ access
+router.use(protect, authorize('faq:manage'));
+
+const faqValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('question').trim().isLength({ min: 1, max: 300 }).withMessage('Question is required and cannot exceed 300 characters'),
+    field('answer').trim().isLength({ min: 1, max: 1000 }).withMessage('Answer is required and cannot exceed 1000 characters'),
+    body('alternateQuestions').optional().isArray().withMessage('Alternate questions must be an array'),
+    body('alternateQuestions.*').optional().isString().trim().isLength({ max: 300 }).withMessage('Alternate questions cannot exceed 300 characters'),
+    body('keywords').optional().isArray().withMessage('Keywords must be an array'),
+    body('category').optional().trim().isLength({ max: 50 }).withMessage('Category cannot exceed 50 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Load the unanswered question in req.params.id or answer 404
+const loadUnanswered = async (req, res) => {
+  const unanswered = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await UnansweredQuestion.findById(req.params.id)
+    : null;
+
+  if (!unanswered) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Unanswered question not found'
+    });
+    return null;
+  }
+
+  return unanswered;
+};
+
+// Get all FAQ entries
+router.get('/', async (req, res) => {
+  try {
+    const { category, isActive, search, limit = 20, page = 1 } = req.query;
+
+    let query = {};
+    if (category) query.category = category;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      query.$or = [
+        { question: { $regex: search, $options: 'i' } },
+        { alternateQuestions: { $regex: search, $options: 'i' } },
+        { answer: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await FaqEntry.find(query)
+      .sort({ category: 1, question: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await FaqEntry.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entries,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + entries.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching FAQ entries:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch FAQ entries'
+    });
+  }
+});
+
+// Rank active entries against a question the way the chatbot does, to test wording
+router.get('/match', [
+  query('q').trim().notEmpty().withMessage('Query is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const results = await faqService.search(req.query.q);
+    const best = results[0];
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        minConfidence: faqService.minConfidence,
+        answeredWith: best && best.confidence >= faqService.minConfidence ? best.entry._id : null,
+        results: results.map(result => ({
+          entry: result.entry,
+          score: Math.round(result.score * 1000) / 1000,
+          confidence: Math.round(result.confidence * 100) / 100
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error matching FAQ entries:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to match FAQ entries'
+    });
+  }
+});
+
+// Get chat questions the FAQ couldn't answer, most asked first
+router.get('/unanswered', async (req, res) => {
+  try {
+    const { status = 'open', limit = 20, page = 1 } = req.query;
+
+    let query = {};
+    if (status !== 'all') query.status = { $in: status.split(',') };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const questions = await UnansweredQuestion.find(query)
+      .populate('closestFaq', 'question')
+      .populate('answeredBy', 'question')
+      .sort({ occurrences: -1, lastAskedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await UnansweredQuestion.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        questions,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + questions.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching unanswered questions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch unanswered questions'
+    });
+  }
+});
+
+// Answer a logged question, either with a new entry or as another wording of an existing one
+router.post('/unanswered/:id/answer', [
+  body('faqId').optional().isMongoId().withMessage('Invalid FAQ entry ID'),
+  body('answer').if(body('faqId').not().exists()).trim().isLength({ min: 1, max: 1000 }).withMessage('Answer is required and cannot exceed 1000 characters'),
+  body('question').optional().trim().isLength({ min: 1, max: 300 }).withMessage('Question cannot exceed 300 characters'),
+  body('category').optional().trim().isLength({ max: 50 }).withMessage('Category cannot exceed 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const unanswered = await loadUnanswered(req, res);
+    if (!unanswered) return;
+
+    const wording = (req.body.question || unanswered.question).slice(0, 300);
+    let entry;
+
+    if (req.body.faqId) {
+      entry = await FaqEntry.findById(req.body.faqId);
+      if (!entry) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'FAQ entry not found'
+        });
+      }
+
+      if (!entry.alternateQuestions.includes(wording)) {
+        entry.alternateQuestions.push(wording);
+      }
+      entry.updatedBy = req.user._id;
+      await entry.save();
+    } else {
+      entry = await FaqEntry.create({
+        question: wording,
+        answer: req.body.answer,
+        category: req.body.category,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+    }
+
+    faqService.invalidate();
+
+    unanswered.status = 'answered';
+    unanswered.answeredBy = entry._id;
+    unanswered.resolvedBy = req.user._id;
+    unanswered.resolvedAt = new Date();
+    await unanswered.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        question: unanswered,
+        entry
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error answering question:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to answer question'
+    });
+  }
+});
+
+// Dismiss a logged question that doesn't need an FAQ entry
+router.post('/unanswered/:id/dismiss', async (req, res) => {
+  try {
+    const unanswered = await loadUnanswered(req, res);
+    if (!unanswered) return;
+
+    unanswered.status = 'dismissed';
+    unanswered.resolvedBy = req.user._id;
+    unanswered.resolvedAt = new Date();
+    await unanswered.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: unanswered
+    });
+  } catch (error) {
+    console.error('Error dismissing question:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to dismiss question'
+    });
+  }
+});
+
+// Get single FAQ entry
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await FaqEntry.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'FAQ entry not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error fetching FAQ entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch FAQ entry'
+    });
+  }
+});
+
+// Create FAQ entry
+router.post('/', faqValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { question, answer, alternateQuestions, keywords, category, isActive } = req.body;
+    const entry = await FaqEntry.create({
+      question,
+      answer,
+      alternateQuestions,
+      keywords,
+      category,
+      isActive,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    faqService.invalidate();
+
+    res.status(201).json({
+      status: 'success',
+      data: entry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error creating FAQ entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create FAQ entry'
+    });
+  }
+});
+
+// Update FAQ entry
+router.put('/:id', faqValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await FaqEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'FAQ entry not found'
+      });
+    }
+
+    ['question', 'answer', 'alternateQuestions', 'keywords', 'category', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        entry[field] = req.body[field];
+      }
+    });
+    entry.updatedBy = req.user._id;
+    await entry.save();
+
+    faqService.invalidate();
+
+    res.status(200).json({
+      status: 'success',
+      data: entry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error updating FAQ entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update FAQ entry'
+    });
+  }
+});
+
+// Delete FAQ entry
+router.delete('/:id', async (req, res) => {
+  try {
+    const entry = await FaqEntry.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'FAQ entry not found'
+      });
+    }
+
+    faqService.invalidate();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'FAQ entry deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting FAQ entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete FAQ entry'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const ChatMessage = require('../models/ChatMessage');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+const handoffService = require('../services/handoffService');
+const { emitToSession, sendAgentMessage } = require('../socket/socketSetup');
+
+// All inbox routes require an authenticated staff member
+router.use(protect);
+
+// Get chat sessions with their last message, collected data and completion state
+router.get('/sessions', authorize('inbox:read'), async (req, res) => {
+  try {
+    const { resolved, intent, startDate, endDate, search, limit = 20, page = 1 } = req.query;
+
+    let sessionIds;
+
+    // Full-text search narrows the inbox to sessions with a matching message
+    if (search) {
+      sessionIds = await ChatMessage.distinct('sessionId', { $text: { $search: search } });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const { sessions, total } = await ChatMessage.getSessionSummaries({
+      sessionIds,
+      resolved: resolved === 'true' ? true : resolved === 'false' ? false : undefined,
+      intent,
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      skip,
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + sessions.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching inbox sessions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch inbox sessions'
+    });
+  }
+});
+
+// Get sessions waiting for a human and sessions currently handled by an agent
+router.get('/handoffs', authorize('inbox:read'), (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      waiting: handoffService.getWaiting().map((handoff, index) => ({ ...handoff, position: index + 1 })),
+      active: handoffService.getActive()
+    }
+  });
+});
+
+// Get the full transcript of a session
+router.get('/sessions/:sessionId', authorize('inbox:read'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { limit = 200 } = req.query;
+
+    const messages = await ChatMessage.getConversationHistory(sessionId, parseInt(limit));
+
+    if (messages.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    const { sessions } = await ChatMessage.getSessionSummaries({ sessionIds: [sessionId], limit: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        session: sessions[0],
+        messages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching inbox session:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch inbox session'
+    });
+  }
+});
+
+// Mark a session resolved or reopen it
+router.patch('/sessions/:sessionId/resolve', authorize('inbox:manage'), [
+  body('resolved').optional().isBoolean().withMessage('Resolved must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId } = req.params;
+    const resolved = req.body.resolved !== undefined ? req.body.resolved : true;
+
+    const result = await ChatMessage.setSessionResolved(sessionId, resolved);
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    emitToSession(sessionId, 'session-resolved', { sessionId, isResolved: resolved });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessionId,
+        isResolved: resolved
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving inbox session:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to resolve inbox session'
+    });
+  }
+});
+
+// Post a staff reply into a session and deliver it live to the visitor
+router.post('/sessions/:sessionId/reply', authorize('inbox:manage'), [
+  body('message').trim().isLength({ min: 1, max: 1000 }).withMessage('Message must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId } = req.params;
+
+    if (!(await ChatMessage.exists({ sessionId }))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    const agentMessage = await sendAgentMessage(sessionId, {
+      userId: req.user._id.toString(),
+      name: req.user.name
+    }, req.body.message);
+
+    res.status(201).json({
+      status: 'success',
+      data: agentMessage
+    });
+  } catch (error) {
+    console.error('Error posting inbox reply:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to post inbox reply'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,491 @@
+const express = require('express');
+const router = express.Router();
+const Lead = require('../models/Lead');
+const assignmentService = require('../services/assignmentService');
+const webhookService = require('../services/webhookService');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+// All lead routes require an authenticated staff member
+router.use(protect);
+
+const leadValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('email').isEmail().withMessage('A valid email is required'),
+    body('name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('source').optional().isIn(['form', 'chat']).withMessage('Invalid source'),
+    body('status').optional().isIn(Lead.STATUSES).withMessage('Invalid status'),
+    body('assignedTo').optional().isMongoId().withMessage('Invalid team member ID'),
+    body('additionalNotes').optional().trim().isLength({ max: 2000 }).withMessage('Additional notes cannot exceed 2000 characters')
+  ];
+};
+
+// Fields staff can set directly on a lead
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'projectType', 'roomType', 'roomSize', 'budget', 'timeline', 'designStyle', 'additionalNotes'];
+
+// Get all leads with filtering and pagination
+router.get('/', authorize('lead:read'), async (req, res) => {
+  try {
+    const {
+      status,
+      source,
+      projectType,
+      designStyle,
+      assignedTo,
+      search,
+      startDate,
+      endDate,
+      limit = 20,
+      page = 1,
+      sortBy = 'lastActivityAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    let query = {};
+
+    if (status) query.status = { $in: status.split(',') };
+    if (source) query.sources = source;
+    if (projectType) query.projectType = projectType;
+    if (designStyle) query.designStyle = designStyle;
+    if (assignedTo === 'unassigned') query.assignedTo = null;
+    else if (assignedTo) query.assignedTo = assignedTo;
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sortOptions = {};
+    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const leads = await Lead.find(query)
+      .populate('assignedTo', 'name position image')
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Lead.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        leads,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + leads.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching leads:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch leads'
+    });
+  }
+});
+
+// Get lead counts per pipeline status
+router.get('/stats/pipeline', authorize('lead:read'), async (req, res) => {
+  try {
+    const counts = await Lead.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const pipeline = Lead.STATUSES.reduce((result, status) => {
+      const entry = counts.find(count => count._id === status);
+      result[status] = entry ? entry.count : 0;
+      return result;
+    }, {});
+
+    res.status(200).json({
+      status: 'success',
+      data: pipeline
+    });
+  } catch (error) {
+    console.error('Error fetching lead pipeline stats:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch lead pipeline stats'
+    });
+  }
+});
+
+// Get single lead
+router.get('/:id', authorize('lead:read'), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id)
+      .populate('assignedTo', 'name position image')
+      .populate('notes.author', 'name email')
+      .populate('statusHistory.changedBy', 'name email');
+
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: lead
+    });
+  } catch (error) {
+    console.error('Error fetching lead:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch lead'
+    });
+  }
+});
+
+// Create new lead manually
+router.post('/', authorize('lead:create'), leadValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await Lead.findByEmail(req.body.email)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A lead with this email already exists'
+      });
+    }
+
+    const source = req.body.source || 'form';
+    const lead = new Lead({ source, sources: [source], status: req.body.status || 'new' });
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) lead[field] = req.body[field];
+    });
+
+    if (req.body.assignedTo) {
+      const member = await assignmentService.assignManually(lead, req.body.assignedTo, req.user);
+      if (!member) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Team member not found'
+        });
+      }
+    } else {
+      await assignmentService.autoAssign(lead);
+    }
+
+    await lead.save();
+    webhookService.emit('lead.created', { lead: lead.toJSON() });
+
+    res.status(201).json({
+      status: 'success',
+      data: lead
+    });
+  } catch (error) {
+    console.error('Error creating lead:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create lead'
+    });
+  }
+});
+
+// Update lead details
+router.put('/:id', authorize('lead:update'), leadValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+
+    if (req.body.email && req.body.email.toLowerCase() !== lead.email && await Lead.findByEmail(req.body.email)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A lead with this email already exists'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) lead[field] = req.body[field];
+    });
+    if (req.body.status) lead.setStatus(req.body.status, req.user._id);
+    lead.lastActivityAt = new Date();
+    await lead.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: lead
+    });
+  } catch (error) {
+    console.error('Error updating lead:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update lead'
+    });
+  }
+});
+
+// Move lead to another pipeline status
+router.patch('/:id/status', authorize('lead:update'), [
+  body('status').isIn(Lead.STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+
+    lead.setStatus(req.body.status, req.user._id);
+    lead.lastActivityAt = new Date();
+    await lead.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: lead
+    });
+  } catch (error) {
+    console.error('Error updating lead status:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update lead status'
+    });
+  }
+});
+
+// Get the assignment history of a lead
+router.get('/:id/assignments', authorize('lead:read'), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id)
+      .select('assignedTo assignmentHistory')
+      .populate('assignedTo', 'name position image')
+      .populate('assignmentHistory.teamMember', 'name position image')
+      .populate('assignmentHistory.assignedBy', 'name email');
+
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        assignedTo: lead.assignedTo,
+        history: lead.assignmentHistory
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching lead assignments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch lead assignments'
+    });
+  }
+});
+
+// Manually reassign a lead to a team member
+router.patch('/:id/assign', authorize('lead:assign'), [
+  body('teamMember').isMongoId().withMessage('Invalid team member ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+
+    const member = await assignmentService.assignManually(lead, req.body.teamMember, req.user, req.body.reason);
+
+    if (!member) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Team member not found'
+      });
+    }
+
+    lead.lastActivityAt = new Date();
+    await lead.save();
+    await lead.populate('assignedTo', 'name position image');
+
+    res.status(200).json({
+      status: 'success',
+      data: lead
+    });
+  } catch (error) {
+    console.error('Error assigning lead:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to assign lead'
+    });
+  }
+});
+
+// Re-run automatic assignment for a lead
+router.post('/:id/auto-assign', authorize('lead:assign'), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+
+    const result = await assignmentService.autoAssign(lead);
+
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'No active team members available for assignment'
+      });
+    }
+
+    lead.lastActivityAt = new Date();
+    await lead.save();
+    await lead.populate('assignedTo', 'name position image');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        lead,
+        score: result.score,
+        matched: result.matched
+      }
+    });
+  } catch (error) {
+    console.error('Error auto-assigning lead:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to auto-assign lead'
+    });
+  }
+});
+
+// Add a note to a lead
+router.post('/:id/notes', authorize('lead:update'), [
+  body('text').trim().isLength({ min: 1, max: 2000 }).withMessage('Note must be between 1 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+
+    lead.notes.push({
+      text: req.body.text,
+      author: req.user._id,
+      authorName: req.user.name
+    });
+    lead.lastActivityAt = new Date();
+    await lead.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: lead.notes[lead.notes.length - 1]
+    });
+  } catch (error) {
+    console.error('Error adding lead note:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add lead note'
+    });
+  }
+});
+
+// Delete lead
+router.delete('/:id', authorize('lead:delete'), async (req, res) => {
+  try {
+    const lead = await Lead.findByIdAndDelete(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lead not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lead deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting lead:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete lead'
+    });
+  }
+});
+
+module.exports = router;
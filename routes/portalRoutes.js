@@ -0,0 +1,360 @@
+const express = require('express');
+const router = express.Router();
+const PortalLink = require('../models/PortalLink');
+const Project = require('../models/Project');
+const Quote = require('../models/Quote');
+const Appointment = require('../models/Appointment');
+const portalService = require('../services/portalService');
+const quoteService = require('../services/quoteService');
+const appointmentService = require('../services/appointmentService');
+const { body, validationResult } = require('express-validator');
+const { protectClient, issuePortalSession } = require('../middleware/auth');
+
+// Client view of a quote: internal references are dropped and the public link is added
+const toClientQuote = (req, quote) => {
+  const { publicToken, createdBy, updatedBy, lead, design, ...data } = quote.toJSON();
+  return {
+    ...data,
+    publicUrl: quoteService.getPublicUrl(req, quote)
+  };
+};
+
+// Client view of an appointment with its self-service link
+const toClientAppointment = (req, appointment) => {
+  const { manageToken, bookedBy, lead, sessionId, ...data } = appointment.toJSON();
+  return {
+    ...data,
+    label: appointmentService.formatInTimeZone(appointment.start, appointment.timeZone),
+    manageUrl: `${req.protocol}://${req.get('host')}/api/appointments/manage/${appointment.manageToken}`
+  };
+};
+
+// Client view of project comments
+const toClientComments = project => project.comments.map(comment => ({
+  _id: comment._id,
+  message: comment.message,
+  author: { type: comment.author.type, name: comment.author.name },
+  milestone: comment.milestone,
+  createdAt: comment.createdAt
+}));
+
+// Load one of the client's own projects or answer 404
+const loadClientProject = async (req, res) => {
+  const project = await Project.findOne({ _id: req.params.id, 'client.email': req.client.email })
+    .populate('teamMembers', 'name position image');
+
+  if (!project) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+// Request a sign-in link by email
+router.post('/request-link', [
+  body('email').isEmail().withMessage('A valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const email = portalService.normalizeEmail(req.body.email);
+
+    // Answer the same way for every email so the portal does not reveal who is a client
+    portalService.requestLink(req, email)
+      .catch(error => console.error('Error sending portal link:', error));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If we have projects for this email, a sign-in link is on its way.'
+    });
+  } catch (error) {
+    console.error('Error requesting portal link:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to request sign-in link'
+    });
+  }
+});
+
+// Exchange a sign-in link token for a client session
+router.post('/session', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const link = await PortalLink.redeem(req.body.token, req.ip);
+
+    if (!link) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'This sign-in link is invalid, expired or has already been used'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        email: link.email,
+        ...issuePortalSession(link.email)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating portal session:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create portal session'
+    });
+  }
+});
+
+// Everything below is scoped to the signed-in client's email
+router.use(protectClient);
+
+// Get the signed-in client with counts of their records
+router.get('/me', async (req, res) => {
+  try {
+    const { email } = req.client;
+    const [name, counts] = await Promise.all([
+      portalService.getClientName(email),
+      portalService.getCounts(email)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: { email, name, counts }
+    });
+  } catch (error) {
+    console.error('Error fetching portal client:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch client details'
+    });
+  }
+});
+
+// Get the client's projects
+router.get('/projects', async (req, res) => {
+  try {
+    const projects = await Project.find(portalService.getScopes(req.client.email).project)
+      .populate('teamMembers', 'name position image')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: projects.map(project => project.toClientJSON())
+    });
+  } catch (error) {
+    console.error('Error fetching portal projects:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch projects'
+    });
+  }
+});
+
+// Get one of the client's projects with milestones and progress photos
+router.get('/projects/:id', async (req, res) => {
+  try {
+    const project = await loadClientProject(req, res);
+    if (!project) return;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...project.toClientJSON(),
+        comments: toClientComments(project)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching portal project:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch project'
+    });
+  }
+});
+
+// Get the project timeline without internal notes and spend
+router.get('/projects/:id/timeline', async (req, res) => {
+  try {
+    const project = await loadClientProject(req, res);
+    if (!project) return;
+
+    const timeline = project.getTimeline()
+      .filter(event => event.type !== 'expense')
+      .map(({ by, note, author, ...event }) => (
+        author ? { ...event, author: { type: author.type, name: author.name } } : event
+      ));
+
+    res.status(200).json({
+      status: 'success',
+      data: timeline
+    });
+  } catch (error) {
+    console.error('Error fetching portal project timeline:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch project timeline'
+    });
+  }
+});
+
+// Get comments on a project
+router.get('/projects/:id/comments', async (req, res) => {
+  try {
+    const project = await loadClientProject(req, res);
+    if (!project) return;
+
+    res.status(200).json({
+      status: 'success',
+      data: toClientComments(project)
+    });
+  } catch (error) {
+    console.error('Error fetching portal comments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch comments'
+    });
+  }
+});
+
+// Post a comment to the team
+router.post('/projects/:id/comments', [
+  body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Comment must be between 1 and 2000 characters'),
+  body('milestone').optional().isMongoId().withMessage('Invalid milestone ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadClientProject(req, res);
+    if (!project) return;
+
+    const { message, milestone } = req.body;
+
+    if (milestone && !project.milestones.id(milestone)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Milestone not found'
+      });
+    }
+
+    project.comments.push({
+      message,
+      milestone,
+      author: { type: 'client', name: project.client.name }
+    });
+    await project.save();
+
+    const comment = project.comments[project.comments.length - 1];
+    portalService.notifyClientComment(project, comment)
+      .catch(error => console.error('Error sending portal comment email:', error));
+
+    res.status(201).json({
+      status: 'success',
+      data: toClientComments(project)
+    });
+  } catch (error) {
+    console.error('Error posting portal comment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to post comment'
+    });
+  }
+});
+
+// Get the proposals sent to the client
+router.get('/quotes', async (req, res) => {
+  try {
+    const quotes = await Quote.find(portalService.getScopes(req.client.email).quote)
+      .select('+publicToken')
+      .populate('teamMember', 'name position image')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: quotes.map(quote => toClientQuote(req, quote))
+    });
+  } catch (error) {
+    console.error('Error fetching portal quotes:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quotes'
+    });
+  }
+});
+
+// Get one proposal sent to the client
+router.get('/quotes/:id', async (req, res) => {
+  try {
+    const quote = await Quote.findOne({ _id: req.params.id, ...portalService.getScopes(req.client.email).quote })
+      .select('+publicToken')
+      .populate('teamMember', 'name position image');
+
+    if (!quote) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quote not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: toClientQuote(req, quote)
+    });
+  } catch (error) {
+    console.error('Error fetching portal quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quote'
+    });
+  }
+});
+
+// Get the client's appointments
+router.get('/appointments', async (req, res) => {
+  try {
+    const appointments = await Appointment.find(portalService.getScopes(req.client.email).appointment)
+      .select('+manageToken')
+      .populate('teamMember', 'name position image')
+      .sort({ start: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: appointments.map(appointment => toClientAppointment(req, appointment))
+    });
+  } catch (error) {
+    console.error('Error fetching portal appointments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch appointments'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,827 @@
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const Lead = require('../models/Lead');
+const Quote = require('../models/Quote');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+const portalService = require('../services/portalService');
+const { BUDGET_RANGES } = require('../constants/projectOptions');
+
+// All project routes require an authenticated staff member
+router.use(protect);
+
+const projectValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 200 }).withMessage('Name must be between 2 and 200 characters'),
+    body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+    body('client.name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Client name must be between 2 and 100 characters'),
+    body('client.email').optional().isEmail().withMessage('Client email must be valid'),
+    body('lead').optional().isMongoId().withMessage('Invalid lead ID'),
+    body('quote').optional().isMongoId().withMessage('Invalid quote ID'),
+    body('design').optional({ nullable: true }).isMongoId().withMessage('Invalid design ID'),
+    body('teamMembers').optional().isArray().withMessage('Team members must be an array'),
+    body('teamMembers.*').isMongoId().withMessage('Invalid team member ID'),
+    body('startDate').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+    body('targetEndDate').optional({ nullable: true }).isISO8601().withMessage('Target end date must be a valid date'),
+    body('budget.amount').optional().isFloat({ min: 0 }).withMessage('Budget must be a non-negative number'),
+    body('budget.range').optional({ nullable: true }).isIn(Object.keys(BUDGET_RANGES)).withMessage('Invalid budget range'),
+    body('budget.currency').optional().isISO4217().withMessage('Currency must be a three-letter ISO code'),
+    body('milestones').optional().isArray().withMessage('Milestones must be an array'),
+    body('milestones.*.title').trim().isLength({ min: 1, max: 200 }).withMessage('Milestone title must be between 1 and 200 characters'),
+    body('milestones.*.dueDate').optional({ nullable: true }).isISO8601().withMessage('Milestone due date must be a valid date')
+  ];
+};
+
+const milestoneValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('dueDate').optional({ nullable: true }).isISO8601().withMessage('Due date must be a valid date'),
+    body('order').optional().isInt({ min: 0 }).withMessage('Order must be a non-negative integer')
+  ];
+};
+
+// Fields staff can set directly on a project
+const EDITABLE_FIELDS = ['name', 'description', 'client', 'design', 'teamMembers', 'location', 'startDate', 'targetEndDate', 'budget'];
+
+// Client, team, design and budget carried over from an accepted quote or a lead
+const getProjectDefaults = async ({ quote: quoteId, lead: leadId }) => {
+  const defaults = {};
+
+  if (leadId) {
+    const lead = await Lead.findById(leadId);
+    if (!lead) return null;
+
+    defaults.lead = lead._id;
+    defaults.client = { name: lead.name, email: lead.email, phone: lead.phone };
+    defaults.teamMembers = lead.assignedTo ? [lead.assignedTo] : [];
+    defaults.budget = { range: BUDGET_RANGES[lead.budget] ? lead.budget : undefined };
+  }
+
+  if (quoteId) {
+    const quote = await Quote.findById(quoteId);
+    if (!quote) return null;
+
+    const details = quote.projectDetails || {};
+    defaults.quote = quote._id;
+    defaults.lead = quote.lead || defaults.lead;
+    defaults.design = quote.design;
+    defaults.name = quote.title;
+    defaults.location = details.location;
+    defaults.client = {
+      ...defaults.client,
+      name: quote.client.name || (defaults.client && defaults.client.name),
+      email: quote.client.email || (defaults.client && defaults.client.email)
+    };
+    defaults.teamMembers = quote.teamMember ? [quote.teamMember] : defaults.teamMembers;
+    defaults.budget = {
+      amount: quote.totals.total,
+      range: details.budget || (defaults.budget && defaults.budget.range),
+      currency: quote.currency
+    };
+  }
+
+  return defaults;
+};
+
+// Load the project in req.params.id or answer 404
+const loadProject = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+// Load a milestone of a project or answer 404
+const findMilestone = (project, req, res) => {
+  const milestone = project.milestones.id(req.params.milestoneId);
+
+  if (!milestone) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Milestone not found'
+    });
+    return null;
+  }
+
+  return milestone;
+};
+
+// Get all projects with filtering and pagination
+router.get('/', authorize('project:read'), async (req, res) => {
+  try {
+    const { status, teamMember, lead, search, limit = 20, page = 1 } = req.query;
+
+    let query = {};
+    if (status) query.status = { $in: status.split(',') };
+    if (teamMember) query.teamMembers = teamMember;
+    if (lead) query.lead = lead;
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { 'client.name': { $regex: search, $options: 'i' } },
+        { 'client.email': { $regex: search, $options: 'i' } },
+        { location: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const projects = await Project.find(query)
+      .populate('teamMembers', 'name position image')
+      .populate('design', 'title')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Project.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        projects,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + projects.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch projects'
+    });
+  }
+});
+
+// Get single project
+router.get('/:id', authorize('project:read'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .populate('teamMembers', 'name position image')
+      .populate('design', 'title category designStyle images')
+      .populate('lead', 'name email status')
+      .populate('quote', 'number title status totals currency');
+
+    if (!project) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Project not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: project
+    });
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch project'
+    });
+  }
+});
+
+// Get the project timeline: status changes, completed milestones, photos and expenses
+router.get('/:id/timeline', authorize('project:read'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .populate('statusHistory.changedBy', 'name')
+      .populate('milestones.completedBy', 'name')
+      .populate('milestones.photos.uploadedBy', 'name')
+      .populate('expenses.recordedBy', 'name');
+
+    if (!project) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Project not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: project.getTimeline()
+    });
+  } catch (error) {
+    console.error('Error fetching project timeline:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch project timeline'
+    });
+  }
+});
+
+// Create new project, optionally from an accepted quote or a lead
+router.post('/', authorize('project:create'), projectValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const defaults = await getProjectDefaults(req.body);
+
+    if (!defaults) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Lead or quote not found'
+      });
+    }
+
+    const project = new Project({ ...defaults, createdBy: req.user._id });
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined) return;
+      // Merge nested objects so partial client or budget details keep their defaults
+      project[field] = ['client', 'budget'].includes(field)
+        ? { ...project.toObject()[field], ...req.body[field] }
+        : req.body[field];
+    });
+
+    (req.body.milestones || []).forEach((milestone, index) => {
+      project.milestones.push({
+        title: milestone.title,
+        description: milestone.description,
+        dueDate: milestone.dueDate,
+        order: milestone.order !== undefined ? milestone.order : index
+      });
+    });
+
+    await project.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: project
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error creating project:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create project'
+    });
+  }
+});
+
+// Update project
+router.put('/:id', authorize('project:update'), projectValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        project[field] = req.body[field];
+      }
+    });
+
+    await project.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: project
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error updating project:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update project'
+    });
+  }
+});
+
+// Update project status
+router.patch('/:id/status', authorize('project:update'), [
+  body('status').isIn(Project.STATUSES).withMessage('Invalid status'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    project.setStatus(req.body.status, req.user._id, req.body.note);
+    await project.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: project
+    });
+  } catch (error) {
+    console.error('Error updating project status:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update project status'
+    });
+  }
+});
+
+// Delete project
+router.delete('/:id', authorize('project:delete'), async (req, res) => {
+  try {
+    const project = await Project.findByIdAndDelete(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Project not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete project'
+    });
+  }
+});
+
+// Add milestone
+router.post('/:id/milestones', authorize('project:update'), milestoneValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const { title, description, dueDate, order } = req.body;
+    project.milestones.push({
+      title,
+      description,
+      dueDate,
+      order: order !== undefined ? order : project.milestones.length
+    });
+    await project.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: project.milestones
+    });
+  } catch (error) {
+    console.error('Error adding milestone:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add milestone'
+    });
+  }
+});
+
+// Reorder milestones
+router.patch('/:id/milestones/order', authorize('project:update'), [
+  body('order').isArray({ min: 1 }).withMessage('Order must be a non-empty array of milestone IDs'),
+  body('order.*').isMongoId().withMessage('Invalid milestone ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const { order } = req.body;
+    const milestoneIds = project.milestones.map(milestone => milestone._id.toString());
+    const isPermutation = order.length === milestoneIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => milestoneIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Order must list every milestone of the project exactly once'
+      });
+    }
+
+    order.forEach((milestoneId, index) => {
+      project.milestones.id(milestoneId).order = index;
+    });
+    await project.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: project.milestones
+    });
+  } catch (error) {
+    console.error('Error reordering milestones:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reorder milestones'
+    });
+  }
+});
+
+// Update milestone
+router.put('/:id/milestones/:milestoneId', authorize('project:update'), milestoneValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const milestone = findMilestone(project, req, res);
+    if (!milestone) return;
+
+    ['title', 'description', 'dueDate', 'order'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        milestone[field] = req.body[field];
+      }
+    });
+    await project.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: milestone
+    });
+  } catch (error) {
+    console.error('Error updating milestone:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update milestone'
+    });
+  }
+});
+
+// Mark milestone complete or reopen it
+router.patch('/:id/milestones/:milestoneId/complete', authorize('project:update'), [
+  body('completed').optional().isBoolean().withMessage('Completed must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const milestone = findMilestone(project, req, res);
+    if (!milestone) return;
+
+    const completed = req.body.completed !== undefined ? Boolean(req.body.completed) : true;
+    milestone.completedAt = completed ? milestone.completedAt || new Date() : undefined;
+    milestone.completedBy = completed ? milestone.completedBy || req.user._id : undefined;
+
+    // Completing the first milestone starts a project that is still being planned
+    if (completed && project.status === 'planning') {
+      project.setStatus('in-progress', req.user._id, `Milestone completed: ${milestone.title}`);
+    }
+
+    await project.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        milestone,
+        progress: project.progress
+      }
+    });
+  } catch (error) {
+    console.error('Error completing milestone:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to complete milestone'
+    });
+  }
+});
+
+// Delete milestone
+router.delete('/:id/milestones/:milestoneId', authorize('project:update'), async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const milestone = findMilestone(project, req, res);
+    if (!milestone) return;
+
+    milestone.deleteOne();
+    await project.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Milestone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting milestone:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete milestone'
+    });
+  }
+});
+
+// Attach progress photos returned by the upload routes to a milestone
+router.post('/:id/milestones/:milestoneId/photos', authorize('project:update'), [
+  body('photos').isArray({ min: 1, max: 20 }).withMessage('Photos must be an array of 1 to 20 items'),
+  body('photos.*.url').isString().notEmpty().withMessage('Each photo needs a URL'),
+  body('photos.*.caption').optional().trim().isLength({ max: 200 }).withMessage('Caption cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const milestone = project.addMilestonePhotos(req.params.milestoneId, req.body.photos, req.user._id);
+
+    if (!milestone) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Milestone not found'
+      });
+    }
+
+    await project.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: milestone
+    });
+  } catch (error) {
+    console.error('Error attaching milestone photos:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to attach milestone photos'
+    });
+  }
+});
+
+// Remove a progress photo from a milestone
+router.delete('/:id/milestones/:milestoneId/photos/:photoId', authorize('project:update'), async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const milestone = findMilestone(project, req, res);
+    if (!milestone) return;
+
+    const photo = milestone.photos.id(req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Photo not found'
+      });
+    }
+
+    photo.deleteOne();
+    await project.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Photo removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing milestone photo:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove milestone photo'
+    });
+  }
+});
+
+// Record an expense against the budget
+router.post('/:id/expenses', authorize('project:update'), [
+  body('description').trim().isLength({ min: 1, max: 300 }).withMessage('Description must be between 1 and 300 characters'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+  body('category').optional().isIn(Project.EXPENSE_CATEGORIES).withMessage('Invalid expense category'),
+  body('vendor').optional().trim().isLength({ max: 100 }).withMessage('Vendor cannot exceed 100 characters'),
+  body('milestone').optional().isMongoId().withMessage('Invalid milestone ID'),
+  body('incurredAt').optional().isISO8601().withMessage('Incurred at must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const { description, amount, category, vendor, milestone, incurredAt } = req.body;
+
+    if (milestone && !project.milestones.id(milestone)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Milestone not found'
+      });
+    }
+
+    project.expenses.push({ description, amount, category, vendor, milestone, incurredAt, recordedBy: req.user._id });
+    await project.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        expenses: project.expenses,
+        actualSpend: project.actualSpend,
+        budgetRemaining: project.budgetRemaining
+      }
+    });
+  } catch (error) {
+    console.error('Error recording expense:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to record expense'
+    });
+  }
+});
+
+// Delete an expense
+router.delete('/:id/expenses/:expenseId', authorize('project:update'), async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const expense = project.expenses.id(req.params.expenseId);
+
+    if (!expense) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+
+    expense.deleteOne();
+    await project.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        actualSpend: project.actualSpend,
+        budgetRemaining: project.budgetRemaining
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting expense:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete expense'
+    });
+  }
+});
+
+// Get the comment thread with the client
+router.get('/:id/comments', authorize('project:read'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).populate('comments.author.user', 'name email');
+
+    if (!project) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Project not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: project.comments
+    });
+  } catch (error) {
+    console.error('Error fetching project comments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch project comments'
+    });
+  }
+});
+
+// Reply to the client; they are emailed a link to the portal
+router.post('/:id/comments', authorize('project:update'), [
+  body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Comment must be between 1 and 2000 characters'),
+  body('milestone').optional().isMongoId().withMessage('Invalid milestone ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const { message, milestone } = req.body;
+
+    if (milestone && !project.milestones.id(milestone)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Milestone not found'
+      });
+    }
+
+    project.comments.push({
+      message,
+      milestone,
+      author: { type: 'staff', name: req.user.name, user: req.user._id }
+    });
+    await project.save();
+
+    const comment = project.comments[project.comments.length - 1];
+    portalService.notifyTeamReply(req, project, comment)
+      .catch(error => console.error('Error sending project reply email:', error));
+
+    res.status(201).json({
+      status: 'success',
+      data: project.comments
+    });
+  } catch (error) {
+    console.error('Error adding project comment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add project comment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,540 @@
+const express = require('express');
+const router = express.Router();
+const Quote = require('../models/Quote');
+const QuoteVersion = require('../models/QuoteVersion');
+const quoteService = require('../services/quoteService');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+const { BUDGET_RANGES, TIMELINE_OPTIONS } = require('../constants/projectOptions');
+
+const quoteValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().isLength({ min: 2, max: 200 }).withMessage('Title must be between 2 and 200 characters'),
+    body('lead').optional().isMongoId().withMessage('Invalid lead ID'),
+    body('design').optional().isMongoId().withMessage('Invalid design ID'),
+    body('teamMember').optional().isMongoId().withMessage('Invalid team member ID'),
+    body('client.name').optional().trim().isLength({ max: 100 }).withMessage('Client name cannot exceed 100 characters'),
+    body('client.email').optional().isEmail().withMessage('Client email must be valid'),
+    body('projectDetails.budget').optional({ nullable: true }).isIn(Object.keys(BUDGET_RANGES)).withMessage('Invalid budget range'),
+    body('projectDetails.timeline').optional({ nullable: true }).isIn(Object.keys(TIMELINE_OPTIONS)).withMessage('Invalid timeline'),
+    body('currency').optional().isISO4217().withMessage('Currency must be a three-letter ISO code'),
+    field('lineItems').isArray().withMessage('Line items must be an array'),
+    body('lineItems.*.category').isIn(Quote.LINE_ITEM_CATEGORIES).withMessage('Invalid line item category'),
+    body('lineItems.*.description').trim().isLength({ min: 1, max: 300 }).withMessage('Line item description must be between 1 and 300 characters'),
+    body('lineItems.*.quantity').optional().isFloat({ min: 0 }).withMessage('Quantity must be a non-negative number'),
+    body('lineItems.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be a non-negative number'),
+    body('lineItems.*.taxable').optional().isBoolean().withMessage('Taxable must be a boolean'),
+    body('discount.type').optional().isIn(['percent', 'amount']).withMessage('Discount type must be percent or amount'),
+    body('discount.value').optional().isFloat({ min: 0 }).withMessage('Discount must be a non-negative number'),
+    body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+    body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Valid until must be a valid date'),
+    body('changeNote').optional().trim().isLength({ max: 500 }).withMessage('Change note cannot exceed 500 characters')
+  ];
+};
+
+// Fields staff can set directly on a quote
+const EDITABLE_FIELDS = ['title', 'teamMember', 'client', 'projectDetails', 'currency', 'lineItems', 'discount', 'taxRate', 'notes', 'terms', 'validUntil'];
+
+// Load a quote by its public token, answering 404 for unknown or unsent quotes
+const loadPublicQuote = async (req, res) => {
+  const quote = await Quote.findByPublicToken(req.params.token).populate('teamMember', 'name position image');
+
+  if (!quote || quote.status === 'draft') {
+    res.status(404).json({
+      status: 'error',
+      message: 'Quote not found'
+    });
+    return null;
+  }
+
+  return quote;
+};
+
+// Client-facing view of a quote without internal fields
+const toPublicQuote = (quote) => {
+  const { publicToken, createdBy, updatedBy, lead, design, response, ...data } = quote.toJSON();
+  return {
+    ...data,
+    response: response && response.decision
+      ? { decision: response.decision, version: response.version, respondedAt: response.respondedAt }
+      : undefined
+  };
+};
+
+// Get a quote through the client's public link
+router.get('/public/:token', async (req, res) => {
+  try {
+    const quote = await loadPublicQuote(req, res);
+    if (!quote) return;
+
+    res.status(200).json({
+      status: 'success',
+      data: toPublicQuote(quote)
+    });
+  } catch (error) {
+    console.error('Error fetching public quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quote'
+    });
+  }
+});
+
+// Rendered quote page with accept and decline buttons
+router.get('/public/:token/html', async (req, res) => {
+  try {
+    const quote = await loadPublicQuote(req, res);
+    if (!quote) return;
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.status(200).send(quoteService.renderHtml(quote, {
+      teamMember: quote.teamMember,
+      actionUrl: quoteService.getPublicUrl(req, quote)
+    }));
+  } catch (error) {
+    console.error('Error rendering public quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to render quote'
+    });
+  }
+});
+
+// Quote as a PDF through the client's public link
+router.get('/public/:token/pdf', async (req, res) => {
+  try {
+    const quote = await loadPublicQuote(req, res);
+    if (!quote) return;
+
+    const pdf = await quoteService.renderPdf(quote, { teamMember: quote.teamMember });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${quote.number}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error('Error rendering public quote PDF:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to render quote PDF'
+    });
+  }
+});
+
+// Accept or decline a sent quote through the public link
+['accept', 'decline'].forEach((action) => {
+  const decision = action === 'accept' ? 'accepted' : 'declined';
+
+  router.post(`/public/:token/${action}`, [
+    body('version').isInt({ min: 1 }).withMessage('The version being responded to is required'),
+    body('name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const quote = await loadPublicQuote(req, res);
+      if (!quote) return;
+
+      if (quote.status !== 'sent' || quote.isExpired) {
+        return res.status(409).json({
+          status: 'error',
+          message: quote.isExpired ? 'This quote has expired' : `This quote has already been ${quote.status}`
+        });
+      }
+
+      // The client must be answering the version they were shown
+      if (parseInt(req.body.version) !== quote.version) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'This quote has been revised since you opened it; please review the latest version'
+        });
+      }
+
+      quote.depopulate('teamMember');
+      await quoteService.respond(quote, {
+        decision,
+        name: req.body.name,
+        comment: req.body.comment,
+        ipAddress: req.ip
+      });
+
+      // Forms on the rendered page go back to the page
+      if (req.is('application/x-www-form-urlencoded')) {
+        return res.redirect(303, `${quoteService.getPublicUrl(req, quote)}/html`);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: toPublicQuote(quote)
+      });
+    } catch (error) {
+      console.error(`Error recording quote ${decision}:`, error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to record your response'
+      });
+    }
+  });
+});
+
+// Everything below is for staff
+router.use(protect);
+
+// Get all quotes with filtering and pagination
+router.get('/', authorize('quote:read'), async (req, res) => {
+  try {
+    const { lead, design, teamMember, status, limit = 20, page = 1 } = req.query;
+
+    let query = {};
+    if (lead) query.lead = lead;
+    if (design) query.design = design;
+    if (teamMember) query.teamMember = teamMember;
+    if (status) query.status = { $in: status.split(',') };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const quotes = await Quote.find(query)
+      .populate('lead', 'name email status')
+      .populate('design', 'title')
+      .populate('teamMember', 'name position image')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Quote.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quotes,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + quotes.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quotes:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quotes'
+    });
+  }
+});
+
+// Get single quote
+router.get('/:id', authorize('quote:read'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id)
+      .populate('lead', 'name email status')
+      .populate('design', 'title projectDetails')
+      .populate('teamMember', 'name position image');
+
+    if (!quote) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quote not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error fetching quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quote'
+    });
+  }
+});
+
+// Get the version history of a quote
+router.get('/:id/versions', authorize('quote:read'), async (req, res) => {
+  try {
+    const versions = await QuoteVersion.find({ quote: req.params.id })
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error fetching quote versions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quote versions'
+    });
+  }
+});
+
+// Get a single version of a quote
+router.get('/:id/versions/:version', authorize('quote:read'), async (req, res) => {
+  try {
+    const version = await QuoteVersion.findOne({ quote: req.params.id, version: parseInt(req.params.version) })
+      .populate('createdBy', 'name email');
+
+    if (!version) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quote version not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: version
+    });
+  } catch (error) {
+    console.error('Error fetching quote version:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quote version'
+    });
+  }
+});
+
+// Get a quote rendered as HTML or PDF
+router.get('/:id/:format(html|pdf)', authorize('quote:read'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id).populate('teamMember', 'name position image');
+
+    if (!quote) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quote not found'
+      });
+    }
+
+    if (req.params.format === 'pdf') {
+      const pdf = await quoteService.renderPdf(quote, { teamMember: quote.teamMember });
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="${quote.number}.pdf"`);
+      return res.status(200).send(pdf);
+    }
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.status(200).send(quoteService.renderHtml(quote, { teamMember: quote.teamMember }));
+  } catch (error) {
+    console.error('Error rendering quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to render quote'
+    });
+  }
+});
+
+// Create new quote for a lead or design
+router.post('/', authorize('quote:manage'), quoteValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.body.lead && !req.body.design) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A quote must be attached to a lead or a design'
+      });
+    }
+
+    const defaults = await quoteService.getDefaults(req.body);
+
+    if (!defaults) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Lead or design not found'
+      });
+    }
+
+    const quote = new Quote({
+      lead: req.body.lead,
+      design: req.body.design,
+      client: defaults.client,
+      projectDetails: defaults.projectDetails,
+      teamMember: req.user.role === 'designer' ? req.user.teamMember : defaults.teamMember,
+      currency: process.env.QUOTE_CURRENCY || 'USD',
+      taxRate: parseFloat(process.env.QUOTE_TAX_RATE) || 0,
+      createdBy: req.user._id
+    });
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined) return;
+      // Merge nested objects so partial client or project details keep their defaults
+      quote[field] = ['client', 'projectDetails'].includes(field)
+        ? { ...quote.toObject()[field], ...req.body[field] }
+        : req.body[field];
+    });
+
+    await quoteService.saveVersion(quote, req.user, req.body.changeNote || 'Created');
+
+    res.status(201).json({
+      status: 'success',
+      data: quote
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error creating quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create quote'
+    });
+  }
+});
+
+// Update quote, saving the result as a new version
+router.put('/:id', authorize('quote:manage'), quoteValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quote not found'
+      });
+    }
+
+    if (quote.status === 'accepted') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Accepted quotes cannot be changed; create a new quote instead'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        quote[field] = req.body[field];
+      }
+    });
+
+    // A revised quote has to be sent again before the client can respond
+    quote.status = 'draft';
+    quote.response = undefined;
+
+    await quoteService.saveVersion(quote, req.user, req.body.changeNote);
+
+    res.status(200).json({
+      status: 'success',
+      data: quote
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error updating quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update quote'
+    });
+  }
+});
+
+// Send the quote to the client with its public link
+router.post('/:id/send', authorize('quote:manage'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id).select('+publicToken');
+
+    if (!quote) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quote not found'
+      });
+    }
+
+    if (['accepted', 'declined'].includes(quote.status)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This quote has already been ${quote.status}`
+      });
+    }
+
+    if (quote.lineItems.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Add at least one line item before sending'
+      });
+    }
+
+    const url = quoteService.getPublicUrl(req, quote);
+    const email = await quoteService.send(quote, { url: `${url}/html`, user: req.user });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quote,
+        publicUrl: url,
+        emailStatus: email ? email.status : 'skipped'
+      }
+    });
+  } catch (error) {
+    console.error('Error sending quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send quote'
+    });
+  }
+});
+
+// Delete quote and its versions
+router.delete('/:id', authorize('quote:delete'), async (req, res) => {
+  try {
+    const quote = await Quote.findByIdAndDelete(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quote not found'
+      });
+    }
+
+    await QuoteVersion.deleteMany({ quote: quote._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Quote deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete quote'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const TeamMember = require('../models/TeamMember');
+const Appointment = require('../models/Appointment');
+const auditService = require('../services/auditService');
+const appointmentService = require('../services/appointmentService');
 const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
 
 // Get all team members
 router.get('/', async (req, res) => {
@@ -87,7 +93,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new team member
-router.post('/', [
+router.post('/', protect, authorize('team:create'), [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   body('position').trim().isLength({ min: 2, max: 100 }).withMessage('Position must be between 2 and 100 characters'),
   body('image').isURL().withMessage('Image must be a valid URL'),
@@ -110,6 +116,7 @@ router.post('/', [
     
     const teamMember = new TeamMember(req.body);
     await teamMember.save();
+    await auditService.record({ entityType: 'TeamMember', action: 'create', after: teamMember, req });
     
     res.status(201).json({
       status: 'success',
@@ -125,7 +132,7 @@ router.post('/', [
 });
 
 // Update team member
-router.put('/:id', [
+router.put('/:id', protect, authorize('team:update'), [
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   body('position').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Position must be between 2 and 100 characters'),
   body('image').optional().isURL().withMessage('Image must be a valid URL'),
@@ -144,19 +151,23 @@ router.put('/:id', [
       });
     }
     
-    const teamMember = await TeamMember.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const existing = await TeamMember.findById(req.params.id);
     
-    if (!teamMember) {
+    if (!existing) {
       return res.status(404).json({
         status: 'error',
         message: 'Team member not found'
       });
     }
     
+    const teamMember = await TeamMember.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    
+    await auditService.record({ entityType: 'TeamMember', action: 'update', before: existing, after: teamMember, req });
+    
     res.status(200).json({
       status: 'success',
       data: teamMember
@@ -171,7 +182,7 @@ router.put('/:id', [
 });
 
 // Delete team member
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, authorize('team:delete'), async (req, res) => {
   try {
     const teamMember = await TeamMember.findByIdAndDelete(req.params.id);
     
@@ -182,6 +193,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    await auditService.record({ entityType: 'TeamMember', action: 'delete', before: teamMember, req });
+    
     res.status(200).json({
       status: 'success',
       message: 'Team member deleted successfully'
@@ -196,7 +209,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Toggle team member active status
-router.patch('/:id/toggle-status', async (req, res) => {
+router.patch('/:id/toggle-status', protect, authorize('team:status'), async (req, res) => {
   try {
     const teamMember = await TeamMember.findById(req.params.id);
     
@@ -207,8 +220,10 @@ router.patch('/:id/toggle-status', async (req, res) => {
       });
     }
     
+    const before = auditService.toPlain(teamMember);
     teamMember.isActive = !teamMember.isActive;
     await teamMember.save();
+    await auditService.record({ entityType: 'TeamMember', action: 'toggle-status', before, after: teamMember, req });
     
     res.status(200).json({
       status: 'success',
@@ -224,7 +239,7 @@ router.patch('/:id/toggle-status', async (req, res) => {
 });
 
 // Update team member order
-router.patch('/:id/order', [
+router.patch('/:id/order', protect, authorize('team:order'), [
   body('order').isInt({ min: 0 }).withMessage('Order must be a non-negative integer')
 ], async (req, res) => {
   try {
@@ -237,12 +252,60 @@ router.patch('/:id/order', [
       });
     }
     
+    const existing = await TeamMember.findById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Team member not found'
+      });
+    }
+    
     const teamMember = await TeamMember.findByIdAndUpdate(
       req.params.id,
       { order: req.body.order },
       { new: true }
     );
     
+    await auditService.record({ entityType: 'TeamMember', action: 'order', before: existing, after: teamMember, req });
+    
+    res.status(200).json({
+      status: 'success',
+      data: teamMember
+    });
+  } catch (error) {
+    console.error('Error updating team member order:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update team member order'
+    });
+  }
+});
+
+// Update team member working hours, time off and time zone
+router.put('/:id/availability', protect, authorize('team:availability'), [
+  body('timeZone').optional().custom(value => appointmentService.isValidTimeZone(value)).withMessage('Invalid time zone'),
+  body('workingHours').optional().isArray().withMessage('Working hours must be an array'),
+  body('workingHours.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('workingHours.*.start').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start must be a time in HH:mm format'),
+  body('workingHours.*.end').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End must be a time in HH:mm format'),
+  body('timeOff').optional().isArray().withMessage('Time off must be an array'),
+  body('timeOff.*.start').isISO8601().withMessage('Time off start must be a valid date'),
+  body('timeOff.*.end').isISO8601().withMessage('Time off end must be a valid date'),
+  body('timeOff.*.reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const teamMember = await TeamMember.findById(req.params.id);
+    
     if (!teamMember) {
       return res.status(404).json({
         status: 'error',
@@ -250,17 +313,130 @@ router.patch('/:id/order', [
       });
     }
     
+    const before = auditService.toPlain(teamMember);
+    ['timeZone', 'workingHours', 'timeOff'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        teamMember[field] = req.body[field];
+      }
+    });
+    
+    try {
+      await teamMember.save();
+    } catch (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+    
+    await auditService.record({ entityType: 'TeamMember', action: 'availability', before, after: teamMember, req });
+    
     res.status(200).json({
       status: 'success',
       data: teamMember
     });
   } catch (error) {
-    console.error('Error updating team member order:', error);
+    console.error('Error updating team member availability:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to update team member order'
+      message: 'Failed to update team member availability'
+    });
+  }
+});
+
+// Build the private iCalendar feed URL of a team member
+const calendarFeedUrl = (req, teamMember) => {
+  return `${req.protocol}://${req.get('host')}/api/team/${teamMember._id}/calendar.ics?token=${teamMember.calendarToken}`;
+};
+
+// Get the private iCalendar feed URL for a team member, creating its token on first use
+router.get('/:id/calendar-feed', protect, authorize('team:availability'), async (req, res) => {
+  try {
+    const teamMember = await TeamMember.findById(req.params.id).select('+calendarToken');
+    
+    if (!teamMember) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Team member not found'
+      });
+    }
+    
+    if (!teamMember.calendarToken) {
+      teamMember.calendarToken = crypto.randomBytes(24).toString('hex');
+      await teamMember.save();
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: { url: calendarFeedUrl(req, teamMember) }
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch calendar feed'
+    });
+  }
+});
+
+// Issue a new feed token, invalidating the old feed URL
+router.post('/:id/calendar-feed', protect, authorize('team:availability'), async (req, res) => {
+  try {
+    const teamMember = await TeamMember.findById(req.params.id).select('+calendarToken');
+    
+    if (!teamMember) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Team member not found'
+      });
+    }
+    
+    teamMember.calendarToken = crypto.randomBytes(24).toString('hex');
+    await teamMember.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: { url: calendarFeedUrl(req, teamMember) }
+    });
+  } catch (error) {
+    console.error('Error regenerating calendar feed:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to regenerate calendar feed'
+    });
+  }
+});
+
+// iCalendar feed of a team member's consultations, authenticated by the feed token
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const teamMember = await TeamMember.findById(req.params.id).select('+calendarToken');
+    
+    if (!teamMember || !teamMember.calendarToken || req.query.token !== teamMember.calendarToken) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar not found'
+      });
+    }
+    
+    // Recent cancellations stay in the feed so subscribed calendars remove them
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const appointments = await Appointment.find({
+      teamMember: teamMember._id,
+      status: { $in: ['scheduled', 'completed', 'cancelled'] },
+      start: { $gte: since }
+    }).sort({ start: 1 });
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="consultations-${teamMember._id}.ics"`);
+    res.status(200).send(appointmentService.buildCalendar(`${teamMember.name} - Consultations`, appointments, { forStaff: true }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to build calendar feed'
     });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
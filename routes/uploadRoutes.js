@@ -4,6 +4,10 @@ const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const path = require('path');
 const fs = require('fs');
+const mongoose = require('mongoose');
+const { protect } = require('../middleware/auth');
+const { authorize, can } = require('../middleware/permissions');
+const Project = require('../models/Project');
 
 // Configure Cloudinary (optional for future use)
 if (process.env.CLOUDINARY_CLOUD_NAME) {
@@ -60,8 +64,42 @@ const uploadLocal = multer({
   }
 });
 
-// Upload single image
-router.post('/image', upload.single('image'), async (req, res) => {
+// Attach uploaded files to a project milestone when projectId and milestoneId are sent.
+// Returns { milestone } on success, { status, message } on failure, or null when not requested.
+const attachToMilestone = async (req, files) => {
+  const { projectId, milestoneId } = req.body;
+  if (!projectId && !milestoneId) return null;
+
+  if (!projectId || !milestoneId) {
+    return { status: 400, message: 'projectId and milestoneId must be sent together' };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(milestoneId)) {
+    return { status: 404, message: 'Project milestone not found' };
+  }
+
+  const allowed = await can({ user: req.user, params: { id: projectId }, body: {} }, 'project:update');
+  if (!allowed) {
+    return { status: 403, message: 'You do not have permission to perform this action' };
+  }
+
+  const project = await Project.findById(projectId);
+  const milestone = project && project.addMilestonePhotos(milestoneId, files.map(file => ({
+    url: `/uploads/${file.filename}`,
+    publicId: file.filename,
+    caption: req.body.caption
+  })), req.user._id);
+
+  if (!milestone) {
+    return { status: 404, message: 'Project milestone not found' };
+  }
+
+  await project.save();
+  return { milestone };
+};
+
+// Upload single image, optionally as a progress photo for a project milestone
+router.post('/image', protect, authorize('upload:create'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -70,6 +108,15 @@ router.post('/image', upload.single('image'), async (req, res) => {
       });
     }
 
+    const attached = await attachToMilestone(req, [req.file]);
+    if (attached && !attached.milestone) {
+      fs.unlinkSync(req.file.path);
+      return res.status(attached.status).json({
+        status: 'error',
+        message: attached.message
+      });
+    }
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -77,7 +124,8 @@ router.post('/image', upload.single('image'), async (req, res) => {
         publicId: req.file.filename,
         originalName: req.file.originalname,
         size: req.file.size,
-        mimetype: req.file.mimetype
+        mimetype: req.file.mimetype,
+        ...(attached && { milestone: attached.milestone })
       }
     });
   } catch (error) {
@@ -90,8 +138,8 @@ router.post('/image', upload.single('image'), async (req, res) => {
   }
 });
 
-// Upload multiple images
-router.post('/images', upload.array('images', 10), async (req, res) => {
+// Upload multiple images, optionally as progress photos for a project milestone
+router.post('/images', protect, authorize('upload:create'), upload.array('images', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -108,11 +156,21 @@ router.post('/images', upload.array('images', 10), async (req, res) => {
       mimetype: file.mimetype
     }));
 
+    const attached = await attachToMilestone(req, req.files);
+    if (attached && !attached.milestone) {
+      req.files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(attached.status).json({
+        status: 'error',
+        message: attached.message
+      });
+    }
+
     res.status(200).json({
       status: 'success',
       data: {
         files: uploadedFiles,
-        total: uploadedFiles.length
+        total: uploadedFiles.length,
+        ...(attached && { milestone: attached.milestone })
       }
     });
   } catch (error) {
@@ -126,7 +184,7 @@ router.post('/images', upload.array('images', 10), async (req, res) => {
 });
 
 // Upload design images with specific folder
-router.post('/design-images', upload.array('images', 10), async (req, res) => {
+router.post('/design-images', protect, authorize('upload:create'), upload.array('images', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -190,7 +248,7 @@ router.post('/design-images', upload.array('images', 10), async (req, res) => {
 });
 
 // Upload team member profile image
-router.post('/team-profile', upload.single('profile'), async (req, res) => {
+router.post('/team-profile', protect, authorize('upload:team-profile'), upload.single('profile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -237,7 +295,7 @@ router.post('/team-profile', upload.single('profile'), async (req, res) => {
 });
 
 // Upload before/after images
-router.post('/before-after', upload.array('images', 2), async (req, res) => {
+router.post('/before-after', protect, authorize('upload:create'), upload.array('images', 2), async (req, res) => {
   try {
     if (!req.files || req.files.length !== 2) {
       return res.status(400).json({
@@ -302,7 +360,7 @@ router.post('/before-after', upload.array('images', 2), async (req, res) => {
 });
 
 // Delete image from Cloudinary
-router.delete('/image/:publicId', async (req, res) => {
+router.delete('/image/:publicId', protect, authorize('upload:delete'), async (req, res) => {
   try {
     const { publicId } = req.params;
 
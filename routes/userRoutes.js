@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const TeamMember = require('../models/TeamMember');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/permissions');
+
+// All user management requires an authenticated user
+router.use(protect);
+
+// Make sure a referenced team member exists before linking it
+const teamMemberExists = async (teamMemberId) => {
+  if (!teamMemberId) return true;
+  return Boolean(await TeamMember.exists({ _id: teamMemberId }));
+};
+
+// Get all users
+router.get('/', authorize('user:manage'), async (req, res) => {
+  try {
+    const { role, active } = req.query;
+
+    let query = {};
+    if (role) query.role = role;
+    if (active === 'true') query.isActive = true;
+    if (active === 'false') query.isActive = false;
+
+    const users = await User.find(query)
+      .populate('teamMember', 'name position image')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch users'
+    });
+  }
+});
+
+// Create new user
+router.post('/', authorize('user:manage'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').isIn(ROLES).withMessage('Invalid role'),
+  body('teamMember').optional({ nullable: true }).isMongoId().withMessage('Invalid team member ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, password, role, teamMember } = req.body;
+
+    if (!(await teamMemberExists(teamMember))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Team member not found'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A user with this email already exists'
+      });
+    }
+
+    const user = new User({ name, email, password, role, teamMember });
+    await user.save();
+    await user.populate('teamMember', 'name position image');
+
+    res.status(201).json({
+      status: 'success',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create user'
+    });
+  }
+});
+
+// Update user role, team member link, status or password
+router.put('/:id', authorize('user:manage'), [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('teamMember').optional({ nullable: true }).isMongoId().withMessage('Invalid team member ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (!(await teamMemberExists(req.body.teamMember))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Team member not found'
+      });
+    }
+
+    ['name', 'role', 'teamMember', 'isActive', 'password'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    });
+
+    // Role, status or password changes invalidate existing sessions
+    if (['role', 'isActive', 'password'].some(field => req.body[field] !== undefined)) {
+      user.tokenVersion += 1;
+    }
+
+    await user.save();
+    await user.populate('teamMember', 'name position image');
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update user'
+    });
+  }
+});
+
+// Delete user
+router.delete('/:id', authorize('user:manage'), async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete user'
+    });
+  }
+});
+
+module.exports = router;
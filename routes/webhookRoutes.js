@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+// All webhook administration requires an owner or admin
+router.use(protect, authorize('webhook:manage'));
+
+const subscriptionValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be a valid http(s) URL'),
+    field('events').isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+    body('events.*').isIn(WebhookSubscription.EVENTS).withMessage('Invalid event'),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Load the subscription in req.params.id or answer 404
+const loadSubscription = async (req, res) => {
+  const subscription = await WebhookSubscription.findById(req.params.id);
+
+  if (!subscription) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Webhook subscription not found'
+    });
+    return null;
+  }
+
+  return subscription;
+};
+
+// List the events that can be subscribed to
+router.get('/events', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: WebhookSubscription.EVENTS
+  });
+});
+
+// Get all subscriptions
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: subscriptions
+    });
+  } catch (error) {
+    console.error('Error fetching webhook subscriptions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch webhook subscriptions'
+    });
+  }
+});
+
+// Get single subscription
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    res.status(200).json({
+      status: 'success',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Error fetching webhook subscription:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch webhook subscription'
+    });
+  }
+});
+
+// Create subscription; the signing secret is only returned here and when rotated
+router.post('/', subscriptionValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    const subscription = new WebhookSubscription({ url, events, description, isActive, createdBy: req.user._id });
+    await subscription.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        ...subscription.toJSON(),
+        secret: subscription.secret
+      }
+    });
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create webhook subscription'
+    });
+  }
+});
+
+// Update subscription
+router.put('/:id', subscriptionValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    ['url', 'events', 'description', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    });
+    await subscription.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update webhook subscription'
+    });
+  }
+});
+
+// Replace the signing secret
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    subscription.secret = WebhookSubscription.generateSecret();
+    await subscription.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...subscription.toJSON(),
+        secret: subscription.secret
+      }
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to rotate webhook secret'
+    });
+  }
+});
+
+// Send a test ping and return the delivery
+router.post('/:id/ping', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const delivery = await webhookService.ping(subscription);
+
+    res.status(200).json({
+      status: 'success',
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to ping webhook'
+    });
+  }
+});
+
+// Delete subscription and its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook subscription not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook subscription deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete webhook subscription'
+    });
+  }
+});
+
+// Get the delivery log of a subscription
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status, event, limit = 20, page = 1 } = req.query;
+
+    let query = { subscription: req.params.id };
+    if (status) query.status = { $in: status.split(',') };
+    if (event) query.event = event;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        deliveries,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + deliveries.length < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// Get a single delivery with its payload and attempts
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: req.params.id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch webhook delivery'
+    });
+  }
+});
+
+// Send a delivery again with the same event ID and body
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: req.params.id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    const redelivery = await webhookService.redeliver(delivery, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: redelivery
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to redeliver webhook'
+    });
+  }
+});
+
+module.exports = router;
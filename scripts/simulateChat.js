@@ -0,0 +1,154 @@
+// Run scripted chats through the chatbot from the command line, without saving anything.
+//
+//   npm run simulate -- "hi" "a kitchen remodel" "modern"   run messages as one chat
+//   npm run simulate -- --file chats/kitchen.json           run a transcript file, diffing its expected results
+//   npm run simulate -- --file transcripts                  check every transcript file in a folder
+//   npm run simulate -- --replay [--flow key]               replay stored transcripts
+//
+// Transcript files hold { "flow": { "key", "version" }, "turns": [...] }, with turns written like
+// the API's. Add --json for machine-readable output. Exits with 1 when any expected result differs.
+require('dotenv').config({ path: './config.env' });
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const chatSimulatorService = require('../services/chatSimulatorService');
+
+const readArgs = (argv) => {
+  const args = { messages: [], json: false };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--file') args.file = argv[++index];
+    else if (arg === '--replay') args.replay = true;
+    else if (arg === '--flow') args.flow = argv[++index];
+    else if (arg === '--json') args.json = true;
+    else args.messages.push(arg);
+  }
+  return args;
+};
+
+// Without a database the chatbot runs the built-in flow, so queries should fail fast instead of waiting
+const connect = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+    return true;
+  } catch (error) {
+    console.warn('MongoDB connection failed, simulating with the built-in flow:', error.message);
+    mongoose.set('bufferCommands', false);
+    return false;
+  }
+};
+
+const printTurns = (turns) => {
+  turns.forEach((turn, index) => {
+    const pressed = turn.quickReply ? ` [${turn.quickReply}]` : '';
+    console.log(`${index + 1}. > ${turn.message}${pressed}`);
+    console.log(`   step: ${turn.step}  intent: ${turn.intent} (${turn.confidence})${turn.isComplete ? '  complete' : ''}`);
+    console.log(`   collected: ${JSON.stringify(turn.collectedData)}`);
+    console.log(`   < ${(turn.response || '').replace(/\n/g, '\n     ')}`);
+  });
+};
+
+const printDiffs = (diffs) => {
+  diffs.forEach((diff) => {
+    console.log(`   turn ${diff.turn} "${diff.message}" ${diff.field}:`);
+    console.log(`     expected ${JSON.stringify(diff.expected)}`);
+    console.log(`     actual   ${JSON.stringify(diff.actual)}`);
+  });
+};
+
+// Run a transcript file and diff the turns written with expected results
+const checkFile = async (file, flowKey) => {
+  let script = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (Array.isArray(script)) script = { turns: script };
+
+  const flow = flowKey ? { key: flowKey } : script.flow;
+  const result = await chatSimulatorService.run(script.turns, { flow });
+
+  // Only turns written with expected results are checked
+  const expectedTurns = script.turns.map(turn => (turn && turn.expected ? { message: turn.message, ...turn.expected } : null));
+  const diffs = expectedTurns.some(Boolean)
+    ? chatSimulatorService.compare(expectedTurns.map((turn, index) => turn || result.turns[index]), result.turns)
+    : [];
+
+  return { ...result, diffs };
+};
+
+// Check every transcript file in a folder, like a replay of stored transcripts
+const checkFolder = async (folder, args) => {
+  const files = fs.readdirSync(folder).filter(name => name.endsWith('.json')).sort();
+  const results = [];
+  for (const name of files) {
+    results.push({ name, ...(await checkFile(path.join(folder, name), args.flow)) });
+  }
+
+  const failed = results.filter(result => result.diffs.length > 0);
+  if (args.json) {
+    console.log(JSON.stringify({ total: results.length, passed: results.length - failed.length, failed: failed.length, results }, null, 2));
+  } else {
+    results.forEach((result) => {
+      console.log(`${result.diffs.length === 0 ? 'PASS' : 'FAIL'} ${result.name}`);
+      printDiffs(result.diffs);
+    });
+    console.log(`\n${results.length - failed.length} passed, ${failed.length} failed, ${results.length} total`);
+  }
+  return failed.length > 0 ? 1 : 0;
+};
+
+const main = async () => {
+  const args = readArgs(process.argv.slice(2));
+  const connected = await connect();
+
+  if (args.replay) {
+    if (!connected) {
+      console.error('Stored transcripts need a database connection');
+      return 2;
+    }
+
+    const summary = await chatSimulatorService.replayAll({ flowKey: args.flow });
+    if (args.json) {
+      console.log(JSON.stringify(summary, null, 2));
+    } else {
+      summary.results.forEach((result) => {
+        console.log(`${result.passed ? 'PASS' : 'FAIL'} ${result.name}`);
+        printDiffs(result.diffs);
+      });
+      console.log(`\n${summary.passed} passed, ${summary.failed} failed, ${summary.total} total`);
+    }
+    return summary.failed > 0 ? 1 : 0;
+  }
+
+  if (args.file && fs.statSync(args.file).isDirectory()) {
+    return checkFolder(args.file, args);
+  }
+
+  if (!args.file && args.messages.length === 0) {
+    console.error('Usage: node scripts/simulateChat.js [--json] (<message>... | --file <transcript.json or folder> | --replay [--flow <key>])');
+    return 2;
+  }
+
+  const result = args.file
+    ? await checkFile(args.file, args.flow)
+    : { ...(await chatSimulatorService.run(args.messages, { flow: args.flow ? { key: args.flow } : undefined })), diffs: [] };
+  const { diffs } = result;
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`Flow ${result.flow ? `${result.flow.key} v${result.flow.version}` : 'unknown'}\n`);
+    printTurns(result.turns);
+    if (diffs.length > 0) {
+      console.log(`\n${diffs.length} difference${diffs.length === 1 ? '' : 's'} from the expected results:`);
+      printDiffs(diffs);
+    }
+  }
+  return diffs.length > 0 ? 1 : 0;
+};
+
+main()
+  .then((code) => { process.exitCode = code; })
+  .catch((error) => {
+    console.error('Error simulating chat:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
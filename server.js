@@ -9,14 +9,33 @@ const path = require('path');
 require('dotenv').config({ path: './config.env' });
 
 // Import routes
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const leadRoutes = require('./routes/leadRoutes');
+const emailRoutes = require('./routes/emailRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const inboxRoutes = require('./routes/inboxRoutes');
+const appointmentRoutes = require('./routes/appointmentRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const portalRoutes = require('./routes/portalRoutes');
 const teamRoutes = require('./routes/teamRoutes');
 const chatbotRoutes = require('./routes/chatbotRoutes');
+const chatFlowRoutes = require('./routes/chatFlowRoutes');
+const faqRoutes = require('./routes/faqRoutes');
+const chatSimulatorRoutes = require('./routes/chatSimulatorRoutes');
 const designRoutes = require('./routes/designRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 
+const { checkSecrets } = require('./middleware/auth');
+
 // Import Socket.IO setup
 const { setupSocketIO } = require('./socket/socketSetup');
 
+// Import background services
+const webhookService = require('./services/webhookService');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -36,7 +55,7 @@ app.use('/api/', limiter);
 app.use(cors({
   origin: true, // Allow all origins in development
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'Accept']
 }));
 
@@ -53,8 +72,22 @@ if (process.env.NODE_ENV === 'development') {
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/leads', leadRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/inbox', inboxRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/portal', portalRoutes);
 app.use('/api/team', teamRoutes);
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/chat-flows', chatFlowRoutes);
+app.use('/api/faqs', faqRoutes);
+app.use('/api/chat-simulator', chatSimulatorRoutes);
 app.use('/api/designs', designRoutes);
 app.use('/api/upload', uploadRoutes);
 
@@ -103,6 +136,13 @@ const connectToMongoDB = async () => {
 
 // Start server regardless of MongoDB connection
 const startServer = async () => {
+  try {
+    checkSecrets();
+  } catch (error) {
+    console.error('❌ Cannot start server:', error.message);
+    process.exit(1);
+  }
+
   const mongoConnected = await connectToMongoDB();
   
   // Start server
@@ -116,6 +156,11 @@ const startServer = async () => {
 
   // Setup Socket.IO
   setupSocketIO(server);
+
+  // Retry failed webhook deliveries in the background
+  if (mongoConnected) {
+    webhookService.start();
+  }
 };
 
 startServer();
@@ -0,0 +1,397 @@
+const Appointment = require('../models/Appointment');
+const TeamMember = require('../models/TeamMember');
+const Lead = require('../models/Lead');
+const leadService = require('./leadService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 62;
+
+const getStudioTimeZone = () => process.env.STUDIO_TIMEZONE || 'UTC';
+const getDefaultDuration = () => parseInt(process.env.CONSULTATION_DURATION_MINUTES) || 60;
+const getSlotInterval = () => parseInt(process.env.CONSULTATION_SLOT_INTERVAL_MINUTES) || 30;
+const getMinNoticeHours = () => {
+  const hours = parseInt(process.env.CONSULTATION_MIN_NOTICE_HOURS);
+  return isNaN(hours) ? 24 : hours;
+};
+
+// Whether a string is an IANA time zone this runtime knows
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date and time of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Convert a wall-clock date and "HH:mm" time in a time zone to a UTC instant
+const zonedTimeToUtc = ({ year, month, day }, time, timeZone) => {
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wallClock - getOffset(new Date(wallClock), timeZone);
+  // Re-check the offset at the result in case a daylight saving change lies in between
+  return new Date(wallClock - getOffset(new Date(guess), timeZone));
+};
+
+// Human-readable time of an instant in a time zone, e.g. "Mon, Oct 20, 10:00 AM GMT+1"
+const formatInTimeZone = (date, timeZone) => {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(date);
+};
+
+const overlaps = (start, end, period) => start < period.end && end > period.start;
+
+// Working-hour windows of a team member between two instants, as UTC ranges
+const getWorkingWindows = (member, from, to) => {
+  const timeZone = member.timeZone || getStudioTimeZone();
+  const windows = [];
+
+  // Walk calendar days in the member's zone, one day either side to cover offsets
+  const first = getZonedParts(new Date(from.getTime() - DAY_MS), timeZone);
+  const last = getZonedParts(new Date(to.getTime() + DAY_MS), timeZone);
+  const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+
+  for (let day = Date.UTC(first.year, first.month - 1, first.day); day <= lastDay; day += DAY_MS) {
+    const date = new Date(day);
+    const localDate = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+
+    (member.workingHours || [])
+      .filter(hours => hours.dayOfWeek === date.getUTCDay())
+      .forEach((hours) => {
+        const start = zonedTimeToUtc(localDate, hours.start, timeZone);
+        const end = zonedTimeToUtc(localDate, hours.end, timeZone);
+        if (end > from && start < to) {
+          windows.push({ start, end });
+        }
+      });
+  }
+
+  return windows.sort((a, b) => a.start - b.start);
+};
+
+// iCalendar text values escape backslashes, separators and newlines
+const escapeIcs = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatIcsDate = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold content lines longer than 75 characters as RFC 5545 requires
+const foldIcsLine = (line) => {
+  const chunks = [];
+  for (let i = 0; i < line.length; i += 74) {
+    chunks.push((i === 0 ? '' : ' ') + line.slice(i, i + 74));
+  }
+  return chunks.join('\r\n');
+};
+
+class AppointmentService {
+  isValidTimeZone(timeZone) {
+    return isValidTimeZone(timeZone);
+  }
+
+  formatInTimeZone(date, timeZone) {
+    return formatInTimeZone(date, timeZone || getStudioTimeZone());
+  }
+
+  getDefaultDuration() {
+    return getDefaultDuration();
+  }
+
+  // Earliest start time a client may book
+  getEarliestStart() {
+    return new Date(Date.now() + getMinNoticeHours() * 60 * 60 * 1000);
+  }
+
+  // Open consultation slots, merged across team members when none is given
+  async getAvailableSlots({ teamMemberId, from, to, duration, limit } = {}) {
+    const length = (duration || getDefaultDuration()) * 60 * 1000;
+    const step = getSlotInterval() * 60 * 1000;
+    const earliest = this.getEarliestStart();
+
+    const rangeStart = from && from > earliest ? from : earliest;
+    const maxEnd = new Date(rangeStart.getTime() + MAX_RANGE_DAYS * DAY_MS);
+    const rangeEnd = to ? new Date(Math.min(to.getTime(), maxEnd.getTime())) : new Date(rangeStart.getTime() + 14 * DAY_MS);
+
+    const memberQuery = { isActive: true, 'workingHours.0': { $exists: true } };
+    if (teamMemberId) {
+      memberQuery._id = teamMemberId;
+    }
+
+    const members = await TeamMember.find(memberQuery).sort({ order: 1, createdAt: 1 });
+    if (members.length === 0 || rangeStart >= rangeEnd) {
+      return [];
+    }
+
+    const booked = await Appointment.findOverlapping(members.map(member => member._id), rangeStart, rangeEnd);
+    const slotsByStart = new Map();
+
+    members.forEach((member) => {
+      const busy = [
+        ...(member.timeOff || []),
+        ...booked.filter(appointment => appointment.teamMember.toString() === member._id.toString())
+      ];
+
+      getWorkingWindows(member, rangeStart, rangeEnd).forEach((window) => {
+        for (let time = window.start.getTime(); time + length <= window.end.getTime(); time += step) {
+          const start = new Date(time);
+          const end = new Date(time + length);
+
+          if (start < rangeStart || end > rangeEnd || busy.some(period => overlaps(start, end, period))) {
+            continue;
+          }
+
+          const key = start.toISOString();
+          if (!slotsByStart.has(key)) {
+            slotsByStart.set(key, { start, end, teamMembers: [] });
+          }
+          slotsByStart.get(key).teamMembers.push({
+            _id: member._id,
+            name: member.name,
+            position: member.position,
+            image: member.image
+          });
+        }
+      });
+    });
+
+    const slots = [...slotsByStart.values()].sort((a, b) => a.start - b.start);
+    return limit ? slots.slice(0, limit) : slots;
+  }
+
+  // Reason a team member cannot take an appointment, or null when the time is free
+  async getConflict(member, start, end, excludeId) {
+    if (!member.isActive) {
+      return 'This team member is not taking bookings';
+    }
+
+    if (start < this.getEarliestStart()) {
+      return `Consultations must be booked at least ${getMinNoticeHours()} hours in advance`;
+    }
+
+    const withinHours = getWorkingWindows(member, start, end)
+      .some(window => window.start <= start && end <= window.end);
+    if (!withinHours) {
+      return 'The requested time is outside working hours';
+    }
+
+    if ((member.timeOff || []).some(period => overlaps(start, end, period))) {
+      return 'The team member is unavailable at the requested time';
+    }
+
+    const clashes = await Appointment.findOverlapping(member._id, start, end, excludeId);
+    if (clashes.length > 0) {
+      return 'The requested time is already booked';
+    }
+
+    return null;
+  }
+
+  // Book a consultation, picking the lead's designer or the first free team member when none is given
+  async book({ teamMemberId, start, duration, client, timeZone, notes, sessionId, bookedBy }) {
+    const end = new Date(start.getTime() + (duration || getDefaultDuration()) * 60 * 1000);
+    const existingLead = await Lead.findByEmail(client.email);
+
+    let candidates;
+    if (teamMemberId) {
+      const member = await TeamMember.findById(teamMemberId);
+      if (!member) {
+        return { conflict: 'Team member not found' };
+      }
+      candidates = [member];
+    } else {
+      candidates = await TeamMember.find({ isActive: true, 'workingHours.0': { $exists: true } })
+        .sort({ order: 1, createdAt: 1 });
+
+      // Keep the client with the designer already working their lead
+      if (existingLead && existingLead.assignedTo) {
+        candidates.sort((a, b) =>
+          (b._id.equals(existingLead.assignedTo) ? 1 : 0) - (a._id.equals(existingLead.assignedTo) ? 1 : 0));
+      }
+    }
+
+    let member = null;
+    let conflict = 'No team member is available at the requested time';
+    for (const candidate of candidates) {
+      conflict = await this.getConflict(candidate, start, end);
+      if (!conflict) {
+        member = candidate;
+        break;
+      }
+    }
+
+    if (!member) {
+      return { conflict: teamMemberId ? conflict : 'No team member is available at the requested time' };
+    }
+
+    const appointment = new Appointment({
+      teamMember: member._id,
+      sessionId,
+      client,
+      start,
+      end,
+      timeZone: timeZone || getStudioTimeZone(),
+      notes,
+      bookedBy
+    });
+    await appointment.save();
+
+    // Two clients may have raced for the same slot; the earlier booking wins
+    const clashes = await Appointment.findOverlapping(member._id, start, end, appointment._id);
+    if (clashes.some(other => other.createdAt <= appointment.createdAt)) {
+      await Appointment.deleteOne({ _id: appointment._id });
+      return { conflict: 'The requested time is already booked' };
+    }
+
+    const result = await leadService.upsertLead(sessionId ? 'chat' : 'form', client, sessionId, {
+      assignTo: member._id,
+      reason: 'Booked a consultation'
+    });
+
+    if (result) {
+      const { lead } = result;
+      if (['new', 'contacted'].includes(lead.status)) {
+        lead.setStatus('consultation-booked', bookedBy);
+        await lead.save();
+      }
+      appointment.lead = lead._id;
+      await appointment.save();
+    }
+
+    return { appointment, teamMember: member };
+  }
+
+  // Move an appointment, optionally to another team member
+  async reschedule(appointment, { start, duration, teamMemberId }, user) {
+    const memberId = teamMemberId || appointment.teamMember;
+    const member = await TeamMember.findById(memberId);
+    if (!member) {
+      return { conflict: 'Team member not found' };
+    }
+
+    const length = duration ? duration * 60 * 1000 : appointment.end - appointment.start;
+    const end = new Date(start.getTime() + length);
+
+    const conflict = await this.getConflict(member, start, end, appointment._id);
+    if (conflict) {
+      return { conflict };
+    }
+
+    appointment.rescheduleHistory.push({
+      start: appointment.start,
+      end: appointment.end,
+      changedBy: user ? user._id : undefined
+    });
+    const previous = { teamMember: appointment.teamMember, start: appointment.start, end: appointment.end };
+    appointment.teamMember = member._id;
+    appointment.start = start;
+    appointment.end = end;
+    await appointment.save();
+
+    // Another booking or reschedule may have taken the slot meanwhile; this one then moves back,
+    // so a team member is never double-booked
+    const clashes = await Appointment.findOverlapping(member._id, start, end, appointment._id);
+    if (clashes.length > 0) {
+      appointment.rescheduleHistory.pop();
+      Object.assign(appointment, previous);
+      await appointment.save();
+      return { conflict: 'The requested time is already booked' };
+    }
+
+    return { appointment };
+  }
+
+  // Cancel an appointment, recording who cancelled and why
+  async cancel(appointment, { reason, cancelledBy }) {
+    appointment.status = 'cancelled';
+    appointment.cancellation = { reason, cancelledBy, cancelledAt: new Date() };
+    await appointment.save();
+    return appointment;
+  }
+
+  // Build an iCalendar document; staff feeds include the client's contact details
+  buildCalendar(name, appointments, { forStaff = false } = {}) {
+    const now = formatIcsDate(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Interior Design Studio//Consultations//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeIcs(name)}`
+    ];
+
+    appointments.forEach((appointment) => {
+      const member = appointment.teamMember && appointment.teamMember.name ? appointment.teamMember : null;
+      const summary = forStaff
+        ? `Consultation: ${appointment.client.name}`
+        : `Design consultation${member ? ` with ${member.name}` : ''}`;
+      const description = forStaff
+        ? [
+          `Client: ${appointment.client.name}`,
+          `Email: ${appointment.client.email}`,
+          appointment.client.phone ? `Phone: ${appointment.client.phone}` : null,
+          appointment.notes ? `Notes: ${appointment.notes}` : null
+        ].filter(Boolean).join('\n')
+        : appointment.notes || '';
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${appointment._id}@interior-design-studio`,
+        `DTSTAMP:${now}`,
+        `DTSTART:${formatIcsDate(appointment.start)}`,
+        `DTEND:${formatIcsDate(appointment.end)}`,
+        `SEQUENCE:${appointment.sequence || 0}`,
+        `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        `SUMMARY:${escapeIcs(summary)}`,
+        `DESCRIPTION:${escapeIcs(description)}`,
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new AppointmentService();
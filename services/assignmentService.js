@@ -0,0 +1,99 @@
+const Lead = require('../models/Lead');
+const TeamMember = require('../models/TeamMember');
+
+// How much each collected field counts towards an expertise match
+const MATCH_WEIGHTS = {
+  designStyle: 3,
+  roomType: 2,
+  projectType: 1
+};
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+
+class AssignmentService {
+  // Score how well a team member's expertise fits a lead
+  scoreMember(member, lead) {
+    const expertise = (member.expertise || []).map(normalize).filter(Boolean);
+    const matched = [];
+    let score = 0;
+
+    Object.entries(MATCH_WEIGHTS).forEach(([field, weight]) => {
+      const value = normalize(lead[field]);
+      if (!value) return;
+
+      if (expertise.some(item => item.includes(value) || value.includes(item))) {
+        matched.push(field);
+        score += weight;
+      }
+    });
+
+    return { score, matched };
+  }
+
+  // Rank active team members for a lead: best match, then lightest load, then longest since last assignment
+  async rankCandidates(lead) {
+    const members = await TeamMember.getActiveMembers();
+    const openLeads = await Lead.getOpenLeadCounts();
+
+    // The lead's own current assignment should not count against its assignee
+    if (lead.assignedTo && lead.isOpen) {
+      const currentId = lead.assignedTo.toString();
+      openLeads.set(currentId, Math.max((openLeads.get(currentId) || 0) - 1, 0));
+    }
+
+    return members
+      .map((member) => ({
+        member,
+        ...this.scoreMember(member, lead),
+        openLeads: openLeads.get(member._id.toString()) || 0
+      }))
+      .sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        if (a.openLeads !== b.openLeads) return a.openLeads - b.openLeads;
+
+        const aLast = a.member.lastLeadAssignedAt ? a.member.lastLeadAssignedAt.getTime() : 0;
+        const bLast = b.member.lastLeadAssignedAt ? b.member.lastLeadAssignedAt.getTime() : 0;
+        if (aLast !== bLast) return aLast - bLast;
+
+        return a.member.order - b.member.order;
+      });
+  }
+
+  // Assign a lead to the best-matching active team member; the caller saves the lead
+  async autoAssign(lead) {
+    const [best] = await this.rankCandidates(lead);
+
+    if (!best) {
+      return null;
+    }
+
+    const reason = best.matched.length > 0
+      ? `Matched expertise on ${best.matched.join(', ')}; ${best.openLeads} open leads`
+      : `No expertise match; ${best.openLeads} open leads`;
+
+    lead.assignTo(best.member._id, { method: 'auto', score: best.score, reason });
+    await TeamMember.updateOne({ _id: best.member._id }, { lastLeadAssignedAt: new Date() });
+
+    return best;
+  }
+
+  // Assign a lead to a specific team member on behalf of a staff user; the caller saves the lead
+  async assignManually(lead, teamMemberId, user, reason) {
+    const member = await TeamMember.findById(teamMemberId);
+
+    if (!member) {
+      return null;
+    }
+
+    lead.assignTo(member._id, {
+      method: 'manual',
+      assignedBy: user ? user._id : undefined,
+      reason
+    });
+    await TeamMember.updateOne({ _id: member._id }, { lastLeadAssignedAt: new Date() });
+
+    return member;
+  }
+}
+
+module.exports = new AssignmentService();
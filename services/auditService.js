@@ -0,0 +1,91 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields that change on every save and carry no content
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+// Counters bumped by visitors rather than editors
+const UNTRACKED_FIELDS = {
+  Design: ['views', 'likes'],
+  TeamMember: []
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+class AuditService {
+  // Convert a mongoose document into plain JSON values for diffing and storage
+  toPlain(doc) {
+    if (!doc) return {};
+    const object = typeof doc.toObject === 'function'
+      ? doc.toObject({ virtuals: false, depopulate: true })
+      : doc;
+    return JSON.parse(JSON.stringify(object));
+  }
+
+  // Compute field-level differences, using dot paths for nested objects
+  diff(before = {}, after = {}, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach((key) => {
+      if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+      const field = prefix ? `${prefix}.${key}` : key;
+      const beforeValue = before[key];
+      const afterValue = after[key];
+
+      if (isPlainObject(beforeValue) && isPlainObject(afterValue)) {
+        changes.push(...this.diff(beforeValue, afterValue, field));
+        return;
+      }
+
+      if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+        changes.push({ field, before: beforeValue, after: afterValue });
+      }
+    });
+
+    return changes;
+  }
+
+  // Record a change to a Design or TeamMember; never throws so routes are not affected
+  async record({ entityType, action, before, after, req }) {
+    try {
+      const beforeData = this.toPlain(before);
+      const afterData = this.toPlain(after);
+      const untracked = UNTRACKED_FIELDS[entityType] || [];
+
+      const changes = this.diff(beforeData, afterData)
+        .filter(change => !untracked.includes(change.field.split('.')[0]));
+
+      // Nothing but counters or timestamps changed
+      if (changes.length === 0 && action === 'update') {
+        return null;
+      }
+
+      const user = req && req.user;
+      const entry = new AuditLog({
+        entityType,
+        entityId: afterData._id || beforeData._id,
+        action,
+        actor: user ? user._id : undefined,
+        actorName: user ? user.name : undefined,
+        actorEmail: user ? user.email : undefined,
+        actorRole: user ? user.role : undefined,
+        changes,
+        metadata: {
+          userAgent: req ? req.headers['user-agent'] || '' : '',
+          ipAddress: req ? req.ip || '' : ''
+        }
+      });
+
+      await entry.save();
+      return entry;
+    } catch (error) {
+      console.error('Error recording audit log:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,234 @@
+const ChatMessage = require('../models/ChatMessage');
+const ChatFlow = require('../models/ChatFlow');
+const chatFlowService = require('./chatFlowService');
+const faqService = require('./faqService');
+
+// Sessions with a message this recent are still in progress, so they don't count as dropped off
+const ACTIVE_SESSION_MS = 30 * 60 * 1000;
+// Most recent not-understood messages read for clustering, and clusters returned
+const UNKNOWN_SAMPLE_LIMIT = 2000;
+const UNKNOWN_CLUSTER_LIMIT = 20;
+// Share of words two messages must have in common to land in the same cluster
+const CLUSTER_SIMILARITY = 0.5;
+// Upper bounds of the confidence histogram buckets
+const CONFIDENCE_BOUNDARIES = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.01];
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class ChatAnalyticsService {
+  // Every report over visitor messages in a date range for one chat flow
+  async getReport({ startDate, endDate, flowKey = chatFlowService.flowKey, userId, timeZone = process.env.STUDIO_TIMEZONE || 'UTC' }) {
+    const match = {
+      messageType: 'user',
+      createdAt: { $gte: startDate, $lte: endDate },
+      'context.flow.key': flowKey
+    };
+    if (userId) match.userId = userId;
+
+    const [flow, sessions, confidence, unknownMessages] = await Promise.all([
+      chatFlowService.getActiveFlow(flowKey),
+      this.getSessionTimelines(match),
+      this.getConfidenceDistribution(match),
+      this.getUnknownClusters(match)
+    ]);
+
+    const completed = sessions.filter(session => session.turns.some(turn => turn.step === ChatFlow.COMPLETE_STEP)).length;
+
+    return {
+      range: { startDate, endDate, timeZone },
+      flow: { key: flowKey, activeVersion: flow.version },
+      sessions: {
+        total: sessions.length,
+        completed,
+        completionRate: sessions.length > 0 ? round(completed / sessions.length) : 0
+      },
+      funnel: this.getFunnel(flow, sessions),
+      confidence,
+      completionByDay: this.getCompletionByDay(sessions, timeZone),
+      unknownMessages
+    };
+  }
+
+  // The step each visitor message left a session on, in order, per session
+  getSessionTimelines(match) {
+    return ChatMessage.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$sessionId',
+          turns: { $push: { step: '$context.currentStep', at: '$createdAt' } },
+          startedAt: { $first: '$createdAt' },
+          lastMessageAt: { $last: '$createdAt' }
+        }
+      }
+    ]).allowDiskUse(true);
+  }
+
+  // Sessions that were asked each step, how many went no further, and the median time a step
+  // stayed open before the visitor moved past it. Steps come in flow order, with steps only
+  // older versions have after them, and `complete` last.
+  getFunnel(flow, sessions) {
+    const stats = new Map();
+    const stat = (step) => {
+      if (!stats.has(step)) stats.set(step, { reached: 0, droppedOff: 0, durations: [] });
+      return stats.get(step);
+    };
+    const activeSince = Date.now() - ACTIVE_SESSION_MS;
+
+    sessions.forEach((session) => {
+      const reached = new Set();
+      let current = null;
+      let enteredAt = null;
+
+      session.turns.forEach((turn) => {
+        if (!turn.step || turn.step === current) return;
+        if (current) stat(current).durations.push((turn.at - enteredAt) / 1000);
+        current = turn.step;
+        enteredAt = turn.at;
+        reached.add(turn.step);
+      });
+
+      reached.forEach(step => { stat(step).reached += 1; });
+      if (current && current !== ChatFlow.COMPLETE_STEP && new Date(session.lastMessageAt).getTime() < activeSince) {
+        stat(current).droppedOff += 1;
+      }
+    });
+
+    // Steps with nothing to ask, like a greeting, are never waited on
+    const flowSteps = flow.steps
+      .filter(step => step.entity !== 'none' || step.prompt)
+      .map(step => step.key);
+    const otherSteps = [...stats.keys()].filter(step => !flowSteps.includes(step) && step !== ChatFlow.COMPLETE_STEP);
+
+    return [...flowSteps, ...otherSteps, ChatFlow.COMPLETE_STEP].map((step) => {
+      const { reached, droppedOff, durations } = stats.get(step) || { reached: 0, droppedOff: 0, durations: [] };
+      const seconds = median(durations);
+      return {
+        step,
+        reached,
+        droppedOff,
+        dropOffRate: reached > 0 ? round(droppedOff / reached) : 0,
+        medianSeconds: seconds === null ? null : Math.round(seconds)
+      };
+    });
+  }
+
+  // How confidently visitor messages were understood, in buckets of 0.1
+  async getConfidenceDistribution(match) {
+    const [buckets, [summary]] = await Promise.all([
+      ChatMessage.aggregate([
+        { $match: { ...match, intent: { $ne: 'agent_conversation' } } },
+        {
+          $bucket: {
+            groupBy: '$confidence',
+            boundaries: CONFIDENCE_BOUNDARIES,
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ]),
+      ChatMessage.aggregate([
+        { $match: { ...match, intent: { $ne: 'agent_conversation' } } },
+        { $group: { _id: null, average: { $avg: '$confidence' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return {
+      messages: summary ? summary.count : 0,
+      average: summary ? round(summary.average) : null,
+      buckets: CONFIDENCE_BOUNDARIES.slice(0, -1).map((min, index) => {
+        const bucket = buckets.find(entry => entry._id === min);
+        return { min, max: Math.min(CONFIDENCE_BOUNDARIES[index + 1], 1), count: bucket ? bucket.count : 0 };
+      })
+    };
+  }
+
+  // Sessions started and completed per day, by the day of their first message in the range
+  getCompletionByDay(sessions, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    const days = new Map();
+
+    sessions.forEach((session) => {
+      const date = formatter.format(new Date(session.startedAt));
+      const day = days.get(date) || { date, sessions: 0, completed: 0 };
+      day.sessions += 1;
+      if (session.turns.some(turn => turn.step === ChatFlow.COMPLETE_STEP)) day.completed += 1;
+      days.set(date, day);
+    });
+
+    return [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({ ...day, completionRate: round(day.completed / day.sessions) }));
+  }
+
+  // Messages the chatbot didn't understand, grouped with others that share most of their words,
+  // biggest group first. Uses the FAQ's tokenizer, so "kitchens" and "kitchen" count as the same word.
+  async getUnknownClusters(match) {
+    const messages = await ChatMessage.find({ ...match, intent: 'unknown' })
+      .select('message')
+      .sort({ createdAt: -1 })
+      .limit(UNKNOWN_SAMPLE_LIMIT)
+      .lean();
+
+    // Identical wordings are counted once before clustering
+    const wordings = new Map();
+    messages.forEach(({ message }) => {
+      const normalized = faqService.normalize(message);
+      if (!normalized) return;
+      const wording = wordings.get(normalized) || { message, count: 0, tokens: new Set(faqService.tokenize(message)) };
+      wording.count += 1;
+      wordings.set(normalized, wording);
+    });
+
+    const clusters = [];
+    [...wordings.values()]
+      .sort((a, b) => b.count - a.count)
+      .forEach((wording) => {
+        const cluster = clusters.find(candidate => this.similarity(candidate.tokens, wording.tokens) >= CLUSTER_SIMILARITY);
+        if (cluster) {
+          cluster.count += wording.count;
+          cluster.wordings.push(wording);
+          wording.tokens.forEach(token => cluster.termCounts.set(token, (cluster.termCounts.get(token) || 0) + wording.count));
+        } else {
+          const termCounts = new Map([...wording.tokens].map(token => [token, wording.count]));
+          clusters.push({ tokens: wording.tokens, count: wording.count, wordings: [wording], termCounts });
+        }
+      });
+
+    return {
+      sampled: messages.length,
+      clusters: clusters
+        .sort((a, b) => b.count - a.count)
+        .slice(0, UNKNOWN_CLUSTER_LIMIT)
+        .map(cluster => ({
+          example: cluster.wordings[0].message,
+          count: cluster.count,
+          terms: [...cluster.termCounts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([term]) => term),
+          messages: cluster.wordings.slice(0, 5).map(({ message, count }) => ({ message, count }))
+        }))
+    };
+  }
+
+  // Jaccard similarity of two word sets; messages with no meaningful words only match each other
+  similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return a.size === b.size ? 1 : 0;
+    let shared = 0;
+    a.forEach((token) => {
+      if (b.has(token)) shared += 1;
+    });
+    return shared / (a.size + b.size - shared);
+  }
+}
+
+module.exports = new ChatAnalyticsService();
@@ -0,0 +1,80 @@
+const ChatFlow = require('../models/ChatFlow');
+const { DEFAULT_CHAT_FLOW } = require('../constants/defaultChatFlow');
+
+// Flow the website chatbot runs
+const CHAT_FLOW_KEY = process.env.CHAT_FLOW_KEY || DEFAULT_CHAT_FLOW.key;
+
+// Parts of a flow an admin can define
+const DEFINITION_FIELDS = ['name', 'description', 'startStep', 'steps', 'completionMessage', 'nextSteps', 'changeNote'];
+
+class ChatFlowService {
+  constructor() {
+    this.flowKey = CHAT_FLOW_KEY;
+  }
+
+  // Version new chats start on, or the built-in flow while none is active
+  async getActiveFlow(key = CHAT_FLOW_KEY) {
+    try {
+      const flow = await ChatFlow.findActive(key).lean();
+      if (flow) return flow;
+    } catch (error) {
+      console.error('Error loading active chat flow:', error.message);
+    }
+
+    return DEFAULT_CHAT_FLOW;
+  }
+
+  // Flow a conversation runs on. A conversation stays on the version it started with,
+  // so publishing a new version never changes the questions mid-chat.
+  async getFlowForContext(context = {}) {
+    const pinned = context.flow;
+
+    if (pinned && pinned.key) {
+      if (pinned.version === DEFAULT_CHAT_FLOW.version) {
+        return DEFAULT_CHAT_FLOW;
+      }
+
+      try {
+        const flow = await ChatFlow.findVersion(pinned.key, pinned.version).lean();
+        if (flow) return flow;
+      } catch (error) {
+        console.error('Error loading pinned chat flow:', error.message);
+      }
+    }
+
+    return this.getActiveFlow(pinned && pinned.key ? pinned.key : CHAT_FLOW_KEY);
+  }
+
+  // Save a definition as the next version of a flow, optionally making it the active one
+  async createVersion(key, definition, user, { activate = false } = {}) {
+    const latest = await ChatFlow.findOne({ key }).sort({ version: -1 }).select('version');
+
+    const flow = new ChatFlow({ key, version: latest ? latest.version + 1 : 1, createdBy: user ? user._id : undefined });
+    DEFINITION_FIELDS.forEach((field) => {
+      if (definition[field] !== undefined) {
+        flow[field] = definition[field];
+      }
+    });
+    await flow.save();
+
+    return activate ? this.activate(flow) : flow;
+  }
+
+  // Make one version the one new chats start on
+  async activate(flow) {
+    await ChatFlow.updateMany({ key: flow.key, _id: { $ne: flow._id } }, { isActive: false });
+    flow.isActive = true;
+    return flow.save();
+  }
+
+  // Latest version's definition, used as the base when an update only sends some fields
+  getDefinition(flow) {
+    const source = flow.toObject ? flow.toObject() : flow;
+    return DEFINITION_FIELDS.reduce((definition, field) => {
+      if (field !== 'changeNote') definition[field] = source[field];
+      return definition;
+    }, {});
+  }
+}
+
+module.exports = new ChatFlowService();
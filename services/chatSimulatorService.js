@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const ChatMessage = require('../models/ChatMessage');
+const ChatTranscript = require('../models/ChatTranscript');
+const chatbotService = require('./chatbotService');
+const chatFlowService = require('./chatFlowService');
+
+// Parts of each turn a replay compares. Reply wording is left out: it includes live
+// appointment slots and portfolio designs, so it changes without the flow changing. So are
+// parsed values, since dates like "by Christmas" are counted from the day the chat runs.
+const COMPARED_FIELDS = ['step', 'intent', 'collectedData', 'isComplete'];
+
+// JSON with object keys sorted, so values compare the same whatever order fields were filled in
+const canonical = value => JSON.stringify(value, (key, entry) => (
+  entry && typeof entry === 'object' && !Array.isArray(entry)
+    ? Object.keys(entry).sort().reduce((sorted, name) => ({ ...sorted, [name]: entry[name] }), {})
+    : entry
+));
+
+// A compared field with stored and simulated shapes lined up; empty collected data isn't stored
+const readField = (turn, field) => {
+  if (field === 'collectedData') return turn.collectedData || {};
+  if (field === 'isComplete') return Boolean(turn.isComplete);
+  return turn[field] === undefined ? null : turn[field];
+};
+
+class ChatSimulatorService {
+  constructor() {
+    this.chatbot = chatbotService.createSandbox();
+  }
+
+  // Run scripted visitor messages through the chatbot as one new conversation, keeping its
+  // context in memory. Turns are messages, or { message, quickReply } for button presses.
+  // Nothing is saved, and the flow can be pinned with { key, version } like a running chat.
+  async run(turns, { flow } = {}) {
+    const sessionId = `sim_${crypto.randomBytes(8).toString('hex')}`;
+    let context = {
+      currentStep: null,
+      collectedData: {},
+      userPreferences: {},
+      ...(flow && flow.key ? { flow: { key: flow.key, version: flow.version } } : {})
+    };
+
+    const results = [];
+    for (const turn of turns) {
+      const { message, quickReply } = typeof turn === 'string' ? { message: turn } : turn;
+      const reply = await this.chatbot.processMessage(message, sessionId, null, { quickReply, context });
+
+      // Read back the way a saved message would be, so fields the schema drops are dropped here too
+      context = new ChatMessage({ context: reply.context }).toObject().context || {};
+
+      results.push({
+        message,
+        ...(quickReply ? { quickReply } : {}),
+        response: reply.response,
+        step: context.currentStep || null,
+        intent: reply.intent,
+        confidence: reply.confidence,
+        collectedData: { ...(context.collectedData || {}) },
+        parsedValues: { ...(context.parsedValues || {}) },
+        isComplete: Boolean(reply.isComplete)
+      });
+    }
+
+    return { flow: context.flow || null, turns: results };
+  }
+
+  // Differences between recorded and simulated turns, one entry per changed field
+  compare(expectedTurns, actualTurns) {
+    const diffs = [];
+
+    for (let index = 0; index < Math.max(expectedTurns.length, actualTurns.length); index++) {
+      const expected = expectedTurns[index] || {};
+      const actual = actualTurns[index] || {};
+
+      COMPARED_FIELDS.forEach((field) => {
+        const expectedValue = index < expectedTurns.length ? readField(expected, field) : null;
+        const actualValue = index < actualTurns.length ? readField(actual, field) : null;
+
+        if (canonical(expectedValue) !== canonical(actualValue)) {
+          diffs.push({
+            turn: index + 1,
+            message: actual.message || expected.message,
+            field,
+            expected: expectedValue,
+            actual: actualValue
+          });
+        }
+      });
+    }
+
+    return diffs;
+  }
+
+  // Turns with what the chatbot does with them now stored as their expected results
+  async record(turns, { flow } = {}) {
+    const result = await this.run(turns, { flow });
+
+    return result.turns.map(turn => ({
+      message: turn.message,
+      quickReply: turn.quickReply,
+      expected: {
+        step: turn.step,
+        intent: turn.intent,
+        collectedData: turn.collectedData,
+        isComplete: turn.isComplete
+      }
+    }));
+  }
+
+  // Run a stored transcript again and report how the chatbot's behaviour has drifted from it
+  async replay(transcript) {
+    const source = transcript.toObject ? transcript.toObject() : transcript;
+    const result = await this.run(source.turns, { flow: source.flow });
+    const diffs = this.compare(source.turns.map(turn => ({ message: turn.message, ...turn.expected })), result.turns);
+
+    await ChatTranscript.updateOne(
+      { _id: source._id },
+      { lastReplay: { at: new Date(), passed: diffs.length === 0, diffCount: diffs.length } }
+    );
+
+    return {
+      transcriptId: source._id,
+      name: source.name,
+      flow: result.flow,
+      passed: diffs.length === 0,
+      diffs,
+      turns: result.turns
+    };
+  }
+
+  // Replay every stored transcript, or those that run on one flow, one after another
+  async replayAll({ flowKey } = {}) {
+    const filter = {};
+    if (flowKey) {
+      // Transcripts without a flow run on the chatbot's own
+      filter.$or = flowKey === chatFlowService.flowKey
+        ? [{ 'flow.key': flowKey }, { 'flow.key': null }]
+        : [{ 'flow.key': flowKey }];
+    }
+    const transcripts = await ChatTranscript.find(filter).sort({ name: 1 });
+
+    const results = [];
+    for (const transcript of transcripts) {
+      results.push(await this.replay(transcript));
+    }
+
+    return {
+      total: results.length,
+      passed: results.filter(result => result.passed).length,
+      failed: results.filter(result => !result.passed).length,
+      results
+    };
+  }
+}
+
+module.exports = new ChatSimulatorService();
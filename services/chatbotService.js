@@ -1,7 +1,19 @@
 const ChatMessage = require('../models/ChatMessage');
+const ChatFlow = require('../models/ChatFlow');
+const appointmentService = require('./appointmentService');
+const chatFlowService = require('./chatFlowService');
+const entityParserService = require('./entityParserService');
+const faqService = require('./faqService');
+const leadService = require('./leadService');
+const llmService = require('./llmService');
+const mailerService = require('./mailerService');
+const recommendationService = require('./recommendationService');
+const webhookService = require('./webhookService');
+const mongoose = require('mongoose');
 const cloudinary = require('cloudinary').v2;
 const fs = require('fs');
 const path = require('path');
+const { OFF_TOPIC_REPLY } = require('../constants/llmPrompts');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -10,82 +22,131 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Conversation flow steps
-const CONVERSATION_STEPS = {
-  GREETING: 'greeting',
-  PROJECT_TYPE: 'project_type',
-  ROOM_TYPE: 'room_type',
-  DESIGN_STYLE: 'design_style',
-  BUDGET: 'budget',
-  TIMELINE: 'timeline',
-  ROOM_SIZE: 'room_size',
-  CONTACT_INFO: 'contact_info',
-  ADDITIONAL_NOTES: 'additional_notes',
-  COMPLETE: 'complete'
-};
+// Patterns for contact details
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/;
+// Full numbers, or local ones like 555-0100 when written with their separator
+const PHONE_PATTERN = /(\+\d{1,3}[-. ]?)?\(?\d{3}\)?[-. ]?\d{3}[-. ]?\d{4}|\b\d{3}[-.]\d{4}\b/;
+const NAME_PREFIX = /^(?:(?:hi|hello|hey)[,!\s]+)?(?:my name is|my name's|i am|i'm|this is|call me|it's)\s+/i;
+// Words that follow "call me" without being a name, as in "call me at 555-0100" or "call me back"
+const NOT_NAME_WORD = '(?!(?:and|but|i|at|on|in|by|back|after|before|around|about|between|from|with|via|anytime|any|when|' +
+  'whenever|if|later|now|soon|asap|today|tonight|tomorrow|this|next|please|monday|tuesday|wednesday|thursday|friday|' +
+  'saturday|sunday|morning|afternoon|evening)\\b)';
+const NOT_NAME_START = new RegExp(`^${NOT_NAME_WORD}`, 'i');
+// Outside the name step only an explicit introduction counts, since "I'm looking for..." is not a name
+const NAME_STATEMENT = new RegExp(
+  `\\b(?:my name is|my name's|call me)\\s+(${NOT_NAME_WORD}[a-z][a-z'-]*(?:\\s+${NOT_NAME_WORD}[a-z][a-z'-]*)?)`,
+  'i'
+);
 
-// Design styles with descriptions
-const DESIGN_STYLES = {
-  modern: 'Clean lines, minimal decoration, and a focus on function',
-  traditional: 'Classic elegance with rich colors and ornate details',
-  contemporary: 'Current trends with clean, sophisticated aesthetics',
-  minimalist: 'Simple, uncluttered spaces with essential elements only',
-  industrial: 'Raw materials, exposed elements, and urban aesthetics',
-  scandinavian: 'Light, airy spaces with natural materials and functionality',
-  bohemian: 'Eclectic, artistic, and free-spirited design',
-  coastal: 'Relaxed, beach-inspired with light colors and natural textures',
-  farmhouse: 'Rustic charm with modern comfort and vintage elements',
-  'mid-century': 'Retro style from the 1950s-60s with clean lines',
-  'art-deco': 'Luxurious, geometric patterns and bold colors',
-  other: 'Custom or mixed style approach'
-};
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-// Budget ranges
-const BUDGET_RANGES = {
-  'under-10k': 'Under $10,000',
-  '10k-25k': '$10,000 - $25,000',
-  '25k-50k': '$25,000 - $50,000',
-  '50k-100k': '$50,000 - $100,000',
-  'over-100k': 'Over $100,000'
-};
+// Longest reply text a chat message row holds; longer replies are cut short when saved
+const STORED_REPLY_LIMIT = ChatMessage.schema.path('message').options.maxlength[0];
+const clipReply = text => (text && text.length > STORED_REPLY_LIMIT ? `${text.slice(0, STORED_REPLY_LIMIT - 1)}…` : text);
 
-// Timeline options
-const TIMELINE_OPTIONS = {
-  '1-3-months': '1-3 months',
-  '3-6-months': '3-6 months',
-  '6-12-months': '6-12 months',
-  'over-12-months': 'Over 12 months'
+// Navigation commands, recognised at any step
+const RESTART_COMMAND = /^\s*(?:can we |let's |please )?(?:start over|start again|restart|reset|begin again)\b/i;
+const BACK_COMMAND = /^\s*(?:please\s+)?(?:go back|back|undo|previous question)\s*[.!]?\s*$/i;
+// Words that mark a message as changing an earlier answer
+const CORRECTION_CUE = /\b(?:actually|change|correction|instead|i meant|i mean|make it|update|wrong)\b/i;
+// Replies that accept the review summary
+const CONFIRM_REPLY = /^\s*(?:yes|yep|yeah|yup|correct|confirm(?:ed)?|looks good|looks right|that's right|all good|perfect|ok|okay|sure|send it)\b/i;
+
+// How collected fields are named to visitors, and words that refer to them
+const FIELD_LABELS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone number',
+  projectType: 'project type',
+  roomType: 'room',
+  roomSize: 'room size',
+  budget: 'budget',
+  timeline: 'timeline',
+  designStyle: 'design style',
+  additionalNotes: 'notes'
+};
+const FIELD_KEYWORDS = {
+  name: ['name'],
+  email: ['email', 'e-mail'],
+  phone: ['phone', 'phone number'],
+  projectType: ['project type', 'project'],
+  roomType: ['room', 'space', 'area'],
+  roomSize: ['room size', 'size', 'square footage', 'dimensions'],
+  budget: ['budget', 'spend', 'cost', 'price'],
+  timeline: ['timeline', 'timeframe', 'deadline', 'schedule'],
+  designStyle: ['design style', 'style', 'look'],
+  additionalNotes: ['notes', 'requirements']
 };
 
+// Confidence given to answers read by the language model rather than the rules
+const LLM_CONFIDENCE = 0.6;
+
+// Turns kept for "go back", and earlier attempts kept on restart
+const HISTORY_LIMIT = 20;
+const ARCHIVE_LIMIT = 5;
+
+const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+
 class ChatbotService {
   constructor() {
     this.conversationFlows = new Map();
+    this.sandbox = false;
+  }
+
+  // Copy of the service for simulated chats. It reads flows, FAQ entries and designs like the real
+  // one but records nothing, and leaves out the language model so runs repeat exactly.
+  createSandbox() {
+    return Object.assign(Object.create(this), { sandbox: true });
   }
 
-  // Process incoming message and generate response
-  async processMessage(message, sessionId, userId) {
+  // Process incoming message and generate response by running the conversation's chat flow.
+  // `quickReply` is the value of a quick reply button the visitor picked, if any. A `context`
+  // runs the message on that conversation state instead of the one stored for the session.
+  async processMessage(message, sessionId, userId, { quickReply, context: givenContext } = {}) {
     try {
-      // Get conversation context
-      const context = await this.getConversationContext(sessionId);
-      const currentStep = context.currentStep || CONVERSATION_STEPS.GREETING;
-      
-      // Analyze user intent
-      const intent = this.analyzeIntent(message, currentStep);
-      
-      // Generate response based on current step and intent
-      const response = await this.generateResponse(message, currentStep, intent, context);
-      
-      // Update conversation context
-      const updatedContext = await this.updateContext(sessionId, currentStep, intent, message, response);
-      
-      return {
-        response: response.message,
-        intent: intent.type,
-        confidence: intent.confidence,
-        context: updatedContext,
-        isComplete: response.isComplete,
-        nextSteps: response.nextSteps
-      };
+      const context = givenContext || await this.getConversationContext(sessionId);
+      let flow = await chatFlowService.getFlowForContext(context);
+      context.flow = { key: flow.key, version: flow.version };
+      context.collectedData = context.collectedData || {};
+      context.history = context.history || [];
+
+      // A finished conversation starts over with nothing collected, so it can't be completed twice
+      if (context.currentStep === ChatFlow.COMPLETE_STEP) {
+        flow = await this.resetConversation(context);
+      }
+
+      // A conversation whose step no longer exists goes back to the start of the flow
+      const step = this.findStep(flow, context.currentStep) || this.findStep(flow, flow.startStep);
+      context.currentStep = step.key;
+
+      // A quick reply button answers its step directly, without keyword matching
+      const picked = this.readQuickReply(step, quickReply);
+      if (picked) {
+        return step.entity === 'review'
+          ? this.reviewAnswers(flow, context, step, message, sessionId, picked)
+          : this.answerStep(flow, context, step, message, sessionId, picked);
+      }
+
+      if (RESTART_COMMAND.test(message)) {
+        return this.restartConversation(context);
+      }
+
+      if (BACK_COMMAND.test(message)) {
+        return this.goBack(flow, context);
+      }
+
+      if (step.entity === 'review' || CORRECTION_CUE.test(message)) {
+        const corrections = this.extractCorrections(flow, message, context.collectedData);
+        if (Object.keys(corrections).length > 0) {
+          return this.applyCorrections(flow, context, step, corrections);
+        }
+      }
+
+      if (step.entity === 'review') {
+        return this.reviewAnswers(flow, context, step, message, sessionId);
+      }
+
+      return this.answerStep(flow, context, step, message, sessionId);
       
     } catch (error) {
       console.error('Error processing message:', error);
@@ -99,391 +160,772 @@ class ChatbotService {
     }
   }
 
-  // Analyze user intent from message
-  analyzeIntent(message, currentStep) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Greeting patterns
-    if (currentStep === CONVERSATION_STEPS.GREETING) {
-      if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('hey')) {
-        return { type: 'greeting', confidence: 0.9 };
-      }
+  // Store a visitor message and the reply it got, logging them instead when the database is unavailable
+  async saveExchange({ sessionId, userId, message, quickReply, botResponse, metadata = {} }) {
+    const messageMetadata = {
+      userAgent: metadata.userAgent || '',
+      ipAddress: metadata.ipAddress || '',
+      timestamp: new Date()
+    };
+
+    // Replies built outside the flow, like handoff notices, are sent as a single text block
+    if (!botResponse.blocks) {
+      botResponse.blocks = [{ type: 'text', text: botResponse.response }];
     }
 
-    // Project type patterns
-    if (currentStep === CONVERSATION_STEPS.PROJECT_TYPE) {
-      if (lowerMessage.includes('residential') || lowerMessage.includes('home') || lowerMessage.includes('house')) {
-        return { type: 'residential', confidence: 0.8 };
-      }
-      if (lowerMessage.includes('commercial') || lowerMessage.includes('office') || lowerMessage.includes('business')) {
-        return { type: 'commercial', confidence: 0.8 };
-      }
-      if (lowerMessage.includes('renovation') || lowerMessage.includes('remodel')) {
-        return { type: 'renovation', confidence: 0.7 };
+    const userMessage = new ChatMessage({
+      sessionId,
+      userId,
+      message,
+      response: clipReply(botResponse.response),
+      messageType: 'user',
+      quickReply,
+      intent: botResponse.intent,
+      confidence: botResponse.confidence,
+      context: botResponse.context,
+      metadata: messageMetadata
+    });
+
+    const botMessage = new ChatMessage({
+      sessionId,
+      userId,
+      message: clipReply(botResponse.response),
+      response: '',
+      messageType: 'bot',
+      blocks: botResponse.blocks,
+      intent: botResponse.intent,
+      confidence: botResponse.confidence,
+      context: botResponse.context,
+      metadata: messageMetadata
+    });
+
+    try {
+      await userMessage.save();
+      await botMessage.save();
+    } catch (dbError) {
+      // Only a missing connection is expected; anything else, like a validation error, is a bug
+      if (mongoose.connection.readyState === 1) throw dbError;
+      console.log('Database not available, chat messages logged only:', {
+        sessionId,
+        userMessage: message,
+        botResponse: botResponse.response
+      });
+    }
+
+    return { userMessage, botMessage };
+  }
+
+  // Turn a completed conversation into a lead and let the team and integrations know
+  async completeConversation(sessionId, context) {
+    const { collectedData, parsedValues } = context;
+    let lead = null;
+    try {
+      const result = await leadService.upsertFromChat(collectedData, sessionId, parsedValues);
+      lead = result ? result.lead : null;
+    } catch (leadError) {
+      console.error('Error saving lead from chat:', leadError);
+    }
+
+    // Emails are read by people, so choices show their option labels rather than stored values
+    const flow = await chatFlowService.getFlowForContext(context);
+    mailerService.notifyChatComplete(this.labelCollectedData(flow, collectedData), { lead, sessionId })
+      .catch(mailError => console.error('Error sending chat completion emails:', mailError));
+
+    webhookService.emit('chat.completed', {
+      sessionId,
+      collectedData,
+      leadId: lead ? lead._id : null
+    });
+
+    return lead;
+  }
+
+
+  // Store the step's answer plus anything else the message mentions, then move to the next unanswered step
+  async answerStep(flow, context, step, message, sessionId, picked) {
+    const isQuestion = !picked && faqService.looksLikeQuestion(message);
+    let answer = picked || this.extractAnswer(step, message);
+
+    // A question is never kept as a typed-in choice or a name
+    if (isQuestion && answer && (step.entity === 'name' || (step.entity === 'choice' && !answer.option))) {
+      answer = null;
+    }
+
+    // Details for later steps given up front are kept, so those questions are skipped
+    let extracted = picked ? {} : this.extractEntities(flow, message, context.collectedData, step);
+    let understood = Boolean(answer) || Object.keys(extracted).length > 0;
+
+    // Questions are checked against the FAQ first, so "what's your design fee?" isn't taken as an answer
+    if (!understood || isQuestion) {
+      const faqReply = await this.answerFromFaq(flow, context, message, { sessionId, logMiss: !understood });
+      if (faqReply) return faqReply;
+    }
+
+    // Messages the rules can't read go to the language model, when one is configured
+    let modelReply = '';
+    if (!understood) {
+      const interpretation = await this.interpretWithLlm(flow, context, step, message);
+      if (interpretation) {
+        ({ answer, extracted } = interpretation);
+        understood = Boolean(answer) || Object.keys(extracted).length > 0;
+        modelReply = interpretation.onTopic ? interpretation.reply : OFF_TOPIC_REPLY;
       }
     }
 
-    // Room type patterns
-    if (currentStep === CONVERSATION_STEPS.ROOM_TYPE) {
-      const roomTypes = ['living room', 'bedroom', 'kitchen', 'bathroom', 'dining room', 'office', 'basement', 'outdoor'];
-      for (const roomType of roomTypes) {
-        if (lowerMessage.includes(roomType)) {
-          return { type: roomType, confidence: 0.8 };
-        }
+    if (!understood) {
+      if (modelReply) {
+        return this.buildReply(flow, context, {
+          leadIn: modelReply,
+          intent: modelReply === OFF_TOPIC_REPLY ? 'off-topic' : 'llm',
+          confidence: LLM_CONFIDENCE
+        });
       }
+      return this.buildReply(flow, context, { intent: 'unknown', confidence: 0.3, retry: true });
     }
 
-    // Design style patterns
-    if (currentStep === CONVERSATION_STEPS.DESIGN_STYLE) {
-      for (const [style, description] of Object.entries(DESIGN_STYLES)) {
-        if (lowerMessage.includes(style)) {
-          return { type: style, confidence: 0.8 };
-        }
+    const updates = {};
+    if (answer && step.field) updates[step.field] = answer;
+    Object.assign(updates, extracted);
+    this.recordTurn(context, step.key, updates);
+
+    const notedLabels = Object.entries(extracted).map(([field, entity]) => this.getValueLabel(flow, field, entity.value));
+    const leadIn = answer
+      ? [
+        this.renderTemplate((answer.option && answer.option.reply) || step.acknowledgement, flow, context),
+        notedLabels.length > 0 ? `I've also noted: ${notedLabels.join(', ')}.` : ''
+      ].filter(Boolean).join(' ')
+      : `Got it: ${notedLabels.join(', ')}.`;
+
+    if (answer) {
+      context.currentStep = this.skipAnsweredSteps(flow, this.getNextStepKey(step, context.collectedData), context.collectedData);
+    }
+
+    return this.buildReply(flow, context, {
+      leadIn,
+      intent: answer ? answer.intent : 'multiple',
+      confidence: answer ? answer.confidence : Math.max(...Object.values(extracted).map(entity => entity.confidence))
+    });
+  }
+
+  // Review step: a confirmation finishes it, naming a detail goes back to the question that asks for it
+  async reviewAnswers(flow, context, step, message, sessionId, picked) {
+    if (picked || CONFIRM_REPLY.test(message)) {
+      context.currentStep = this.getNextStepKey(step, context.collectedData);
+      return this.buildReply(flow, context, {
+        leadIn: this.renderTemplate(step.acknowledgement, flow, context),
+        intent: 'confirm',
+        confidence: 0.9
+      });
+    }
+
+    const [field] = this.findMentionedFields(message);
+    const target = field ? this.findStepForField(flow, field, context.collectedData) : null;
+
+    if (!target) {
+      const faqReply = await this.answerFromFaq(flow, context, message, { sessionId, logMiss: true });
+      return faqReply || this.buildReply(flow, context, { intent: 'unknown', confidence: 0.3, retry: true });
+    }
+
+    this.recordTurn(context, step.key, {});
+    context.currentStep = target.key;
+    return this.buildReply(flow, context, {
+      leadIn: `Sure, let's update your ${FIELD_LABELS[field]}.`,
+      intent: 'edit',
+      confidence: 0.8
+    });
+  }
+
+  // Answer an off-script question from the FAQ and ask the current question again.
+  // Returns null when no entry matches well enough, logging the question for staff if asked to.
+  async answerFromFaq(flow, context, message, { sessionId, logMiss }) {
+    const { match, closest } = await faqService.findAnswer(message, { record: !this.sandbox });
+
+    if (!match) {
+      if (logMiss && !this.sandbox) {
+        faqService.logUnanswered({ question: message, sessionId, step: context.currentStep, closest });
       }
+      return null;
     }
 
-    // Budget patterns
-    if (currentStep === CONVERSATION_STEPS.BUDGET) {
-      for (const [range, label] of Object.entries(BUDGET_RANGES)) {
-        if (lowerMessage.includes(range.replace('-', ' ')) || lowerMessage.includes(label.toLowerCase())) {
-          return { type: range, confidence: 0.8 };
-        }
+    return this.buildReply(flow, context, {
+      leadIn: match.entry.answer,
+      intent: 'faq',
+      confidence: match.confidence
+    });
+  }
+
+  // Let the language model read a message for the current step and any unanswered ones.
+  // Values it returns are checked like typed answers, so it can't pick an option that doesn't exist.
+  // Returns null without a provider or when the model fails, leaving the rules to answer.
+  async interpretWithLlm(flow, context, step, message) {
+    if (this.sandbox || !llmService.isEnabled()) return null;
+
+    const steps = [];
+    flow.steps.forEach((candidate) => {
+      const open = candidate.field === step.field || !context.collectedData[candidate.field];
+      if (candidate.field && open && !steps.some(entry => entry.field === candidate.field)) {
+        steps.push(candidate.field === step.field ? step : candidate);
       }
-      // Extract numbers for budget
-      const numbers = lowerMessage.match(/\d+/g);
-      if (numbers) {
-        const budget = parseInt(numbers[0]);
-        if (budget < 10000) return { type: 'under-10k', confidence: 0.7 };
-        if (budget < 25000) return { type: '10k-25k', confidence: 0.7 };
-        if (budget < 50000) return { type: '25k-50k', confidence: 0.7 };
-        if (budget < 100000) return { type: '50k-100k', confidence: 0.7 };
-        return { type: 'over-100k', confidence: 0.7 };
+    });
+
+    const interpretation = await llmService.interpret({
+      context,
+      currentQuestion: this.renderTemplate(step.prompt, flow, context, step),
+      fields: steps.map(candidate => ({
+        field: candidate.field,
+        label: FIELD_LABELS[candidate.field] || candidate.field,
+        values: (candidate.options || []).map(option => option.value),
+        freeText: candidate.allowFreeText
+      })),
+      message
+    });
+    if (!interpretation) return null;
+
+    let answer = null;
+    const extracted = {};
+    Object.entries(interpretation.fields).forEach(([field, value]) => {
+      const target = steps.find(candidate => candidate.field === field);
+      const entity = target && this.readModelValue(target, value);
+      if (!entity) return;
+
+      if (target === step) {
+        answer = entity;
+      } else {
+        extracted[field] = entity;
       }
+    });
+
+    return { answer, extracted, onTopic: interpretation.onTopic, reply: interpretation.reply };
+  }
+
+  // A value the language model gave for a step: an exact option value, or anything the step's rules accept
+  readModelValue(step, value) {
+    const option = (step.options || []).find(candidate => candidate.value === value);
+    if (option) {
+      return { value: option.value, option, intent: option.value, confidence: LLM_CONFIDENCE };
     }
 
-    // Timeline patterns
-    if (currentStep === CONVERSATION_STEPS.TIMELINE) {
-      for (const [timeline, label] of Object.entries(TIMELINE_OPTIONS)) {
-        if (lowerMessage.includes(timeline.replace('-', ' ')) || lowerMessage.includes(label.toLowerCase())) {
-          return { type: timeline, confidence: 0.8 };
-        }
-      }
+    const entity = this.extractAnswer(step, value);
+    return entity && entity.value ? { ...entity, confidence: Math.min(entity.confidence, LLM_CONFIDENCE) } : null;
+  }
+
+  // Replace earlier answers and ask the current question again
+  async applyCorrections(flow, context, step, corrections) {
+    this.recordTurn(context, step.key, corrections);
+
+    const changed = Object.entries(corrections).map(([field, entity]) => `${FIELD_LABELS[field]} to ${this.getValueLabel(flow, field, entity.value)}`);
+    return this.buildReply(flow, context, {
+      leadIn: `Got it, I've updated your ${changed.join(' and ')}.`,
+      intent: 'correction',
+      confidence: Math.max(...Object.values(corrections).map(entity => entity.confidence))
+    });
+  }
+
+  // Undo the last answered turn and ask its question again
+  async goBack(flow, context) {
+    const turn = context.history.pop();
+
+    if (!turn) {
+      return this.buildReply(flow, context, { leadIn: "We're already at the first question.", intent: 'back', confidence: 0.9 });
     }
 
-    // Contact info patterns
-    if (currentStep === CONVERSATION_STEPS.CONTACT_INFO) {
-      const emailPattern = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
-      const phonePattern = /(\+\d{1,3}[-. ]?)?\(?\d{3}\)?[-. ]?\d{3}[-. ]?\d{4}/;
-      
-      if (emailPattern.test(message)) {
-        return { type: 'email', confidence: 0.9, data: message.match(emailPattern)[0] };
+    const parsedValues = { ...(context.parsedValues || {}) };
+    turn.changes.forEach(({ field, previous, previousParsed }) => {
+      if (previous === undefined || previous === null) {
+        delete context.collectedData[field];
+      } else {
+        context.collectedData[field] = previous;
       }
-      if (phonePattern.test(message)) {
-        return { type: 'phone', confidence: 0.9, data: message.match(phonePattern)[0] };
+
+      if (previousParsed) {
+        parsedValues[field] = previousParsed;
+      } else {
+        delete parsedValues[field];
       }
-      if (lowerMessage.includes('name') || lowerMessage.includes('call me')) {
-        return { type: 'name', confidence: 0.7 };
+    });
+    context.parsedValues = parsedValues;
+    context.currentStep = this.findStep(flow, turn.step) ? turn.step : flow.startStep;
+
+    return this.buildReply(flow, context, { leadIn: "Sure, let's go back.", intent: 'back', confidence: 0.9 });
+  }
+
+  // Archive the answers so far and start again on the active flow
+  async restartConversation(context) {
+    const flow = await this.resetConversation(context);
+    return this.buildReply(flow, context, { leadIn: "No problem, let's start over.", intent: 'restart', confidence: 0.9 });
+  }
+
+  // Archive the conversation's answers and put it at the start of the active flow, which is returned
+  async resetConversation(context) {
+    const archived = {
+      flow: context.flow,
+      currentStep: context.currentStep,
+      collectedData: context.collectedData,
+      archivedAt: new Date()
+    };
+    const flow = await chatFlowService.getActiveFlow();
+
+    context.archivedContexts = [...(context.archivedContexts || []), archived].slice(-ARCHIVE_LIMIT);
+    context.flow = { key: flow.key, version: flow.version };
+    context.currentStep = flow.startStep;
+    context.collectedData = {};
+    context.parsedValues = {};
+    context.history = [];
+    context.recommendedFor = undefined;
+
+    return flow;
+  }
+
+  // Apply answers by field and remember the values they replaced, so the turn can be undone.
+  // Quantities read with an answer are kept in parsedValues, and dropped when an answer without one replaces it.
+  recordTurn(context, stepKey, updates) {
+    const parsedValues = { ...(context.parsedValues || {}) };
+    const changes = Object.entries(updates).map(([field, entity]) => {
+      const change = { field, previous: context.collectedData[field], previousParsed: parsedValues[field] };
+
+      context.collectedData[field] = entity.value;
+      if (entity.parsed) {
+        parsedValues[field] = entity.parsed;
+      } else {
+        delete parsedValues[field];
       }
-    }
 
-    // Default intent
-    return { type: 'unknown', confidence: 0.3 };
+      return change;
+    });
+
+    context.parsedValues = parsedValues;
+    context.history = [...context.history, { step: stepKey, changes }].slice(-HISTORY_LIMIT);
   }
 
-  // Generate response based on current step and intent
-  async generateResponse(message, currentStep, intent, context) {
-    switch (currentStep) {
-      case CONVERSATION_STEPS.GREETING:
-        return this.handleGreeting(intent);
-      
-      case CONVERSATION_STEPS.PROJECT_TYPE:
-        return this.handleProjectType(intent, context);
-      
-      case CONVERSATION_STEPS.ROOM_TYPE:
-        return this.handleRoomType(intent, context);
-      
-      case CONVERSATION_STEPS.DESIGN_STYLE:
-        return this.handleDesignStyle(intent, context);
-      
-      case CONVERSATION_STEPS.BUDGET:
-        return this.handleBudget(intent, context);
-      
-      case CONVERSATION_STEPS.TIMELINE:
-        return this.handleTimeline(intent, context);
-      
-      case CONVERSATION_STEPS.ROOM_SIZE:
-        return this.handleRoomSize(message, context);
-      
-      case CONVERSATION_STEPS.CONTACT_INFO:
-        return this.handleContactInfo(intent, message, context);
-      
-      case CONVERSATION_STEPS.ADDITIONAL_NOTES:
-        return this.handleAdditionalNotes(message, context);
-      
-      default:
-        return {
-          message: "I'm here to help you with your interior design project! What type of project are you planning?",
-          nextStep: CONVERSATION_STEPS.PROJECT_TYPE,
-          isComplete: false
-        };
+  // Reply that asks the conversation's current step, or finishes the flow, after an optional lead-in
+  async buildReply(flow, context, { leadIn = '', intent, confidence, retry = false }) {
+    const parts = [leadIn];
+    let step = this.findStep(flow, context.currentStep);
+
+    // A step with nothing to ask, like a greeting, is passed straight through
+    if (step && step.entity === 'none' && !step.prompt) {
+      parts.push(this.renderTemplate(step.acknowledgement, flow, context));
+      context.currentStep = this.skipAnsweredSteps(flow, this.getNextStepKey(step, context.collectedData), context.collectedData);
+      step = this.findStep(flow, context.currentStep);
     }
-  }
 
-  // Handle greeting step
-  handleGreeting(intent) {
-    if (intent.type === 'greeting') {
-      return {
-        message: "Hello! 👋 I'm your interior design assistant. I'm here to help you plan your perfect space! What type of project are you thinking about? (residential, commercial, or renovation?)",
-        nextStep: CONVERSATION_STEPS.PROJECT_TYPE,
-        isComplete: false
+    let reply;
+    let quickReplies = [];
+    if (context.currentStep === ChatFlow.COMPLETE_STEP) {
+      reply = {
+        message: this.renderTemplate(flow.completionMessage, flow, context),
+        isComplete: true,
+        nextSteps: flow.nextSteps
       };
+    } else {
+      const template = retry ? (step.retryPrompt || step.prompt) : step.prompt;
+      const prompt = this.renderTemplate(template, flow, context, step);
+      reply = step.offerConsultation && !retry ? await this.withConsultationOffer(prompt) : { message: prompt };
+      quickReplies = this.getQuickReplies(step);
+
+      // Clients that show the options as buttons get the prompt without the bullet list
+      if (quickReplies.length > 0 && !step.offerConsultation && /{{options}}/.test(template || '')) {
+        reply.richMessage = this.renderTemplate(template.replace(/\s*{{options}}/g, ''), flow, context, step);
+      }
+    }
+
+    const designs = await this.getRecommendations(context);
+    if (designs.length > 0) {
+      parts.push('Here are a few of our projects you might like.');
+    }
+
+    const blocks = [{ type: 'text', text: [...parts, reply.richMessage || reply.message].filter(Boolean).join(' ') }];
+    if (step && !reply.isComplete && step.image && step.image.url) {
+      blocks.push({ type: 'image', url: step.image.url, caption: step.image.caption });
     }
-    
+    if (designs.length > 0) {
+      blocks.push({
+        type: 'carousel',
+        cards: designs.map(design => ({
+          title: design.title,
+          subtitle: [design.designStyle, design.category].map(value => capitalize(value.replace(/-/g, ' '))).join(' · '),
+          imageUrl: design.mainImage,
+          link: design.link
+        }))
+      });
+    }
+    if (quickReplies.length > 0) {
+      blocks.push({ type: 'quick_replies', replies: quickReplies });
+    }
+
     return {
-      message: "Hi there! I'm excited to help you with your interior design project. What type of project are you planning?",
-      nextStep: CONVERSATION_STEPS.PROJECT_TYPE,
-      isComplete: false
+      response: [...parts, reply.message].filter(Boolean).join(' '),
+      blocks,
+      intent,
+      confidence,
+      context,
+      isComplete: Boolean(reply.isComplete),
+      nextSteps: reply.nextSteps,
+      availableSlots: reply.availableSlots,
+      designs: designs.length > 0 ? designs : undefined
     };
   }
 
-  // Handle project type step
-  handleProjectType(intent, context) {
-    if (intent.type === 'residential') {
-      context.collectedData.projectType = 'residential';
-      return {
-        message: "Great choice! 🏠 Residential projects are our specialty. Which room are you looking to design? (living room, bedroom, kitchen, bathroom, etc.)",
-        nextStep: CONVERSATION_STEPS.ROOM_TYPE,
-        isComplete: false
-      };
+  // Buttons for a step's answers; each value names the step, so a button left over from an earlier question picks nothing
+  getQuickReplies(step) {
+    if (step.entity === 'review') {
+      return [{ label: 'Yes, send it', value: `${step.key}:confirm` }];
     }
-    
-    if (intent.type === 'commercial') {
-      context.collectedData.projectType = 'commercial';
-      return {
-        message: "Excellent! 🏢 Commercial spaces require special attention to functionality and branding. What type of commercial space? (office, retail, restaurant, etc.)",
-        nextStep: CONVERSATION_STEPS.ROOM_TYPE,
-        isComplete: false
-      };
+
+    if (step.entity !== 'choice') return [];
+
+    return (step.options || []).map(option => ({
+      label: option.label || option.value,
+      value: `${step.key}:${option.value}`,
+      imageUrl: option.imageUrl
+    }));
+  }
+
+  // Answer picked by a quick reply value at the current step, or null when it belongs to another step
+  readQuickReply(step, quickReply) {
+    if (typeof quickReply !== 'string') return null;
+
+    const separator = quickReply.indexOf(':');
+    if (separator === -1 || quickReply.slice(0, separator) !== step.key) return null;
+
+    const value = quickReply.slice(separator + 1);
+    if (step.entity === 'review') {
+      return value === 'confirm' ? { value, intent: 'confirm', confidence: 1 } : null;
     }
-    
-    if (intent.type === 'renovation') {
-      context.collectedData.projectType = 'renovation';
-      return {
-        message: "Renovations are exciting! 🔨 Which area are you renovating? (kitchen, bathroom, entire home, etc.)",
-        nextStep: CONVERSATION_STEPS.ROOM_TYPE,
-        isComplete: false
-      };
+
+    const option = (step.options || []).find(candidate => candidate.value === value);
+    return option ? { value: option.value, option, intent: option.value, confidence: 1 } : null;
+  }
+
+  // Portfolio cards once the room and style are known, sent again only when either changes
+  async getRecommendations(context) {
+    const { roomType, designStyle, projectType } = context.collectedData;
+    if (!roomType || !designStyle) return [];
+
+    const key = `${roomType}|${designStyle}`;
+    if (context.recommendedFor === key) return [];
+    context.recommendedFor = key;
+
+    try {
+      return await recommendationService.recommend({ roomType, designStyle, projectType });
+    } catch (error) {
+      console.error('Error recommending designs:', error.message);
+      return [];
     }
-    
-    return {
-      message: "I'd love to help! What type of project are you planning? You can choose from:\n• Residential (homes, apartments)\n• Commercial (offices, retail spaces)\n• Renovation (updating existing spaces)",
-      nextStep: CONVERSATION_STEPS.PROJECT_TYPE,
-      isComplete: false
-    };
   }
 
-  // Handle room type step
-  handleRoomType(intent, context) {
-    const roomType = intent.type;
-    context.collectedData.roomType = roomType;
-    
-    return {
-      message: `Perfect! ${roomType.charAt(0).toUpperCase() + roomType.slice(1)}s are wonderful spaces to design. What's your preferred design style? Here are some popular options:\n\n${Object.entries(DESIGN_STYLES).map(([style, desc]) => `• ${style.charAt(0).toUpperCase() + style.slice(1)}: ${desc}`).join('\n')}`,
-      nextStep: CONVERSATION_STEPS.DESIGN_STYLE,
-      isComplete: false
-    };
+  // Find a step of a flow by key
+  findStep(flow, key) {
+    return flow.steps.find(step => step.key === key);
   }
 
-  // Handle design style step
-  handleDesignStyle(intent, context) {
-    if (intent.type in DESIGN_STYLES) {
-      context.collectedData.designStyle = intent.type;
-      return {
-        message: `Beautiful choice! ${intent.type.charAt(0).toUpperCase() + intent.type.slice(1)} style is ${DESIGN_STYLES[intent.type]}. Now, let's talk budget. What's your budget range for this project?\n\n${Object.entries(BUDGET_RANGES).map(([range, label]) => `• ${label}`).join('\n')}`,
-        nextStep: CONVERSATION_STEPS.BUDGET,
-        isComplete: false
-      };
+  // Step that follows an answer: the first branch whose field holds one of its values, else the step's next
+  getNextStepKey(step, collectedData) {
+    const branch = (step.branches || []).find(candidate => (candidate.values || []).includes(collectedData[candidate.field]));
+    return branch ? branch.next : step.next;
+  }
+
+  // Follow the flow past steps whose field is already filled
+  skipAnsweredSteps(flow, key, collectedData) {
+    const visited = new Set();
+    let step = this.findStep(flow, key);
+
+    while (step && step.field && collectedData[step.field] && !visited.has(step.key)) {
+      visited.add(step.key);
+      key = this.getNextStepKey(step, collectedData);
+      step = this.findStep(flow, key);
     }
-    
-    return {
-      message: "I'd love to know your design preference! Which style appeals to you most? You can choose from modern, traditional, contemporary, minimalist, industrial, scandinavian, bohemian, coastal, farmhouse, mid-century, art-deco, or other.",
-      nextStep: CONVERSATION_STEPS.DESIGN_STYLE,
-      isComplete: false
-    };
+
+    return key;
   }
 
-  // Handle budget step
-  handleBudget(intent, context) {
-    if (intent.type in BUDGET_RANGES) {
-      context.collectedData.budget = intent.type;
-      return {
-        message: `Perfect! ${BUDGET_RANGES[intent.type]} is a great budget range. What's your timeline for this project?\n\n${Object.entries(TIMELINE_OPTIONS).map(([timeline, label]) => `• ${label}`).join('\n')}`,
-        nextStep: CONVERSATION_STEPS.TIMELINE,
-        isComplete: false
-      };
+  // Read the answer a step asks for out of a message; null when the message doesn't contain one
+  extractAnswer(step, message) {
+    const text = message.trim();
+
+    switch (step.entity) {
+      case 'none':
+        return { intent: step.key, confidence: 0.9 };
+
+      case 'text': {
+        if (!text) return null;
+        const parsed = step.unit ? entityParserService.parse(step.unit, text) : null;
+        return { value: text, intent: step.field, confidence: 0.9, ...(parsed ? { parsed } : {}) };
+      }
+
+      case 'name': {
+        const name = text.replace(NAME_PREFIX, '').replace(/[.!]+$/, '').trim();
+        const isName = /[a-z]/i.test(name) && !/[\d@]/.test(name) && NOT_NAME_START.test(name) && name.length <= 60;
+        // "My name is Ana, call me on 555-0100" isn't a name as a whole, but introduces one
+        return isName ? { value: name, intent: 'name', confidence: 0.8 } : this.extractAnywhere(step, text);
+      }
+
+      case 'choice':
+        return this.matchOption(step, text);
+
+      default:
+        return this.extractAnywhere(step, text);
     }
-    
-    return {
-      message: "Understanding your budget helps us plan the perfect project! What's your budget range? You can choose from under $10,000, $10,000-$25,000, $25,000-$50,000, $50,000-$100,000, or over $100,000.",
-      nextStep: CONVERSATION_STEPS.BUDGET,
-      isComplete: false
-    };
   }
 
-  // Handle timeline step
-  handleTimeline(intent, context) {
-    if (intent.type in TIMELINE_OPTIONS) {
-      context.collectedData.timeline = intent.type;
-      return {
-        message: `Great! ${TIMELINE_OPTIONS[intent.type]} gives us good time to plan. What's the approximate size of the space? (e.g., 500 sq ft, small bedroom, large open concept, etc.)`,
-        nextStep: CONVERSATION_STEPS.ROOM_SIZE,
-        isComplete: false
-      };
+  // Answers for other steps found anywhere in a message, for fields that are still empty
+  extractEntities(flow, message, collectedData, currentStep) {
+    const found = {};
+
+    flow.steps.forEach((step) => {
+      const field = step.field;
+      if (!field || field === currentStep.field || found[field] || collectedData[field]) return;
+
+      const entity = this.extractAnywhere(step, message);
+      if (entity) found[field] = entity;
+    });
+
+    return found;
+  }
+
+  // Changed values for fields that already have an answer. A field the message names, as in
+  // "change the room to the attic", may also be answered the way its own step would be.
+  extractCorrections(flow, message, collectedData) {
+    const mentioned = this.findMentionedFields(message);
+    const valueText = message.split(/\b(?:is|to|be|it's|its|was)\b/i).pop().trim();
+    const found = {};
+
+    flow.steps.forEach((step) => {
+      const field = step.field;
+      if (!field || found[field] || !collectedData[field]) return;
+
+      let entity = this.extractAnywhere(step, message);
+      if (!entity && mentioned.includes(field) && valueText) {
+        entity = this.extractAnswer(step, valueText);
+      }
+      if (entity && entity.value !== collectedData[field]) {
+        found[field] = entity;
+      }
+    });
+
+    return found;
+  }
+
+  // Fields a message refers to by name, longest phrase first so "room size" isn't read as "room"
+  findMentionedFields(message) {
+    let text = message.toLowerCase();
+    const terms = Object.entries(FIELD_KEYWORDS)
+      .flatMap(([field, keywords]) => keywords.map(keyword => ({ field, keyword })))
+      .sort((a, b) => b.keyword.length - a.keyword.length);
+    const fields = [];
+
+    terms.forEach(({ field, keyword }) => {
+      const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword)}($|[^a-z0-9])`);
+      if (pattern.test(text)) {
+        text = text.replace(pattern, '$1 $2');
+        if (!fields.includes(field)) fields.push(field);
+      }
+    });
+
+    return fields;
+  }
+
+  // Step that asks for a field on the visitor's path through the flow
+  findStepForField(flow, field, collectedData) {
+    const visited = new Set();
+    let step = this.findStep(flow, flow.startStep);
+
+    while (step && !visited.has(step.key)) {
+      if (step.field === field) return step;
+      visited.add(step.key);
+      step = this.findStep(flow, this.getNextStepKey(step, collectedData));
     }
-    
-    return {
-      message: "Timeline is important for planning! When would you like to complete this project? You can choose from 1-3 months, 3-6 months, 6-12 months, or over 12 months.",
-      nextStep: CONVERSATION_STEPS.TIMELINE,
-      isComplete: false
-    };
+
+    return flow.steps.find(candidate => candidate.field === field) || null;
   }
 
-  // Handle room size step
-  handleRoomSize(message, context) {
-    context.collectedData.roomSize = message;
-    
-    return {
-      message: "Thanks! Now I'd love to get your contact information so our team can reach out with a personalized proposal. What's your name?",
-      nextStep: CONVERSATION_STEPS.CONTACT_INFO,
-      isComplete: false
-    };
+  // Stricter reading used outside a step's own turn: choices need a named option or a
+  // quantity with its unit, and free text is only picked up when it holds a quantity in its unit
+  extractAnywhere(step, message) {
+    switch (step.entity) {
+      case 'email': {
+        const match = message.match(EMAIL_PATTERN);
+        return match ? { value: match[0], intent: 'email', confidence: 0.9 } : null;
+      }
+
+      case 'phone': {
+        const match = message.match(PHONE_PATTERN);
+        return match ? { value: match[0], intent: 'phone', confidence: 0.9 } : null;
+      }
+
+      case 'name': {
+        const match = message.match(NAME_STATEMENT);
+        return match ? { value: match[1], intent: 'name', confidence: 0.7 } : null;
+      }
+
+      case 'choice':
+        return this.matchOption(step, message, { anywhere: true });
+
+      case 'text': {
+        const parsed = step.unit ? entityParserService.parse(step.unit, message, { requireUnit: true }) : null;
+        return parsed ? { value: parsed.text, parsed, intent: step.field, confidence: 0.7 } : null;
+      }
+
+      default:
+        return null;
+    }
   }
 
-  // Handle contact info step
-  handleContactInfo(intent, message, context) {
-    if (intent.type === 'name') {
-      context.collectedData.name = message;
-      return {
-        message: "Nice to meet you! What's your email address so we can send you our proposal?",
-        nextStep: CONVERSATION_STEPS.CONTACT_INFO,
-        isComplete: false
-      };
+  // Pick the option a message names, preferring the longest match so "dining room" beats "room".
+  // Falls back to the option whose range holds a quantity, then to the text itself when free text is allowed.
+  // A quantity read in the step's unit is kept with the answer as `parsed`.
+  matchOption(step, text, { anywhere = false } = {}) {
+    const lowerText = text.toLowerCase();
+    const options = step.options.filter(option => !anywhere || option.matchAnywhere !== false);
+    const parsed = step.unit ? entityParserService.parse(step.unit, text, { requireUnit: anywhere }) : null;
+    const quantity = entityParserService.getRepresentative(parsed);
+    let best = null;
+
+    options.forEach((option) => {
+      [option.value, option.label, ...(option.synonyms || [])].filter(Boolean).forEach((term) => {
+        const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(term.toLowerCase())}($|[^a-z0-9])`);
+        if (pattern.test(lowerText) && (!best || term.length > best.term.length)) {
+          best = { option, term };
+        }
+      });
+    });
+
+    const inRange = option => (option.min != null || option.max != null) &&
+      quantity >= (option.min || 0) &&
+      (option.max == null || quantity < option.max);
+
+    // A named option keeps the quantity only when it agrees, so "$10,000 - $25,000" keeps its range
+    if (best) {
+      const agrees = quantity !== null && (inRange(best.option) || (best.option.min == null && best.option.max == null));
+      return { value: best.option.value, option: best.option, intent: best.option.value, confidence: 0.8, ...(agrees ? { parsed } : {}) };
     }
-    
-    if (intent.type === 'email') {
-      context.collectedData.email = intent.data;
-      return {
-        message: "Perfect! Finally, do you have any specific requirements or additional notes about your project? (e.g., must-have features, special considerations, etc.)",
-        nextStep: CONVERSATION_STEPS.ADDITIONAL_NOTES,
-        isComplete: false
-      };
+
+    const ranged = quantity === null ? null : options.find(inRange);
+
+    if (ranged) {
+      return { value: ranged.value, option: ranged, intent: ranged.value, confidence: 0.7, parsed };
     }
-    
-    // If we have both name and email, move to additional notes
-    if (context.collectedData.name && context.collectedData.email) {
-      return {
-        message: "Great! Do you have any specific requirements or additional notes about your project? (e.g., must-have features, special considerations, etc.)",
-        nextStep: CONVERSATION_STEPS.ADDITIONAL_NOTES,
-        isComplete: false
-      };
+
+    if (step.allowFreeText && text && !anywhere) {
+      return { value: text, intent: 'other', confidence: 0.5, ...(parsed ? { parsed } : {}) };
     }
-    
-    return {
-      message: "I'd love to get your contact information! What's your name?",
-      nextStep: CONVERSATION_STEPS.CONTACT_INFO,
-      isComplete: false
-    };
+
+    return null;
+  }
+
+  // Fill {{options}}, {{summary}}, {{field}}, {{field.label}} and {{field.description}} placeholders
+  renderTemplate(template, flow, context, step) {
+    if (!template) return '';
+
+    return template.replace(/{{\s*([\w.]+)\s*}}/g, (placeholder, name) => {
+      if (name === 'options') {
+        return step ? this.formatOptions(step) : '';
+      }
+      if (name === 'summary') {
+        return this.formatSummary(flow, context);
+      }
+
+      const [field, property] = name.split('.');
+      const value = context.collectedData[field];
+      if (value === undefined || value === null) return '';
+      if (!property) return value;
+
+      const option = this.findOption(flow, field, value);
+      if (property === 'label') return this.getValueLabel(flow, field, value);
+      if (property === 'description') return option && option.description ? option.description : '';
+      return '';
+    });
+  }
+
+  // Option label for a collected value, or the value itself when it was typed freely
+  getValueLabel(flow, field, value) {
+    const option = this.findOption(flow, field, value);
+    return option && option.label ? option.label : value;
   }
 
-  // Handle additional notes step
-  handleAdditionalNotes(message, context) {
-    context.collectedData.additionalNotes = message;
-    
+  // Collected data with each value replaced by its option label
+  labelCollectedData(flow, collectedData) {
+    return Object.fromEntries(Object.entries(collectedData)
+      .map(([field, value]) => [field, this.getValueLabel(flow, field, value)]));
+  }
+
+  // Bullet list of everything collected so far, in the order the flow asks for it
+  formatSummary(flow, context) {
+    const fields = [...new Set(flow.steps.map(step => step.field).filter(Boolean))];
+
+    return fields
+      .filter(field => context.collectedData[field])
+      .map(field => `• ${capitalize(FIELD_LABELS[field] || field)}: ${this.getValueLabel(flow, field, context.collectedData[field])}`)
+      .join('\n');
+  }
+
+  // Option that produced a collected value, looked up across every step filling that field
+  findOption(flow, field, value) {
+    for (const step of flow.steps) {
+      const option = step.field === field && (step.options || []).find(candidate => candidate.value === value);
+      if (option) return option;
+    }
+    return null;
+  }
+
+  // Bullet list of a step's options
+  formatOptions(step) {
+    return (step.options || [])
+      .map(option => `• ${option.label || option.value}${option.description ? `: ${option.description}` : ''}`)
+      .join('\n');
+  }
+
+  // Next few open consultation slots to offer once we can reach the visitor
+  async getConsultationSlots() {
+    try {
+      const slots = await appointmentService.getAvailableSlots({ limit: 3 });
+      return slots.map(slot => ({
+        start: slot.start,
+        end: slot.end,
+        label: appointmentService.formatInTimeZone(slot.start),
+        teamMembers: slot.teamMembers
+      }));
+    } catch (error) {
+      console.error('Error loading consultation slots:', error);
+      return [];
+    }
+  }
+
+  // Offer consultation slots ahead of the next question, if any are open
+  async withConsultationOffer(message) {
+    const availableSlots = await this.getConsultationSlots();
+
+    if (availableSlots.length === 0) {
+      return { message };
+    }
+
     return {
-      message: `🎉 Perfect! Thank you for sharing your project details with me. Here's a summary of what we discussed:\n\n` +
-        `• Project Type: ${context.collectedData.projectType}\n` +
-        `• Room Type: ${context.collectedData.roomType}\n` +
-        `• Design Style: ${context.collectedData.designStyle}\n` +
-        `• Budget: ${BUDGET_RANGES[context.collectedData.budget]}\n` +
-        `• Timeline: ${TIMELINE_OPTIONS[context.collectedData.timeline]}\n` +
-        `• Room Size: ${context.collectedData.roomSize}\n\n` +
-        `Our team will review your requirements and get back to you within 24 hours with a personalized proposal. We're excited to help bring your vision to life! 🏠✨`,
-      nextStep: CONVERSATION_STEPS.COMPLETE,
-      isComplete: true,
-      nextSteps: [
-        "Our design team will review your requirements",
-        "You'll receive a personalized proposal within 24 hours",
-        "We'll schedule a consultation to discuss your project in detail"
-      ]
+      message: "If you'd like to talk it through, we have free consultations open:\n" +
+        availableSlots.map(slot => `• ${slot.label}`).join('\n') +
+        `\n\nPick one whenever suits you. ${message}`,
+      availableSlots
     };
   }
 
-  // Get conversation context from database
+  // Get conversation context from database; a new conversation starts on its flow's first step
   async getConversationContext(sessionId) {
     try {
       const lastMessage = await ChatMessage.findOne({ sessionId })
         .sort({ createdAt: -1 });
       
       if (lastMessage && lastMessage.context) {
-        return lastMessage.context;
+        return lastMessage.toObject().context;
       }
       
       return {
-        currentStep: CONVERSATION_STEPS.GREETING,
+        currentStep: null,
         collectedData: {},
         userPreferences: {}
       };
     } catch (error) {
       console.error('Error getting conversation context:', error);
       return {
-        currentStep: CONVERSATION_STEPS.GREETING,
-        collectedData: {},
-        userPreferences: {}
-      };
-    }
-  }
-
-  // Update conversation context
-  async updateContext(sessionId, currentStep, intent, message, response) {
-    try {
-      const context = await this.getConversationContext(sessionId);
-      
-      // Update current step
-      context.currentStep = response.nextStep || currentStep;
-      
-      // Update collected data based on intent
-      if (intent.type && intent.confidence > 0.6) {
-        switch (currentStep) {
-          case CONVERSATION_STEPS.PROJECT_TYPE:
-            context.collectedData.projectType = intent.type;
-            break;
-          case CONVERSATION_STEPS.ROOM_TYPE:
-            context.collectedData.roomType = intent.type;
-            break;
-          case CONVERSATION_STEPS.DESIGN_STYLE:
-            context.collectedData.designStyle = intent.type;
-            break;
-          case CONVERSATION_STEPS.BUDGET:
-            context.collectedData.budget = intent.type;
-            break;
-          case CONVERSATION_STEPS.TIMELINE:
-            context.collectedData.timeline = intent.type;
-            break;
-          case CONVERSATION_STEPS.CONTACT_INFO:
-            if (intent.type === 'email') {
-              context.collectedData.email = intent.data;
-            } else if (intent.type === 'name') {
-              context.collectedData.name = message;
-            }
-            break;
-        }
-      }
-      
-      return context;
-    } catch (error) {
-      console.error('Error updating context:', error);
-      return {
-        currentStep: CONVERSATION_STEPS.GREETING,
+        currentStep: null,
         collectedData: {},
         userPreferences: {}
       };
@@ -0,0 +1,352 @@
+// Reads budgets, room sizes and timelines out of chat messages as structured values
+
+// Currency amounts are given in when the visitor doesn't name one
+const DEFAULT_CURRENCY = process.env.QUOTE_CURRENCY || 'USD';
+
+const CURRENCIES = {
+  $: 'USD', 'us$': 'USD', usd: 'USD', dollar: 'USD', dollars: 'USD', bucks: 'USD',
+  '€': 'EUR', eur: 'EUR', euro: 'EUR', euros: 'EUR',
+  '£': 'GBP', gbp: 'GBP', pound: 'GBP', pounds: 'GBP'
+};
+const MULTIPLIERS = { k: 1000, thousand: 1000, grand: 1000, m: 1000000, mil: 1000000, million: 1000000 };
+
+// One amount: optional currency before, digits in either separator style or grouped by spaces
+// ("10 000"), optional multiplier and currency after. Numbers followed by time or size units aren't
+// money, and an amount never starts or ends next to another number, so "10 0000" is neither.
+const MONEY_PATTERN = /(us\$|\$|€|£|usd|eur|gbp)?\s*(?<![\d.,]|\d\s)(\d{1,3}(?:[ \u00a0]\d{3})+(?![.,]?\d)|\d(?:[\d.,]*\d)?)(?![.,]?\d|[ \u00a0]\d)(?:\s*(k|thousand|grand|million|mil|m)(?![a-z²\d]))?(?:\s*(dollars?|usd|bucks|euros?|eur|pounds?|gbp|€|£|\$))?(?!\s*(?:[x×]|by\b|weeks?|months?|mos?\b|years?|yrs?|days?|sq|square|ft|feet|foot|'|m2|m²|meters?|metres?|%|percent))/gi;
+// Words between two amounts that make them one range, and words before an amount that make it a bound
+const RANGE_JOINER = /^\s*(?:-|–|—|to|and|or)\s*$/i;
+const UPPER_BOUND = /(?:under|below|less than|up to|upto|max(?:imum)?|no more than|at most|within|not over|<)\s*$/i;
+const LOWER_BOUND = /(?:over|above|more than|at least|min(?:imum)?|starting (?:at|from)|from|>)\s*$/i;
+
+const SQFT_PER_SQM = 10.7639;
+const LENGTH_UNITS = { ft: 'ft', feet: 'ft', foot: 'ft', "'": 'ft', m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm' };
+const LENGTH = "(ft|feet|foot|'|meters?|metres?|m)(?![a-z²\\d])";
+// Width by length, with a unit after either or both numbers ("12x14 ft", "3m x 4m", "12' by 14'")
+const DIMENSION_PATTERN = new RegExp(`(?<![\\d.,])(\\d+(?:[.,]\\d+)?)\\s*(?:${LENGTH})?\\s*(?:x|×|by)\\s*(\\d+(?:[.,]\\d+)?)\\s*(?:${LENGTH})?`, 'gi');
+// An area given directly ("200 sq ft", "20 m²")
+const AREA_PATTERN = /(?<![\d.,])(\d(?:[\d.,]*\d)?)\s*(sq\.?\s*(?:ft|feet|foot|m|meters?|metres?)|square\s+(?:feet|foot|met(?:er|re)s?)|sqft|sqm|sf|ft2|ft²|m2|m²)(?![a-z])/gi;
+
+// Durations, with ranges like "3-6 months" and words for small numbers
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, few: 3 };
+const DURATION_PATTERN = /\b(\d+(?:\.\d+)?|a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|(?:a\s+)?couple(?:\s+of)?|(?:a\s+)?few)\s*(?:(?:-|–|to|or)\s*(\d+(?:\.\d+)?|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s*)?(weeks?|months?|mos?|years?|yrs?)\b/i;
+const MONTHS_PER_UNIT = { week: 12 / 52, month: 1, mo: 1, year: 12, yr: 12 };
+const ASAP = /\b(?:asap|as soon as possible|right away|immediately|urgent(?:ly)?)\b/i;
+
+// Dates: month names and seasons need a word like "by" or "next" before them, so "I may" isn't May
+// and "prices fall" isn't autumn; holidays don't
+const DATE_LEAD = '(?:by|in|before|until|till|around|for|during|early|mid|late|end of|this|next)\\s+(?:(?:the|this|next|early|mid|late|end of)\\s+)*';
+const MONTH_PATTERN = new RegExp(`\\b${DATE_LEAD}(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\b(?:\\s+(\\d{4}))?`, 'i');
+const SEASON_PATTERN = new RegExp(`\\b${DATE_LEAD}(spring|summer|fall|autumn|winter)\\b(?:\\s+(?:of\\s+)?(\\d{4}))?`, 'i');
+const HOLIDAY_PATTERN = /\b(?:(?:this|next)\s+)?(christmas|xmas|thanksgiving|halloween|easter|new year'?s eve|new year'?s?)(?:\s+day)?\b(?:\s+(\d{4}))?/i;
+const PERIOD_PATTERN = /\b(?:(?:the\s+)?end of (?:the\s+|this\s+)?(year|month)|(next|this) (year|month))\b/i;
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Northern hemisphere season starts as [month, day]
+const SEASONS = { spring: [2, 20], summer: [5, 21], fall: [8, 22], autumn: [8, 22], winter: [11, 21] };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+const round = (value, places = 0) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Easter Sunday (Gregorian), as [month, day]
+const easter = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = (19 * a + b - Math.floor(b / 4) - Math.floor((b - Math.floor((8 * b + 13) / 25)) / 3) + 15) % 30;
+  const e = (32 + 2 * (b % 4) + 2 * Math.floor(c / 4) - d - (c % 4)) % 7;
+  const f = d + e - 7 * Math.floor((a + 11 * d + 22 * e) / 451) + 114;
+  return [Math.floor(f / 31) - 1, (f % 31) + 1];
+};
+
+// Fourth Thursday of November
+const thanksgiving = (year) => {
+  const firstWeekday = new Date(Date.UTC(year, 10, 1)).getUTCDay();
+  return [10, 1 + ((4 - firstWeekday + 7) % 7) + 21];
+};
+
+// Holidays as [month, day] in a given year
+const HOLIDAYS = {
+  christmas: () => [11, 25],
+  xmas: () => [11, 25],
+  halloween: () => [9, 31],
+  'new years eve': () => [11, 31],
+  'new year': () => [0, 1],
+  easter,
+  thanksgiving
+};
+
+class EntityParserService {
+  // A number written with thousands separators or a decimal comma: "25,000", "30.000", "2.5", "1,5"
+  parseNumber(raw) {
+    const lastDot = raw.lastIndexOf('.');
+    const lastComma = raw.lastIndexOf(',');
+
+    // With both separators, the last one is the decimal mark
+    if (lastDot !== -1 && lastComma !== -1) {
+      const decimal = lastDot > lastComma ? '.' : ',';
+      const group = decimal === '.' ? ',' : '.';
+      return parseFloat(raw.split(group).join('').replace(decimal, '.'));
+    }
+
+    const separator = lastDot !== -1 ? '.' : lastComma !== -1 ? ',' : null;
+    if (!separator) return parseFloat(raw);
+
+    const [first, ...groups] = raw.split(separator);
+    if (groups.every(group => group.length === 3) && first.length <= 3) {
+      return parseFloat(first + groups.join(''));
+    }
+    return groups.length === 1 ? parseFloat(`${first}.${groups[0]}`) : NaN;
+  }
+
+  // Amount of money, or a range of it, in a message: { min, max, currency, text }. A single amount
+  // has min equal to max, and "under 50k" or "over 100k" leave the other bound null. Amounts with
+  // a currency or multiplier win over bare numbers, and when requireUnit is set a bare number
+  // doesn't count at all, so "3 rooms" is never read as a $3 budget.
+  parseMoney(text, { requireUnit = false } = {}) {
+    const amounts = [...text.matchAll(MONEY_PATTERN)].map((match) => {
+      const [matched, before, digits, multiplier, after] = match;
+      const currencyWord = (before || after || '').toLowerCase();
+      return {
+        index: match.index,
+        end: match.index + matched.length,
+        value: this.parseNumber(digits.replace(/[ \u00a0]/g, '')),
+        multiplier: multiplier ? MULTIPLIERS[multiplier.toLowerCase()] : null,
+        currency: CURRENCIES[currencyWord] || CURRENCIES[currencyWord.replace(/s$/, '')] || null
+      };
+    }).filter(amount => Number.isFinite(amount.value));
+
+    return this.findMoney(text, amounts, true) || (requireUnit ? null : this.findMoney(text, amounts, false));
+  }
+
+  // First amount or range of amounts, optionally only one written with a unit
+  findMoney(text, amounts, requireUnit) {
+    for (let index = 0; index < amounts.length; index++) {
+      const first = amounts[index];
+      const second = amounts[index + 1];
+      const joined = second && RANGE_JOINER.test(text.slice(first.end, second.index));
+      const parts = joined ? [first, second] : [first];
+
+      if (requireUnit && !parts.some(part => part.currency || part.multiplier)) continue;
+
+      // "20 to 40k" and "$20-40k" share the multiplier and currency written once, but "$500-2k" doesn't
+      const multiplied = parts.find(part => part.multiplier);
+      const currency = parts.find(part => part.currency);
+      const values = parts.map((part) => {
+        if (part.multiplier) return part.value * part.multiplier;
+        if (multiplied && part.value <= multiplied.value) return part.value * multiplied.multiplier;
+        return part.value;
+      });
+
+      const result = {
+        min: Math.min(...values),
+        max: Math.max(...values),
+        currency: currency ? currency.currency : DEFAULT_CURRENCY,
+        text: text.slice(first.index, (joined ? second : first).end).trim()
+      };
+
+      if (!joined) {
+        const lead = text.slice(0, first.index);
+        if (UPPER_BOUND.test(lead)) result.min = null;
+        else if (LOWER_BOUND.test(lead) || /^\s*\+/.test(text.slice(first.end))) result.max = null;
+      }
+
+      return result;
+    }
+
+    return null;
+  }
+
+  // Room sizes in a message, each as an area in both unit systems: { sqft, sqm, rooms, text }.
+  // Several rooms ("12x14 and 10x10 ft") are added up, and a unit written once applies to every
+  // width-by-length without one; feet are assumed when no unit is given. A bare number counts as
+  // square feet unless requireUnit is set.
+  parseArea(text, { requireUnit = false } = {}) {
+    const rooms = [];
+
+    for (const match of text.matchAll(DIMENSION_PATTERN)) {
+      const [matched, width, widthUnit, length, lengthUnit] = match;
+      const unit = lengthUnit || widthUnit;
+      rooms.push({
+        index: match.index,
+        text: matched.trim(),
+        width: this.parseNumber(width),
+        length: this.parseNumber(length),
+        unit: unit ? LENGTH_UNITS[unit.toLowerCase()] : null
+      });
+    }
+
+    for (const match of text.matchAll(AREA_PATTERN)) {
+      const overlaps = rooms.some(room => match.index >= room.index && match.index < room.index + room.text.length);
+      if (overlaps) continue;
+
+      const metric = /m(?:2|²|eters?|etres?)?$|sqm/i.test(match[2].replace(/\s+/g, ''));
+      rooms.push({ index: match.index, text: match[0].trim(), area: this.parseNumber(match[1]), unit: metric ? 'm' : 'ft' });
+    }
+
+    if (rooms.length === 0 && !requireUnit) {
+      const bare = text.match(/^\s*(?:about|around|roughly|approx(?:imately)?\.?)?\s*(\d(?:[\d.,]*\d)?)\s*$/i);
+      if (bare) rooms.push({ index: bare.index, text: bare[1], area: this.parseNumber(bare[1]), unit: 'ft' });
+    }
+
+    const valid = rooms
+      .filter(room => (room.area !== undefined ? room.area > 0 : room.width > 0 && room.length > 0))
+      .sort((a, b) => a.index - b.index);
+    if (valid.length === 0) return null;
+
+    const unitGiven = valid.find(room => room.unit && room.area === undefined);
+    const defaultUnit = unitGiven ? unitGiven.unit : 'ft';
+
+    let totalSqft = 0;
+    const measured = valid.map(({ text: roomText, width, length, area, unit }) => {
+      const roomUnit = unit || defaultUnit;
+      const size = area !== undefined ? area : width * length;
+      const sqft = roomUnit === 'm' ? size * SQFT_PER_SQM : size;
+      totalSqft += sqft;
+
+      const room = { text: roomText, unit: roomUnit, sqft: round(sqft), sqm: round(sqft / SQFT_PER_SQM, 1) };
+      if (area === undefined) Object.assign(room, { width, length });
+      return room;
+    });
+
+    return {
+      sqft: round(totalSqft),
+      sqm: round(totalSqft / SQFT_PER_SQM, 1),
+      rooms: measured,
+      text: measured.map(room => room.text).join(', ')
+    };
+  }
+
+  // Today's date where the studio is, as a UTC midnight
+  getToday(now, timeZone) {
+    const [year, month, day] = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .format(now)
+      .split('-')
+      .map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  // Next date on or after today that a yearly [month, day] falls on. "this" keeps this year's
+  // date even when it has passed, and an explicit year is used as given.
+  nextOccurrence(today, getDate, { isThis = false, year } = {}) {
+    const dateIn = (candidateYear) => {
+      const [month, day] = getDate(candidateYear);
+      return new Date(Date.UTC(candidateYear, month, day));
+    };
+
+    if (year) return dateIn(parseInt(year));
+
+    const thisYear = dateIn(today.getUTCFullYear());
+    return isThis || thisYear >= today ? thisYear : dateIn(today.getUTCFullYear() + 1);
+  }
+
+  // The date a message names and the words that name it, or null
+  parseDate(text, today) {
+    const holiday = text.match(HOLIDAY_PATTERN);
+    if (holiday) {
+      const name = holiday[1].toLowerCase().replace(/'/g, '').replace(/^new years?$/, 'new year');
+      const date = this.nextOccurrence(today, HOLIDAYS[name], { isThis: /^this\b/i.test(holiday[0]), year: holiday[2] });
+      return { date, text: holiday[0] };
+    }
+
+    const season = text.match(SEASON_PATTERN);
+    if (season) {
+      const date = this.nextOccurrence(today, () => SEASONS[season[1].toLowerCase()], { isThis: /\bthis\b/i.test(season[0]), year: season[2] });
+      return { date, text: season[0] };
+    }
+
+    const month = text.match(MONTH_PATTERN);
+    if (month) {
+      const monthIndex = MONTH_NAMES.indexOf(month[1].toLowerCase().slice(0, 3));
+      const day = /\b(?:late|end of)\b/i.test(month[0]) ? 28 : /\bmid\b/i.test(month[0]) ? 15 : 1;
+      const date = this.nextOccurrence(today, () => [monthIndex, day], { isThis: /\bthis\b/i.test(month[0]), year: month[2] });
+      return { date, text: month[0] };
+    }
+
+    // "this year" and "end of the month" mean the period's last day; "next year" is the whole year
+    const period = text.match(PERIOD_PATTERN);
+    if (period) {
+      const year = today.getUTCFullYear();
+      const monthIndex = today.getUTCMonth();
+      const isYear = (period[1] || period[3]).toLowerCase() === 'year';
+
+      if (period[2] && period[2].toLowerCase() === 'next') {
+        return isYear
+          ? { date: new Date(Date.UTC(year + 1, 0, 1)), until: new Date(Date.UTC(year + 1, 11, 31)), text: period[0] }
+          : { date: new Date(Date.UTC(year, monthIndex + 1, 1)), until: new Date(Date.UTC(year, monthIndex + 2, 0)), text: period[0] };
+      }
+      const date = isYear ? new Date(Date.UTC(year, 11, 31)) : new Date(Date.UTC(year, monthIndex + 1, 0));
+      return { date, text: period[0] };
+    }
+
+    return null;
+  }
+
+  // How soon a project should happen, in months from today: { min, max, by, text }. Durations
+  // ("3-6 months", "within 6 weeks") give the range directly; a date ("by Christmas", "next spring")
+  // is counted from today and kept as `by`. Seasons and months count from their start, and "next
+  // year" or "next month" span the whole period. A bare number means months unless requireUnit is set.
+  parseTimeline(text, { requireUnit = false, now = new Date(), timeZone = process.env.STUDIO_TIMEZONE || 'UTC' } = {}) {
+    const asap = text.match(ASAP);
+    if (asap) return { min: 0, max: 1, text: asap[0] };
+
+    const duration = text.match(DURATION_PATTERN);
+    if (duration) {
+      const [matched, first, second, unitName] = duration;
+      const perUnit = MONTHS_PER_UNIT[unitName.toLowerCase().replace(/s$/, '')];
+      const toMonths = (value) => {
+        const word = value.toLowerCase().replace(/^a\s+/, '').replace(/\s+of$/, '');
+        const number = NUMBER_WORDS[word] !== undefined ? NUMBER_WORDS[word] : parseFloat(value);
+        return round(number * perUnit, 1);
+      };
+
+      const result = { min: toMonths(first), max: toMonths(second || first), text: matched.trim() };
+      if (!second) {
+        const lead = text.slice(0, duration.index);
+        if (UPPER_BOUND.test(lead) || /\bin less than\s*$/i.test(lead)) result.min = 0;
+        else if (LOWER_BOUND.test(lead)) result.max = null;
+      }
+      return result;
+    }
+
+    const today = this.getToday(now, timeZone);
+    const named = this.parseDate(text, today);
+    if (named) {
+      const monthsUntil = date => Math.max(0, round((date - today) / DAY_MS / DAYS_PER_MONTH, 1));
+      const by = named.until || named.date;
+      return { min: monthsUntil(named.date), max: monthsUntil(by), by, text: named.text.trim() };
+    }
+
+    // A bare number means months, but not when it is clearly money like "$30" or "30k"
+    const bare = requireUnit ? null : text.match(/(?<![$€£\d.,])\d+(?:\.\d+)?(?![\d,]|\s*(?:k\b|thousand|dollars|euros|pounds))/);
+    return bare ? { min: parseFloat(bare[0]), max: parseFloat(bare[0]), text: bare[0] } : null;
+  }
+
+  // Structured value for a step's unit: money, months or area
+  parse(unit, text, options = {}) {
+    switch (unit) {
+      case 'money':
+        return this.parseMoney(text, options);
+      case 'months':
+        return this.parseTimeline(text, options);
+      case 'area':
+        return this.parseArea(text, options);
+      default:
+        return null;
+    }
+  }
+
+  // The one number a parsed range stands for when picking a ranged option: its middle, the
+  // lower bound for "over 100k", and just under the upper bound for "under 10k" or "within 3 months"
+  getRepresentative(value) {
+    if (!value) return null;
+    if (value.sqft !== undefined) return value.sqft;
+    if (value.min === null && value.max === null) return null;
+    if (value.max === null) return value.min;
+    if (value.min === null || (value.min === 0 && value.max > 0)) return value.max - 0.001;
+    return (value.min + value.max) / 2;
+  }
+}
+
+module.exports = new EntityParserService();
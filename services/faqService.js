@@ -0,0 +1,199 @@
+const FaqEntry = require('../models/FaqEntry');
+const UnansweredQuestion = require('../models/UnansweredQuestion');
+
+// Share of a question's weight that must match an entry before the chatbot answers with it
+const MIN_CONFIDENCE = parseFloat(process.env.FAQ_MIN_CONFIDENCE) || 0.6;
+// Entries are re-read at least this often, so edits made by another server show up
+const INDEX_TTL_MS = parseInt(process.env.FAQ_INDEX_TTL_MS) || 60 * 1000;
+
+// BM25 tuning: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+  'get', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 's', 'so',
+  'that', 'the', 'their', 'there', 'this', 'to', 'us', 'was', 'we', 'what', 'whats', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'any', 'about', 'also', 'much', 'many'
+]);
+
+// Messages that read as questions rather than answers
+const QUESTION_PATTERN = /\?\s*$|^\s*(?:what|what's|whats|how|do|does|did|can|could|will|would|is|are|where|when|who|why|which)\b/i;
+
+class FaqService {
+  constructor() {
+    this.index = null;
+    this.builtAt = 0;
+    this.minConfidence = MIN_CONFIDENCE;
+  }
+
+  looksLikeQuestion(message) {
+    return QUESTION_PATTERN.test(message);
+  }
+
+  // Crude stemming so "kitchens" matches "kitchen" and "designing" matches "design"
+  stem(token) {
+    if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+  }
+
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/'/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(token => token && !STOPWORDS.has(token))
+      .map(token => this.stem(token));
+  }
+
+  // Collapse a question to the form used to group repeats of it
+  normalize(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  // Term statistics for every active entry; the question counts twice so it outweighs the answer
+  buildIndex(entries) {
+    const documentFrequency = new Map();
+    const documents = entries.map((entry) => {
+      const tokens = this.tokenize([
+        entry.question,
+        entry.question,
+        ...(entry.alternateQuestions || []),
+        ...(entry.keywords || []),
+        entry.answer
+      ].join(' '));
+
+      const termFrequency = new Map();
+      tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+      termFrequency.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+
+      return { entry, termFrequency, length: tokens.length };
+    });
+
+    const totalLength = documents.reduce((sum, document) => sum + document.length, 0);
+
+    return {
+      documents,
+      documentFrequency,
+      averageLength: documents.length > 0 ? totalLength / documents.length : 0
+    };
+  }
+
+  async getIndex() {
+    if (!this.index || Date.now() - this.builtAt > INDEX_TTL_MS) {
+      const entries = await FaqEntry.find({ isActive: true }).lean();
+      this.index = this.buildIndex(entries);
+      this.builtAt = Date.now();
+    }
+
+    return this.index;
+  }
+
+  // Drop the cached index after entries change
+  invalidate() {
+    this.index = null;
+  }
+
+  idf(index, token) {
+    const total = index.documents.length;
+    const frequency = index.documentFrequency.get(token) || 0;
+    return Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  // Rank active entries against a question with BM25. Confidence is the idf-weighted share of
+  // the question's words an entry contains, so a rare unmatched word like a city name counts.
+  async search(question, { limit = 5 } = {}) {
+    const index = await this.getIndex();
+    const terms = [...new Set(this.tokenize(question))];
+    if (terms.length === 0 || index.documents.length === 0) return [];
+
+    const weights = new Map(terms.map(term => [term, this.idf(index, term)]));
+    const totalWeight = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+
+    return index.documents
+      .map((document) => {
+        let score = 0;
+        let matchedWeight = 0;
+
+        terms.forEach((term) => {
+          const frequency = document.termFrequency.get(term);
+          if (!frequency) return;
+
+          const norm = K1 * (1 - B + B * (document.length / index.averageLength));
+          score += weights.get(term) * (frequency * (K1 + 1)) / (frequency + norm);
+          matchedWeight += weights.get(term);
+        });
+
+        return {
+          entry: document.entry,
+          score,
+          confidence: totalWeight > 0 ? matchedWeight / totalWeight : 0
+        };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Best entry for a chat question when it is confident enough, plus the closest miss for logging.
+  // `record: false` leaves the entry's served count alone, for simulated chats.
+  async findAnswer(question, { record = true } = {}) {
+    try {
+      const [best] = await this.search(question, { limit: 1 });
+
+      if (!best || best.confidence < this.minConfidence) {
+        return { match: null, closest: best || null };
+      }
+
+      if (record) {
+        FaqEntry.updateOne({ _id: best.entry._id }, { $inc: { timesServed: 1 }, $set: { lastServedAt: new Date() } })
+          .catch(error => console.error('Error counting FAQ answer:', error.message));
+      }
+
+      return { match: best, closest: best };
+    } catch (error) {
+      console.error('Error searching FAQ:', error.message);
+      return { match: null, closest: null };
+    }
+  }
+
+  // Record a question nobody could answer, counting repeats. Never throws.
+  async logUnanswered({ question, sessionId, step, closest }) {
+    try {
+      const normalized = this.normalize(question);
+      if (!normalized) return null;
+
+      const latest = { lastAskedAt: new Date(), lastSessionId: sessionId, lastStep: step };
+      if (closest) {
+        latest.closestFaq = closest.entry._id;
+        latest.closestConfidence = Math.round(closest.confidence * 100) / 100;
+      }
+
+      const unanswered = await UnansweredQuestion.findOneAndUpdate(
+        { normalized },
+        {
+          $inc: { occurrences: 1 },
+          $set: latest,
+          $setOnInsert: { question: question.trim().slice(0, 1000) }
+        },
+        { upsert: true, new: true }
+      );
+
+      // Asked again after being answered means the answer didn't match; put it back in the queue
+      if (unanswered.status === 'answered') {
+        unanswered.status = 'open';
+        await unanswered.save();
+      }
+
+      return unanswered;
+    } catch (error) {
+      console.error('Error logging unanswered question:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new FaqService();
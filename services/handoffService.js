@@ -0,0 +1,112 @@
+// Phrases that mean the visitor wants to talk to a person
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a\s+|an\s+)?(human|person|agent|designer|someone|somebody|real person)\b/i,
+  /\b(real|live)\s+(person|human|agent)\b/i,
+  /\bhuman\s+(agent|please)\b/i
+];
+
+class HandoffService {
+  constructor() {
+    // sessionId -> { sessionId, userId, status, requestedAt, agentId, agentName, takenAt }
+    this.handoffs = new Map();
+  }
+
+  // Check whether a visitor message asks for a human
+  isHumanRequest(message) {
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(message || ''));
+  }
+
+  // Get the handoff state of a session, if any
+  get(sessionId) {
+    return this.handoffs.get(sessionId) || null;
+  }
+
+  // Whether an agent currently owns the session and the bot must stay quiet
+  isAgentActive(sessionId) {
+    const handoff = this.get(sessionId);
+    return Boolean(handoff && handoff.status === 'active');
+  }
+
+  // Put a session in the queue for a human; returns the existing entry if already queued or active
+  request(sessionId, userId) {
+    const existing = this.get(sessionId);
+    if (existing) {
+      return existing;
+    }
+
+    const handoff = {
+      sessionId,
+      userId,
+      status: 'waiting',
+      requestedAt: new Date()
+    };
+    this.handoffs.set(sessionId, handoff);
+    return handoff;
+  }
+
+  // Sessions waiting for pickup, oldest request first
+  getWaiting() {
+    return [...this.handoffs.values()]
+      .filter(handoff => handoff.status === 'waiting')
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+  }
+
+  // Sessions currently handled by an agent
+  getActive() {
+    return [...this.handoffs.values()].filter(handoff => handoff.status === 'active');
+  }
+
+  // 1-based queue position of a waiting session, or null
+  getQueuePosition(sessionId) {
+    const index = this.getWaiting().findIndex(handoff => handoff.sessionId === sessionId);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Let an agent take over a session, whether or not the visitor asked for one
+  takeOver(sessionId, agent, userId) {
+    const current = this.get(sessionId);
+
+    if (current && current.status === 'active' && current.agentId !== agent.userId) {
+      throw new Error(`Session is already handled by ${current.agentName}`);
+    }
+
+    const handoff = {
+      sessionId,
+      userId: current ? current.userId : userId,
+      requestedAt: current ? current.requestedAt : new Date(),
+      status: 'active',
+      agentId: agent.userId,
+      agentName: agent.name,
+      takenAt: new Date()
+    };
+    this.handoffs.set(sessionId, handoff);
+    return handoff;
+  }
+
+  // Hand a session back to the bot; only the agent handling it can, and waiting requests stay queued
+  release(sessionId, agentId) {
+    const current = this.get(sessionId);
+
+    if (!current || current.status !== 'active') {
+      return null;
+    }
+    if (current.agentId !== agentId) {
+      throw new Error(`Session is handled by ${current.agentName}`);
+    }
+
+    this.handoffs.delete(sessionId);
+    return current;
+  }
+
+  // Drop a waiting request, e.g. when the visitor cancels or leaves
+  cancel(sessionId) {
+    const current = this.get(sessionId);
+    if (current && current.status === 'waiting') {
+      this.handoffs.delete(sessionId);
+      return current;
+    }
+    return null;
+  }
+}
+
+module.exports = new HandoffService();
@@ -0,0 +1,113 @@
+const Lead = require('../models/Lead');
+const assignmentService = require('./assignmentService');
+const webhookService = require('./webhookService');
+
+// collectedData fields copied onto a lead
+const LEAD_FIELDS = ['name', 'phone', 'projectType', 'roomType', 'roomSize', 'budget', 'timeline', 'designStyle', 'additionalNotes'];
+// Fields whose quantities the chatbot reads, copied along with the answer they came from
+const PARSED_FIELDS = ['budget', 'roomSize', 'timeline'];
+// How fields are named in the note kept for details that differ from an existing lead's
+const FIELD_NAMES = {
+  name: 'Name',
+  phone: 'Phone',
+  projectType: 'Project type',
+  roomType: 'Room type',
+  roomSize: 'Room size',
+  budget: 'Budget',
+  timeline: 'Timeline',
+  designStyle: 'Design style',
+  additionalNotes: 'Notes'
+};
+const NOTE_AUTHORS = { form: 'Contact form', chat: 'Chatbot' };
+const NOTE_LIMIT = 2000;
+
+class LeadService {
+  // Create a lead or merge new details into the existing one with the same email.
+  // `assignTo` routes an unassigned lead to a known team member instead of auto-assigning it.
+  // Submissions aren't authenticated, so anyone may use a client's email: they only fill empty
+  // fields, and values that differ from what's stored are kept as a note for staff to review.
+  async upsertLead(source, data, sessionId, { assignTo, reason } = {}) {
+    if (!data || !data.email) {
+      return null;
+    }
+
+    let lead = await Lead.findByEmail(data.email);
+    const isNew = !lead;
+
+    if (isNew) {
+      lead = new Lead({ email: data.email, source, sources: [source] });
+    } else {
+      lead.sources.push(source);
+    }
+
+    const differing = [];
+    LEAD_FIELDS.forEach((field) => {
+      const value = data[field];
+      if (value === undefined || value === null || String(value).trim() === '') return;
+
+      const current = lead[field];
+      if (current !== undefined && current !== null && String(current).trim() !== '') {
+        if (String(current).trim() !== String(value).trim()) {
+          differing.push(`${FIELD_NAMES[field]}: ${value}`);
+        }
+        return;
+      }
+
+      lead[field] = value;
+      if (PARSED_FIELDS.includes(field)) {
+        lead.set(`parsedValues.${field}`, data.parsedValues ? data.parsedValues[field] : undefined);
+      }
+    });
+
+    if (differing.length > 0) {
+      const text = `Submitted different details:\n${differing.join('\n')}`;
+      lead.notes.push({
+        text: text.length > NOTE_LIMIT ? `${text.slice(0, NOTE_LIMIT - 1)}…` : text,
+        authorName: NOTE_AUTHORS[source] || source
+      });
+    }
+
+    if (sessionId && !lead.sessionIds.includes(sessionId)) {
+      lead.sessionIds.push(sessionId);
+    }
+
+    lead.lastActivityAt = new Date();
+
+    // Route leads nobody owns yet to the best-matching team member
+    if (!lead.assignedTo && assignTo) {
+      lead.assignTo(assignTo, { method: 'auto', reason });
+    } else if (!lead.assignedTo) {
+      try {
+        await assignmentService.autoAssign(lead);
+      } catch (error) {
+        console.error('Error auto-assigning lead:', error);
+      }
+    }
+
+    await lead.save();
+
+    if (isNew) {
+      webhookService.emit('lead.created', { lead: lead.toJSON() });
+    }
+
+    return { lead, isNew };
+  }
+
+  // Create or update a lead from a contact form submission
+  upsertFromForm({ name, email, phone, service, message }, sessionId) {
+    return this.upsertLead('form', {
+      name,
+      email,
+      phone,
+      projectType: service,
+      additionalNotes: message
+    }, sessionId);
+  }
+
+  // Create or update a lead from a completed chatbot conversation, with the quantities read from its answers
+  upsertFromChat(collectedData, sessionId, parsedValues) {
+    return this.upsertLead('chat', { ...collectedData, parsedValues }, sessionId);
+  }
+}
+
+module.exports = new LeadService();
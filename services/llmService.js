@@ -0,0 +1,217 @@
+const { SYSTEM_PROMPT, TURN_PROMPT } = require('../constants/llmPrompts');
+
+// Time a provider has to answer before the chatbot falls back to its rules
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 8000;
+// Most tokens one reply may use, and the total one chat session may spend
+const MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS) || 300;
+const SESSION_TOKEN_BUDGET = parseInt(process.env.LLM_SESSION_TOKEN_BUDGET) || 4000;
+
+// Longest visitor message sent to the model, and longest reply passed on to the visitor
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_REPLY_LENGTH = 400;
+// Replies with links or prices break the system prompt's rules and are dropped
+const UNSAFE_REPLY = /https?:\/\/|www\.|\$\s*\d|\d\s*(?:dollars|usd|percent|%)/i;
+// Contact details are left out of prompts; the model only needs to know they were given
+const PRIVATE_FIELDS = ['email', 'phone'];
+
+const DEFAULT_MOCK_RESPONSE = JSON.stringify({
+  onTopic: true,
+  fields: {},
+  reply: "That's a great question for our designers, and they'll go over it with you in your consultation."
+});
+
+// Rough token count for budgeting when a provider doesn't report usage
+const estimateTokens = text => Math.ceil((text || '').length / 4);
+
+// POST JSON to a provider, failing on timeouts and error responses
+const postJson = async (url, headers, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Provider responded with ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Create the provider selected by LLM_PROVIDER. Each one completes a chat and reports the
+// tokens it used when the server says so.
+const createProvider = (type) => {
+  switch (type) {
+    case 'openai': {
+      const baseUrl = (process.env.LLM_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+      const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+      return {
+        name: 'openai',
+        async complete({ messages, maxTokens }) {
+          const data = await postJson(
+            `${baseUrl}/chat/completions`,
+            process.env.LLM_API_KEY ? { Authorization: `Bearer ${process.env.LLM_API_KEY}` } : {},
+            { model, messages, max_tokens: maxTokens, temperature: 0.2 }
+          );
+          const choice = data.choices && data.choices[0];
+          return {
+            text: choice && choice.message ? choice.message.content : '',
+            tokens: data.usage ? data.usage.total_tokens : undefined
+          };
+        }
+      };
+    }
+    case 'local': {
+      // Ollama-style model server running next to the API
+      const baseUrl = (process.env.LLM_API_URL || 'http://localhost:11434').replace(/\/+$/, '');
+      const model = process.env.LLM_MODEL || 'llama3.1';
+      return {
+        name: 'local',
+        async complete({ messages, maxTokens }) {
+          const data = await postJson(`${baseUrl}/api/chat`, {}, {
+            model,
+            messages,
+            stream: false,
+            format: 'json',
+            options: { num_predict: maxTokens, temperature: 0.2 }
+          });
+          return {
+            text: data.message ? data.message.content : '',
+            tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0) || undefined
+          };
+        }
+      };
+    }
+    case 'mock':
+      // Same answer every time, so tests and demos don't depend on a model
+      return {
+        name: 'mock',
+        async complete() {
+          return { text: process.env.LLM_MOCK_RESPONSE || DEFAULT_MOCK_RESPONSE };
+        }
+      };
+    default:
+      return null;
+  }
+};
+
+class LlmService {
+  constructor() {
+    this.providerType = ['openai', 'local', 'mock'].includes(process.env.LLM_PROVIDER)
+      ? process.env.LLM_PROVIDER
+      : 'none';
+    this.provider = createProvider(this.providerType);
+  }
+
+  isEnabled() {
+    return Boolean(this.provider);
+  }
+
+  renderPrompt(template, values) {
+    return template.replace(/{{(\w+)}}/g, (match, key) => (values[key] !== undefined ? values[key] : ''));
+  }
+
+  // Collected details as the model sees them, with contact details masked
+  describeCollectedData(collectedData) {
+    const visible = {};
+    Object.entries(collectedData || {}).forEach(([field, value]) => {
+      if (value) visible[field] = PRIVATE_FIELDS.includes(field) ? '(given)' : value;
+    });
+    return Object.keys(visible).length > 0 ? JSON.stringify(visible, null, 2) : '(nothing yet)';
+  }
+
+  // One line per field the model may fill, listing allowed values for choices
+  describeFields(fields) {
+    return fields
+      .map(({ field, label, values = [], freeText }) => {
+        const allowed = values.length > 0 ? `: ${freeText ? 'preferably ' : ''}one of ${values.join(', ')}` : '';
+        return `- ${field} (${label})${allowed}`;
+      })
+      .join('\n');
+  }
+
+  // Read a visitor message the chatbot's rules couldn't, within the session's token budget.
+  // Returns { onTopic, fields, reply }, or null when there's no provider, the budget is spent,
+  // or the call fails or returns something unusable, so the caller can fall back to its rules.
+  async interpret({ context, currentQuestion, fields, message }) {
+    if (!this.provider) return null;
+
+    const used = context.llmTokensUsed || 0;
+    const messages = [
+      { role: 'system', content: SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: this.renderPrompt(TURN_PROMPT, {
+          collectedData: this.describeCollectedData(context.collectedData),
+          currentQuestion: currentQuestion || '(none)',
+          fields: this.describeFields(fields) || '(none)',
+          message: message.slice(0, MAX_MESSAGE_LENGTH)
+        })
+      }
+    ];
+
+    const promptTokens = estimateTokens(messages.map(entry => entry.content).join('\n'));
+    const maxTokens = Math.min(MAX_TOKENS, SESSION_TOKEN_BUDGET - used - promptTokens);
+    if (maxTokens < 50) return null;
+
+    let result;
+    try {
+      result = await this.provider.complete({ messages, maxTokens });
+    } catch (error) {
+      console.error(`Error calling ${this.provider.name} language model:`, error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message);
+      return null;
+    }
+
+    context.llmTokensUsed = used + (result.tokens || promptTokens + estimateTokens(result.text));
+
+    const parsed = this.parseResponse(result.text);
+    if (!parsed) {
+      console.error(`Unusable response from ${this.provider.name} language model`);
+      return null;
+    }
+
+    const allowedFields = fields.map(entry => entry.field);
+    const filled = {};
+    Object.entries(parsed.fields || {}).forEach(([field, value]) => {
+      if (!allowedFields.includes(field) || !['string', 'number'].includes(typeof value)) return;
+      const text = String(value).trim().slice(0, 200);
+      if (text) filled[field] = text;
+    });
+
+    return {
+      onTopic: parsed.onTopic !== false,
+      fields: filled,
+      reply: this.checkReply(parsed.reply)
+    };
+  }
+
+  // The JSON object in a model's answer, tolerating text or code fences around it
+  parseResponse(text) {
+    const start = (text || '').indexOf('{');
+    const end = (text || '').lastIndexOf('}');
+    if (start === -1 || end < start) return null;
+
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // A reply that keeps to the guardrails, cut to whole sentences; empty when it doesn't
+  checkReply(reply) {
+    if (typeof reply !== 'string') return '';
+
+    const text = reply.replace(/\s+/g, ' ').trim();
+    if (!text || UNSAFE_REPLY.test(text)) return '';
+    if (text.length <= MAX_REPLY_LENGTH) return text;
+
+    const cut = text.slice(0, MAX_REPLY_LENGTH);
+    const lastSentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    return lastSentenceEnd > 0 ? cut.slice(0, lastSentenceEnd + 1) : '';
+  }
+}
+
+module.exports = new LlmService();
@@ -0,0 +1,301 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+const EmailTemplate = require('../models/EmailTemplate');
+const EmailLog = require('../models/EmailLog');
+
+// Built-in templates, used unless an active template with the same key is stored in MongoDB
+const DEFAULT_TEMPLATES = {
+  'contact-staff-notification': {
+    name: 'Contact form: staff notification',
+    description: 'Sent to the studio when the contact form is submitted',
+    subject: 'New contact form submission from {{name}}',
+    text: 'A new contact form submission has arrived.\n\n' +
+      'Name: {{name}}\n' +
+      'Email: {{email}}\n' +
+      'Phone: {{phone}}\n' +
+      'Service: {{service}}\n\n' +
+      'Message:\n{{message}}\n\n' +
+      'Lead ID: {{leadId}}'
+  },
+  'contact-client-acknowledgement': {
+    name: 'Contact form: client acknowledgement',
+    description: 'Sent to the visitor after they submit the contact form',
+    subject: 'Thanks for reaching out, {{name}}',
+    text: 'Hi {{name}},\n\n' +
+      'Thank you for contacting us about your interior design project. ' +
+      'A member of our team will get back to you within 24 hours.\n\n' +
+      'Your message:\n{{message}}\n\n' +
+      'Warm regards,\nThe Design Team'
+  },
+  'chat-staff-notification': {
+    name: 'Chatbot: staff notification',
+    description: 'Sent to the studio when a chatbot conversation is completed',
+    subject: 'New chatbot lead: {{name}} ({{projectType}})',
+    text: 'A visitor completed the chatbot consultation.\n\n' +
+      'Name: {{name}}\n' +
+      'Email: {{email}}\n' +
+      'Phone: {{phone}}\n' +
+      'Project type: {{projectType}}\n' +
+      'Room type: {{roomType}}\n' +
+      'Design style: {{designStyle}}\n' +
+      'Budget: {{budget}}\n' +
+      'Timeline: {{timeline}}\n' +
+      'Room size: {{roomSize}}\n\n' +
+      'Notes:\n{{additionalNotes}}\n\n' +
+      'Session ID: {{sessionId}}\n' +
+      'Lead ID: {{leadId}}'
+  },
+  'chat-client-acknowledgement': {
+    name: 'Chatbot: client acknowledgement',
+    description: 'Sent to the visitor when their chatbot consultation is completed',
+    subject: 'Your interior design project summary',
+    text: 'Hi {{name}},\n\n' +
+      'Thanks for telling us about your project. Here is what we noted:\n\n' +
+      'Project type: {{projectType}}\n' +
+      'Room type: {{roomType}}\n' +
+      'Design style: {{designStyle}}\n' +
+      'Budget: {{budget}}\n' +
+      'Timeline: {{timeline}}\n' +
+      'Room size: {{roomSize}}\n\n' +
+      'Our team will review your requirements and send you a personalized proposal within 24 hours.\n\n' +
+      'Warm regards,\nThe Design Team'
+  },
+  'quote-client': {
+    name: 'Quote: sent to client',
+    description: 'Sent to the client with a link to review, accept or decline a quote',
+    subject: 'Your proposal {{number}}: {{title}}',
+    text: 'Hi {{name}},\n\n' +
+      'Your proposal for {{title}} is ready. The total comes to {{total}}.\n\n' +
+      'You can review the full breakdown and accept or decline it here:\n{{link}}\n\n' +
+      'This proposal is valid until {{validUntil}}.\n\n' +
+      'Warm regards,\nThe Design Team'
+  },
+  'quote-response-staff-notification': {
+    name: 'Quote: client response',
+    description: 'Sent to the studio when a client accepts or declines a quote',
+    subject: 'Quote {{number}} {{decision}} by {{name}}',
+    text: '{{name}} has {{decision}} quote {{number}} ({{title}}), version {{version}}, totalling {{total}}.\n\n' +
+      'Comment:\n{{comment}}\n\n' +
+      'Quote ID: {{quoteId}}'
+  },
+  'portal-magic-link': {
+    name: 'Client portal: sign-in link',
+    description: 'Sent to a client who asks to open the client portal',
+    subject: 'Your link to the client portal',
+    text: 'Hi {{name}},\n\n' +
+      'Use this link to see your projects, proposals and appointments:\n{{link}}\n\n' +
+      'The link works once and expires in {{expiresInMinutes}} minutes. ' +
+      'If you did not ask for it, you can ignore this email.\n\n' +
+      'Warm regards,\nThe Design Team'
+  },
+  'portal-comment-staff-notification': {
+    name: 'Client portal: client comment',
+    description: 'Sent to the studio when a client comments on a project in the portal',
+    subject: 'New comment from {{name}} on {{project}}',
+    text: '{{name}} ({{email}}) commented on {{project}}{{milestone}}:\n\n' +
+      '{{message}}\n\n' +
+      'Project ID: {{projectId}}'
+  },
+  'portal-comment-client': {
+    name: 'Client portal: team reply',
+    description: 'Sent to the client when the team replies to a project comment',
+    subject: 'New message about {{project}}',
+    text: 'Hi {{name}},\n\n' +
+      '{{author}} wrote about {{project}}:\n\n' +
+      '{{message}}\n\n' +
+      'You can reply from the client portal:\n{{link}}\n\n' +
+      'Warm regards,\nThe Design Team'
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Replace {{variable}} placeholders, leaving missing values blank
+const interpolate = (template, variables, escape) => {
+  return (template || '').replace(/{{\s*([\w.]+)\s*}}/g, (match, key) => {
+    const value = variables[key];
+    if (value === undefined || value === null) return '';
+    return escape ? escapeHtml(value) : String(value);
+  });
+};
+
+// Create the nodemailer transport selected by MAIL_TRANSPORT
+const createTransport = (type) => {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    default:
+      return nodemailer.createTransport({ jsonTransport: true });
+  }
+};
+
+class MailerService {
+  constructor() {
+    this.transportType = ['smtp', 'file', 'console'].includes(process.env.MAIL_TRANSPORT)
+      ? process.env.MAIL_TRANSPORT
+      : 'console';
+    this.transport = createTransport(this.transportType);
+  }
+
+  // Get the built-in templates keyed by template key
+  getDefaultTemplates() {
+    return DEFAULT_TEMPLATES;
+  }
+
+  // Get the stored template for a key, falling back to the built-in one
+  async getTemplate(key) {
+    try {
+      const stored = await EmailTemplate.findOne({ key, isActive: true });
+      if (stored) {
+        return stored;
+      }
+    } catch (error) {
+      console.error('Error loading email template, using default:', error.message);
+    }
+
+    return DEFAULT_TEMPLATES[key] ? { key, ...DEFAULT_TEMPLATES[key] } : null;
+  }
+
+  // Render a template's subject, text and html with variables
+  render(template, variables = {}) {
+    const text = interpolate(template.text, variables, false);
+    return {
+      subject: interpolate(template.subject, variables, false),
+      text,
+      html: template.html
+        ? interpolate(template.html, variables, true)
+        : `<p>${escapeHtml(text).replace(/\n\n/g, '</p><p>').replace(/\n/g, '<br>')}</p>`
+    };
+  }
+
+  // Hand a rendered message to the configured transport
+  async deliver(message) {
+    const info = await this.transport.sendMail(message);
+
+    if (this.transportType === 'file') {
+      const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '../mail-output');
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`;
+      fs.writeFileSync(path.join(outputDir, filename), info.message);
+    }
+
+    if (this.transportType === 'console') {
+      console.log('📧 Email (console transport):', {
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+    }
+
+    return info;
+  }
+
+  // Render and send a templated email, recording the attempt in the email log
+  async send({ template: key, to, variables = {}, lead, sessionId }) {
+    const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
+    const log = new EmailLog({ template: key, to: recipients, transport: this.transportType, lead, sessionId });
+
+    try {
+      const template = await this.getTemplate(key);
+      if (!template) {
+        throw new Error(`Unknown email template: ${key}`);
+      }
+      if (recipients.length === 0) {
+        throw new Error('No recipients');
+      }
+
+      const rendered = this.render(template, variables);
+      log.subject = rendered.subject;
+
+      const info = await this.deliver({
+        from: process.env.MAIL_FROM || 'Interior Design Studio <no-reply@localhost>',
+        to: recipients.join(', '),
+        ...rendered
+      });
+
+      log.status = 'sent';
+      log.messageId = info.messageId;
+      log.sentAt = new Date();
+    } catch (error) {
+      console.error(`Error sending ${key} email:`, error.message);
+      log.status = 'failed';
+      log.error = error.message;
+    }
+
+    try {
+      await log.save();
+    } catch (dbError) {
+      console.log('Database not available, email log not saved:', {
+        template: key,
+        to: recipients,
+        status: log.status
+      });
+    }
+
+    return log;
+  }
+
+  // Staff recipients from STAFF_NOTIFICATION_EMAIL (comma separated)
+  getStaffRecipients() {
+    return (process.env.STAFF_NOTIFICATION_EMAIL || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean);
+  }
+
+  // Notify staff and acknowledge the client after a contact form submission
+  async notifyContactSubmission({ name, email, phone, service, message }, { lead, sessionId } = {}) {
+    const variables = { name, email, phone, service, message, leadId: lead ? lead._id : '' };
+    const leadId = lead ? lead._id : undefined;
+    const sends = [
+      this.send({ template: 'contact-client-acknowledgement', to: email, variables, lead: leadId, sessionId })
+    ];
+
+    const staff = this.getStaffRecipients();
+    if (staff.length > 0) {
+      sends.push(this.send({ template: 'contact-staff-notification', to: staff, variables, lead: leadId, sessionId }));
+    }
+
+    return Promise.all(sends);
+  }
+
+  // Notify staff and acknowledge the client when a chatbot conversation completes
+  async notifyChatComplete(collectedData = {}, { lead, sessionId } = {}) {
+    const data = typeof collectedData.toObject === 'function' ? collectedData.toObject() : collectedData;
+    const variables = { ...data, sessionId, leadId: lead ? lead._id : '' };
+    const leadId = lead ? lead._id : undefined;
+    const sends = [];
+
+    if (data.email) {
+      sends.push(this.send({ template: 'chat-client-acknowledgement', to: data.email, variables, lead: leadId, sessionId }));
+    }
+
+    const staff = this.getStaffRecipients();
+    if (staff.length > 0) {
+      sends.push(this.send({ template: 'chat-staff-notification', to: staff, variables, lead: leadId, sessionId }));
+    }
+
+    return Promise.all(sends);
+  }
+}
+
+module.exports = new MailerService();
@@ -0,0 +1,130 @@
+const PortalLink = require('../models/PortalLink');
+const Lead = require('../models/Lead');
+const Project = require('../models/Project');
+const Quote = require('../models/Quote');
+const Appointment = require('../models/Appointment');
+const mailerService = require('./mailerService');
+
+// Quote statuses the client has been shown; drafts stay internal
+const CLIENT_QUOTE_STATUSES = ['sent', 'accepted', 'declined', 'expired'];
+
+class PortalService {
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  // Portal page the emailed links point to
+  getPortalUrl(req) {
+    return process.env.PORTAL_URL || `${req.protocol}://${req.get('host')}/portal`;
+  }
+
+  // Query scoping each resource to a client email
+  getScopes(email) {
+    return {
+      lead: { email },
+      project: { 'client.email': email },
+      quote: { 'client.email': email, status: { $in: CLIENT_QUOTE_STATUSES } },
+      appointment: { 'client.email': email }
+    };
+  }
+
+  // Name the studio knows the client by, from their most recent record
+  async getClientName(email) {
+    const [project, lead] = await Promise.all([
+      Project.findOne({ 'client.email': email }).sort({ createdAt: -1 }).select('client.name'),
+      Lead.findOne({ email }).sort({ createdAt: -1 }).select('name')
+    ]);
+
+    return (project && project.client.name) || (lead && lead.name) || null;
+  }
+
+  // Number of portal resources belonging to an email
+  async getCounts(email) {
+    const scopes = this.getScopes(email);
+    const [projects, quotes, appointments] = await Promise.all([
+      Project.countDocuments(scopes.project),
+      Quote.countDocuments(scopes.quote),
+      Appointment.countDocuments(scopes.appointment)
+    ]);
+
+    return { projects, quotes, appointments };
+  }
+
+  // Whether the studio has any record of this client
+  async isKnownClient(email) {
+    const scopes = this.getScopes(email);
+    const matches = await Promise.all([
+      Lead.exists(scopes.lead),
+      Project.exists(scopes.project),
+      Quote.exists(scopes.quote),
+      Appointment.exists(scopes.appointment)
+    ]);
+
+    return matches.some(Boolean);
+  }
+
+  // Email a single-use sign-in link; unknown emails get nothing, so callers must not reveal the result
+  async requestLink(req, email) {
+    if (!(await this.isKnownClient(email))) {
+      return null;
+    }
+
+    const { link, token } = await PortalLink.issue(email, req.ip);
+    const url = new URL(this.getPortalUrl(req));
+    url.searchParams.set('token', token);
+
+    await mailerService.send({
+      template: 'portal-magic-link',
+      to: email,
+      variables: {
+        name: (await this.getClientName(email)) || 'there',
+        link: url.toString(),
+        expiresInMinutes: PortalLink.EXPIRE_MINUTES
+      }
+    });
+
+    return link;
+  }
+
+  // Tell the studio about a comment the client left in the portal
+  notifyClientComment(project, comment) {
+    const staff = mailerService.getStaffRecipients();
+    if (staff.length === 0) return Promise.resolve(null);
+
+    const milestone = comment.milestone && project.milestones.id(comment.milestone);
+
+    return mailerService.send({
+      template: 'portal-comment-staff-notification',
+      to: staff,
+      lead: project.lead,
+      variables: {
+        name: comment.author.name || project.client.email,
+        email: project.client.email,
+        project: project.name,
+        milestone: milestone ? ` (${milestone.title})` : '',
+        message: comment.message,
+        projectId: project._id
+      }
+    });
+  }
+
+  // Email the client when the team replies to them
+  notifyTeamReply(req, project, comment) {
+    if (!project.client.email) return Promise.resolve(null);
+
+    return mailerService.send({
+      template: 'portal-comment-client',
+      to: project.client.email,
+      lead: project.lead,
+      variables: {
+        name: project.client.name || 'there',
+        author: comment.author.name || 'Your design team',
+        project: project.name,
+        message: comment.message,
+        link: this.getPortalUrl(req)
+      }
+    });
+  }
+}
+
+module.exports = new PortalService();
@@ -0,0 +1,349 @@
+const PDFDocument = require('pdfkit');
+const Quote = require('../models/Quote');
+const QuoteVersion = require('../models/QuoteVersion');
+const Lead = require('../models/Lead');
+const Design = require('../models/Design');
+const mailerService = require('./mailerService');
+const { BUDGET_RANGES, TIMELINE_OPTIONS } = require('../constants/projectOptions');
+
+// Fields captured in every version snapshot
+const VERSIONED_FIELDS = [
+  'title', 'client', 'projectDetails', 'currency', 'lineItems', 'discount',
+  'taxRate', 'totals', 'notes', 'terms', 'validUntil', 'teamMember'
+];
+
+const CATEGORY_LABELS = {
+  labor: 'Labor',
+  materials: 'Materials',
+  furniture: 'Furniture',
+  other: 'Other'
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount || 0);
+};
+
+const formatDate = date => (date ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '');
+
+class QuoteService {
+  formatMoney(amount, currency) {
+    return formatMoney(amount, currency);
+  }
+
+  // Default client, project details and designer from the lead or design the quote belongs to
+  async getDefaults({ lead: leadId, design: designId }) {
+    const defaults = { client: {}, projectDetails: {} };
+
+    if (designId) {
+      const design = await Design.findById(designId);
+      if (!design) return null;
+
+      const details = design.projectDetails || {};
+      defaults.client.name = details.clientName;
+      defaults.projectDetails = {
+        projectSize: details.projectSize,
+        budget: BUDGET_RANGES[details.budget] ? details.budget : undefined,
+        timeline: TIMELINE_OPTIONS[details.timeline] ? details.timeline : undefined,
+        location: details.location
+      };
+      defaults.teamMember = design.teamMember;
+    }
+
+    // Lead details win over the design's, as they come from the client directly
+    if (leadId) {
+      const lead = await Lead.findById(leadId);
+      if (!lead) return null;
+
+      defaults.client = { name: lead.name || defaults.client.name, email: lead.email };
+      defaults.projectDetails = {
+        ...defaults.projectDetails,
+        projectSize: lead.roomSize || defaults.projectDetails.projectSize,
+        budget: BUDGET_RANGES[lead.budget] ? lead.budget : defaults.projectDetails.budget,
+        timeline: TIMELINE_OPTIONS[lead.timeline] ? lead.timeline : defaults.projectDetails.timeline
+      };
+      defaults.teamMember = lead.assignedTo || defaults.teamMember;
+    }
+
+    return defaults;
+  }
+
+  // Plain copy of the versioned fields of a quote
+  snapshot(quote) {
+    const data = quote.toObject({ virtuals: false, depopulate: true });
+    return JSON.parse(JSON.stringify(VERSIONED_FIELDS.reduce((result, field) => {
+      result[field] = data[field];
+      return result;
+    }, {})));
+  }
+
+  // Save the quote as a new immutable version
+  async saveVersion(quote, user, changeNote) {
+    quote.version += 1;
+    if (user) {
+      quote.updatedBy = user._id;
+    }
+    await quote.save();
+
+    await QuoteVersion.create({
+      quote: quote._id,
+      version: quote.version,
+      snapshot: this.snapshot(quote),
+      changeNote,
+      createdBy: user ? user._id : undefined
+    });
+
+    return quote;
+  }
+
+  // Public link the client uses to review and respond
+  getPublicUrl(req, quote) {
+    return `${req.protocol}://${req.get('host')}/api/quotes/public/${quote.publicToken}`;
+  }
+
+  // Mark the quote sent, move the lead along the pipeline and email the client
+  async send(quote, { url, user }) {
+    quote.status = 'sent';
+    quote.sentAt = new Date();
+    await quote.save();
+
+    if (quote.lead) {
+      const lead = await Lead.findById(quote.lead);
+      if (lead && ['new', 'contacted', 'consultation-booked'].includes(lead.status)) {
+        lead.setStatus('proposal-sent', user ? user._id : undefined);
+        lead.lastActivityAt = new Date();
+        await lead.save();
+      }
+    }
+
+    if (!quote.client || !quote.client.email) {
+      return null;
+    }
+
+    return mailerService.send({
+      template: 'quote-client',
+      to: quote.client.email,
+      lead: quote.lead,
+      variables: {
+        name: quote.client.name || 'there',
+        number: quote.number,
+        title: quote.title,
+        total: formatMoney(quote.totals.total, quote.currency),
+        validUntil: quote.validUntil ? formatDate(quote.validUntil) : 'further notice',
+        link: url
+      }
+    });
+  }
+
+  // Record the client's decision on the version they reviewed
+  async respond(quote, { decision, name, comment, ipAddress }) {
+    quote.status = decision;
+    quote.response = {
+      decision,
+      version: quote.version,
+      name,
+      comment,
+      ipAddress,
+      respondedAt: new Date()
+    };
+    await quote.save();
+
+    if (decision === 'accepted' && quote.lead) {
+      const lead = await Lead.findById(quote.lead);
+      if (lead && lead.isOpen) {
+        lead.setStatus('won');
+        lead.lastActivityAt = new Date();
+        await lead.save();
+      }
+    }
+
+    const staff = mailerService.getStaffRecipients();
+    if (staff.length > 0) {
+      mailerService.send({
+        template: 'quote-response-staff-notification',
+        to: staff,
+        lead: quote.lead,
+        variables: {
+          name: name || (quote.client && quote.client.name) || 'The client',
+          decision,
+          number: quote.number,
+          title: quote.title,
+          version: quote.version,
+          total: formatMoney(quote.totals.total, quote.currency),
+          comment: comment || '',
+          quoteId: quote._id
+        }
+      }).catch(error => console.error('Error sending quote response email:', error));
+    }
+
+    return quote;
+  }
+
+  // Line items grouped by category in display order
+  groupLineItems(quote) {
+    return Quote.LINE_ITEM_CATEGORIES
+      .map(category => ({
+        category,
+        label: CATEGORY_LABELS[category],
+        items: quote.lineItems.filter(item => item.category === category),
+        subtotal: quote.totals.byCategory[category] || 0
+      }))
+      .filter(group => group.items.length > 0);
+  }
+
+  // Standalone HTML document of the quote, optionally with accept/decline actions
+  renderHtml(quote, { teamMember, actionUrl } = {}) {
+    const money = amount => escapeHtml(formatMoney(amount, quote.currency));
+    const details = quote.projectDetails || {};
+
+    const detailRows = [
+      ['Project size', details.projectSize],
+      ['Budget', BUDGET_RANGES[details.budget]],
+      ['Timeline', TIMELINE_OPTIONS[details.timeline]],
+      ['Location', details.location]
+    ].filter(([, value]) => value);
+
+    const groups = this.groupLineItems(quote).map(group => `
+      <tr class="group"><th colspan="4">${escapeHtml(group.label)}</th></tr>
+      ${group.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.description)}</td>
+        <td class="num">${escapeHtml(item.quantity)}${item.unit ? ` ${escapeHtml(item.unit)}` : ''}</td>
+        <td class="num">${money(item.unitPrice)}</td>
+        <td class="num">${money(item.total)}</td>
+      </tr>`).join('')}
+      <tr class="subtotal"><td colspan="3">${escapeHtml(group.label)} subtotal</td><td class="num">${money(group.subtotal)}</td></tr>`).join('');
+
+    const actions = actionUrl && quote.status === 'sent' && !quote.isExpired ? `
+  <form method="post" action="${escapeHtml(actionUrl)}/accept">
+    <input type="hidden" name="version" value="${quote.version}">
+    <label>Your name <input name="name" value="${escapeHtml(quote.client && quote.client.name)}"></label>
+    <label>Comment <textarea name="comment"></textarea></label>
+    <button type="submit">Accept proposal</button>
+    <button type="submit" formaction="${escapeHtml(actionUrl)}/decline">Decline</button>
+  </form>` : '';
+
+    const responded = quote.response && quote.response.decision
+      ? `<p class="status">This proposal was ${escapeHtml(quote.response.decision)} on ${escapeHtml(formatDate(quote.response.respondedAt))}.</p>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Proposal ${escapeHtml(quote.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; padding: 0 20px; }
+    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+    td, th { padding: 6px 8px; border-bottom: 1px solid #eee; text-align: left; }
+    .num { text-align: right; white-space: nowrap; }
+    .group th { background: #f6f3ef; }
+    .subtotal td { font-style: italic; }
+    .totals td { border: none; }
+    .grand td { font-weight: bold; font-size: 1.2em; border-top: 2px solid #222; }
+    form label { display: block; margin: 10px 0; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(quote.title)}</h1>
+  <p>Proposal ${escapeHtml(quote.number)} &middot; version ${quote.version}${quote.validUntil ? ` &middot; valid until ${escapeHtml(formatDate(quote.validUntil))}` : ''}</p>
+  ${quote.client && quote.client.name ? `<p>Prepared for ${escapeHtml(quote.client.name)}${teamMember ? ` by ${escapeHtml(teamMember.name)}` : ''}</p>` : ''}
+  ${detailRows.length ? `<table>${detailRows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>` : ''}
+  <table>
+    <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    ${groups}
+  </table>
+  <table class="totals">
+    <tr><td>Subtotal</td><td class="num">${money(quote.totals.subtotal)}</td></tr>
+    ${quote.totals.discount ? `<tr><td>Discount</td><td class="num">-${money(quote.totals.discount)}</td></tr>` : ''}
+    ${quote.totals.tax ? `<tr><td>Tax (${escapeHtml(quote.taxRate)}%)</td><td class="num">${money(quote.totals.tax)}</td></tr>` : ''}
+    <tr class="grand"><td>Total</td><td class="num">${money(quote.totals.total)}</td></tr>
+  </table>
+  ${quote.notes ? `<h2>Notes</h2><p>${escapeHtml(quote.notes).replace(/\n/g, '<br>')}</p>` : ''}
+  ${quote.terms ? `<h2>Terms</h2><p>${escapeHtml(quote.terms).replace(/\n/g, '<br>')}</p>` : ''}
+  ${responded}
+  ${actions}
+</body>
+</html>`;
+  }
+
+  // PDF of the quote
+  renderPdf(quote, { teamMember } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      const money = amount => formatMoney(amount, quote.currency);
+      const details = quote.projectDetails || {};
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Draw one table row: description on the left, quantity, unit price and amount aligned right
+      const row = (cells, { bold = false } = {}) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        doc.text(cells[0], 50, y, { width: 250 });
+        const bottom = doc.y;
+        [[cells[1], 300], [cells[2], 370], [cells[3], 445]].forEach(([text, x]) => {
+          if (text !== undefined) doc.text(text, x, y, { width: 100, align: 'right' });
+        });
+        doc.y = Math.max(bottom, doc.y) + 4;
+      };
+
+      doc.font('Helvetica-Bold').fontSize(20).text(quote.title);
+      doc.font('Helvetica').fontSize(10).fillColor('#555')
+        .text(`Proposal ${quote.number} - version ${quote.version}${quote.validUntil ? ` - valid until ${formatDate(quote.validUntil)}` : ''}`);
+      if (quote.client && quote.client.name) {
+        doc.text(`Prepared for ${quote.client.name}${teamMember ? ` by ${teamMember.name}` : ''}`);
+      }
+      doc.fillColor('#000').moveDown();
+
+      [
+        ['Project size', details.projectSize],
+        ['Budget', BUDGET_RANGES[details.budget]],
+        ['Timeline', TIMELINE_OPTIONS[details.timeline]],
+        ['Location', details.location]
+      ].filter(([, value]) => value).forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+      });
+      doc.moveDown();
+
+      row(['Item', 'Qty', 'Unit price', 'Amount'], { bold: true });
+      this.groupLineItems(quote).forEach((group) => {
+        doc.moveDown(0.5);
+        row([group.label], { bold: true });
+        group.items.forEach((item) => {
+          row([item.description, `${item.quantity}${item.unit ? ` ${item.unit}` : ''}`, money(item.unitPrice), money(item.total)]);
+        });
+        row([`${group.label} subtotal`, undefined, undefined, money(group.subtotal)]);
+      });
+
+      doc.moveDown();
+      row(['Subtotal', undefined, undefined, money(quote.totals.subtotal)]);
+      if (quote.totals.discount) row(['Discount', undefined, undefined, `-${money(quote.totals.discount)}`]);
+      if (quote.totals.tax) row([`Tax (${quote.taxRate}%)`, undefined, undefined, money(quote.totals.tax)]);
+      row(['Total', undefined, undefined, money(quote.totals.total)], { bold: true });
+
+      [['Notes', quote.notes], ['Terms', quote.terms]].filter(([, text]) => text).forEach(([heading, text]) => {
+        doc.moveDown().font('Helvetica-Bold').fontSize(12).text(heading, 50);
+        doc.font('Helvetica').fontSize(10).text(text);
+      });
+
+      if (quote.response && quote.response.decision) {
+        doc.moveDown().font('Helvetica-Oblique')
+          .text(`This proposal was ${quote.response.decision} on ${formatDate(quote.response.respondedAt)}.`);
+      }
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new QuoteService();
@@ -0,0 +1,119 @@
+const Design = require('../models/Design');
+
+// Public portfolio page for one design; the design ID is appended
+const PORTFOLIO_URL = (process.env.PORTFOLIO_URL || '/portfolio').replace(/\/+$/, '');
+
+// Portfolio categories for rooms and spaces the chatbot collects that aren't categories themselves
+const ROOM_CATEGORIES = {
+  lounge: 'living-room',
+  'family room': 'living-room',
+  study: 'office',
+  workspace: 'office',
+  patio: 'outdoor',
+  garden: 'outdoor',
+  balcony: 'outdoor',
+  'dining room': 'residential',
+  basement: 'residential',
+  'entire home': 'residential',
+  retail: 'commercial',
+  restaurant: 'commercial',
+  hospitality: 'commercial'
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Candidates read per request before ranking
+const CANDIDATE_LIMIT = 50;
+
+// Points for each kind of overlap between a design and the visitor's project
+const SCORES = {
+  room: 3,
+  style: 3,
+  projectType: 1,
+  tag: 1,
+  featured: 1
+};
+
+class RecommendationService {
+  // Portfolio category a collected room falls under, if any
+  getRoomCategory(roomType) {
+    const room = (roomType || '').toLowerCase().trim();
+    if (!room) return null;
+
+    const category = room.replace(/\s+/g, '-');
+    if (Design.schema.path('category').enumValues.includes(category)) return category;
+
+    return ROOM_CATEGORIES[room] || null;
+  }
+
+  // Words a design's tags are compared with
+  getTerms({ roomType, designStyle, projectType }) {
+    return [...new Set(
+      [roomType, designStyle, projectType]
+        .filter(Boolean)
+        .flatMap(value => [value, ...value.split(/[\s-]+/)])
+        .map(term => term.toLowerCase())
+        .filter(term => term.length > 2)
+    )];
+  }
+
+  // How well a design matches the visitor's project
+  score(design, { roomCategory, designStyle, projectType, terms }) {
+    let score = 0;
+
+    if (roomCategory && design.category === roomCategory) score += SCORES.room;
+    if (designStyle && design.designStyle === designStyle) score += SCORES.style;
+    if (projectType && design.category === projectType) score += SCORES.projectType;
+
+    const tags = (design.tags || []).map(tag => tag.toLowerCase());
+    score += terms.filter(term => tags.includes(term)).length * SCORES.tag;
+
+    return score;
+  }
+
+  // Card the chat widget shows for a design
+  toCard(design) {
+    return {
+      designId: design._id,
+      title: design.title,
+      mainImage: design.mainImage,
+      link: `${PORTFOLIO_URL}/${design._id}`,
+      category: design.category,
+      designStyle: design.designStyle
+    };
+  }
+
+  // Completed public designs closest to the visitor's room and style, best first. Featured designs
+  // get a small boost, but designs sharing nothing with the project are left out.
+  async recommend({ roomType, designStyle, projectType } = {}, { limit = 3 } = {}) {
+    const roomCategory = this.getRoomCategory(roomType);
+    const terms = this.getTerms({ roomType, designStyle, projectType });
+
+    const conditions = [];
+    if (roomCategory) conditions.push({ category: roomCategory });
+    if (designStyle) conditions.push({ designStyle });
+    if (projectType) conditions.push({ category: projectType });
+    if (terms.length > 0) conditions.push({ tags: { $in: terms.map(term => new RegExp(`^${escapeRegExp(term)}$`, 'i')) } });
+    if (conditions.length === 0) return [];
+
+    const candidates = await Design.find({ isPublic: true, status: 'completed', $or: conditions })
+      .select('title category designStyle images tags isFeatured likes createdAt')
+      .sort({ isFeatured: -1, createdAt: -1 })
+      .limit(CANDIDATE_LIMIT);
+
+    return candidates
+      .map(design => ({
+        design,
+        score: this.score(design, { roomCategory, designStyle, projectType, terms })
+      }))
+      .filter(({ design, score }) => score > 0 && design.mainImage)
+      .map(result => ({ ...result, score: result.score + (result.design.isFeatured ? SCORES.featured : 0) }))
+      .sort((a, b) => b.score - a.score ||
+        (b.design.likes || 0) - (a.design.likes || 0) ||
+        b.design.createdAt - a.design.createdAt)
+      .slice(0, limit)
+      .map(({ design }) => this.toCard(design));
+  }
+}
+
+module.exports = new RecommendationService();
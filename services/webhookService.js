@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 15 * 1000;
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Signature over "<timestamp>.<body>", sent as X-Webhook-Signature: sha256=<hex>
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Wait before the next attempt: base, 2x base, 4x base ... with up to 10% jitter
+  getRetryDelay(attemptCount) {
+    const delay = RETRY_BASE_MS * Math.pow(2, attemptCount - 1);
+    return Math.round(delay + Math.random() * delay * 0.1);
+  }
+
+  // Lease that keeps the retry loop off a delivery while an attempt is in flight
+  getClaimExpiry() {
+    return new Date(Date.now() + TIMEOUT_MS * 2);
+  }
+
+  // Queue an event for every active subscription to it and try to deliver straight away.
+  // Never throws, so callers can fire and forget.
+  async emit(event, data) {
+    try {
+      const subscriptions = await WebhookSubscription.find({ events: event, isActive: true });
+      if (subscriptions.length === 0) return [];
+
+      const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+      const payload = JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), data });
+
+      const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+        subscription: subscription._id,
+        event,
+        eventId,
+        payload,
+        nextAttemptAt: this.getClaimExpiry()
+      })));
+
+      deliveries.forEach(delivery => this.attempt(delivery).catch(error => console.error('Error delivering webhook:', error)));
+      return deliveries;
+    } catch (error) {
+      console.error(`Error emitting ${event} webhook:`, error.message);
+      return [];
+    }
+  }
+
+  // Send a test event to one subscription
+  async ping(subscription) {
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const delivery = await WebhookDelivery.create({
+      subscription: subscription._id,
+      event: 'ping',
+      eventId,
+      nextAttemptAt: this.getClaimExpiry(),
+      payload: JSON.stringify({ id: eventId, event: 'ping', createdAt: new Date().toISOString(), data: { subscription: subscription._id } })
+    });
+
+    return this.attempt(delivery);
+  }
+
+  // Send a stored delivery again as a new delivery with the same event ID and body
+  async redeliver(delivery, user) {
+    const copy = await WebhookDelivery.create({
+      subscription: delivery.subscription,
+      event: delivery.event,
+      eventId: delivery.eventId,
+      payload: delivery.payload,
+      nextAttemptAt: this.getClaimExpiry(),
+      redeliveryOf: delivery._id,
+      redeliveredBy: user ? user._id : undefined
+    });
+
+    return this.attempt(copy);
+  }
+
+  // POST the payload once, then record the outcome and schedule a retry on failure
+  async attempt(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+
+    if (!subscription || !subscription.isActive) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      delivery.attempts.push({ error: subscription ? 'Subscription is disabled' : 'Subscription was deleted' });
+      return delivery.save();
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const result = {};
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'InteriorDesignStudio-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+
+      result.statusCode = response.status;
+      result.responseBody = (await response.text().catch(() => '')).slice(0, 1000);
+      if (!response.ok) {
+        result.error = `Receiver responded with ${response.status}`;
+      }
+    } catch (error) {
+      result.error = error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+    }
+
+    result.durationMs = Date.now() - started;
+    delivery.attempts.push(result);
+
+    if (!result.error) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = undefined;
+    } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attempts.length));
+    }
+
+    await delivery.save();
+
+    if (delivery.status !== 'pending') {
+      subscription.lastDeliveryAt = new Date();
+      subscription.lastDeliveryStatus = delivery.status;
+      await subscription.save();
+    }
+
+    return delivery;
+  }
+
+  // Retry deliveries whose backoff has elapsed. Each one is claimed by pushing its
+  // next attempt past the request timeout, so overlapping polls do not send it twice.
+  async processDue() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      let delivery;
+      while ((delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        { nextAttemptAt: this.getClaimExpiry() },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      ))) {
+        await this.attempt(delivery);
+      }
+    } catch (error) {
+      console.error('Error processing webhook retries:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Start the retry loop; needs a database connection
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new WebhookService();
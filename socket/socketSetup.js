@@ -1,9 +1,183 @@
 const socketIO = require('socket.io');
 const ChatMessage = require('../models/ChatMessage');
 const chatbotService = require('../services/chatbotService');
+const handoffService = require('../services/handoffService');
+const { verifyAccessToken, verifyChatSessionToken } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
 
 let io;
 
+// Room every staff socket joins to receive handoff queue updates
+const STAFF_ROOM = 'staff';
+
+// Visitors may only act on the session their token was issued for
+const ownsSession = (socket, sessionId) => {
+  const auth = socket.data.auth;
+  return auth.type === 'visitor' && auth.sessionId === sessionId;
+};
+
+// Staff may observe any session in addition to visitors observing their own
+const canObserveSession = (socket, sessionId) => {
+  return socket.data.auth.type === 'staff' || ownsSession(socket, sessionId);
+};
+
+// Staff who may take over and reply in sessions
+const canHandleSessions = async (socket) => {
+  const auth = socket.data.auth;
+  return auth.type === 'staff' && can({ user: auth, body: {}, params: {} }, 'inbox:manage');
+};
+
+// Send every waiting visitor their queue position and give staff the current queue
+const broadcastHandoffQueue = () => {
+  if (!io) return;
+
+  const waiting = handoffService.getWaiting();
+
+  waiting.forEach((handoff, index) => {
+    io.to(handoff.sessionId).emit('queue-position', {
+      sessionId: handoff.sessionId,
+      position: index + 1,
+      waiting: waiting.length
+    });
+  });
+
+  io.to(STAFF_ROOM).emit('handoff-queue', {
+    waiting,
+    active: handoffService.getActive()
+  });
+};
+
+// Queue a session for a human and build the bot's reply telling the visitor so
+const queueForHuman = async (sessionId, userId) => {
+  handoffService.request(sessionId, userId);
+  broadcastHandoffQueue();
+
+  const position = handoffService.getQueuePosition(sessionId);
+  const context = await chatbotService.getConversationContext(sessionId);
+
+  return {
+    response: position
+      ? `I'll connect you with one of our designers. You're number ${position} in line - feel free to keep chatting with me while you wait!`
+      : "One of our designers is already with you in this chat.",
+    intent: 'human_request',
+    confidence: 0.9,
+    context,
+    isComplete: false
+  };
+};
+
+// Save a message written by a staff member and deliver it to the session room
+const sendAgentMessage = async (sessionId, agent, message) => {
+  const lastMessage = await ChatMessage.findOne({ sessionId }).sort({ createdAt: -1 });
+
+  const agentMessage = new ChatMessage({
+    sessionId,
+    userId: lastMessage ? lastMessage.userId : agent.userId,
+    message,
+    messageType: 'agent',
+    agent: {
+      user: agent.userId,
+      name: agent.name
+    },
+    intent: 'agent_reply',
+    confidence: 1,
+    // Carry the bot context forward so it can resume where it left off
+    context: lastMessage ? lastMessage.toObject().context : undefined,
+    metadata: {
+      timestamp: new Date()
+    }
+  });
+
+  await agentMessage.save();
+
+  emitToSession(sessionId, 'new-message', {
+    agentMessage: {
+      id: agentMessage._id,
+      message: agentMessage.message,
+      messageType: 'agent',
+      agentName: agent.name,
+      timestamp: agentMessage.createdAt
+    }
+  });
+
+  return agentMessage;
+};
+
+// Answer a visitor message from any channel (socket or REST) and broadcast the exchange to the session room.
+// Returns the stored messages and the bot's reply; there is no reply while an agent has the session.
+const handleVisitorMessage = async ({ sessionId, userId, message, quickReply, metadata = {} }) => {
+  // While an agent has the session the bot stays quiet and the message goes to the agent
+  if (handoffService.isAgentActive(sessionId)) {
+    const context = await chatbotService.getConversationContext(sessionId);
+    const userMessage = new ChatMessage({
+      sessionId,
+      userId,
+      message,
+      messageType: 'user',
+      intent: 'agent_conversation',
+      confidence: 1,
+      context,
+      metadata: {
+        userAgent: metadata.userAgent || '',
+        ipAddress: metadata.ipAddress || '',
+        timestamp: new Date()
+      }
+    });
+
+    await userMessage.save();
+
+    emitToSession(sessionId, 'new-message', {
+      userMessage: {
+        id: userMessage._id,
+        message: userMessage.message,
+        messageType: 'user',
+        timestamp: userMessage.createdAt
+      }
+    });
+    return { userMessage, botResponse: null };
+  }
+
+  // Visitors asking for a person are queued, otherwise the chatbot answers
+  const botResponse = handoffService.isHumanRequest(message)
+    ? await queueForHuman(sessionId, userId)
+    : await chatbotService.processMessage(message, sessionId, userId, { quickReply });
+
+  const { userMessage, botMessage } = await chatbotService.saveExchange({ sessionId, userId, message, quickReply, botResponse, metadata });
+
+  // Emit messages to the session room
+  emitToSession(sessionId, 'new-message', {
+    userMessage: {
+      id: userMessage._id,
+      message: userMessage.message,
+      messageType: 'user',
+      timestamp: userMessage.createdAt
+    },
+    botMessage: {
+      id: botMessage._id,
+      message: botMessage.message,
+      messageType: 'bot',
+      timestamp: botMessage.createdAt,
+      blocks: botResponse.blocks,
+      context: botMessage.context,
+      availableSlots: botResponse.availableSlots,
+      designs: botResponse.designs
+    }
+  });
+
+  // Check if conversation is complete
+  if (botResponse.isComplete) {
+    emitToSession(sessionId, 'conversation-complete', {
+      sessionId,
+      collectedData: botResponse.context.collectedData,
+      nextSteps: botResponse.nextSteps
+    });
+
+    await chatbotService.completeConversation(sessionId, botResponse.context);
+  }
+
+  return { userMessage, botMessage, botResponse };
+};
+
 const setupSocketIO = (server) => {
   io = socketIO(server, {
     cors: {
@@ -19,15 +193,50 @@ const setupSocketIO = (server) => {
   // Store active sessions
   const activeSessions = new Map();
 
+  // Authenticate the handshake with a chat session token or a staff access token
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    try {
+      const { sessionId, userId } = verifyChatSessionToken(token);
+      socket.data.auth = { type: 'visitor', sessionId, userId };
+      return next();
+    } catch (error) {
+      // Not a chat session token, try a staff access token instead
+    }
+
+    const user = await verifyAccessToken(token);
+    if (user) {
+      socket.data.auth = { type: 'staff', userId: user._id.toString(), role: user.role, name: user.name };
+      return next();
+    }
+
+    next(new Error('Invalid or expired token'));
+  });
+
   io.on('connection', (socket) => {
     console.log(`🔌 New client connected: ${socket.id}`);
 
+    if (socket.data.auth.type === 'staff') {
+      socket.join(STAFF_ROOM);
+    }
+
     // Handle user joining a chat session
     socket.on('join-session', async (data) => {
-      const { sessionId, userId } = data;
+      const { sessionId } = data;
+      const { userId } = socket.data.auth;
       
-      if (!sessionId || !userId) {
-        socket.emit('error', { message: 'Session ID and User ID are required' });
+      if (!sessionId) {
+        socket.emit('error', { message: 'Session ID is required' });
+        return;
+      }
+
+      if (!canObserveSession(socket, sessionId)) {
+        socket.emit('error', { message: 'Not authorized for this session' });
         return;
       }
 
@@ -59,101 +268,181 @@ const setupSocketIO = (server) => {
 
     // Handle incoming chat messages
     socket.on('send-message', async (data) => {
-      const { sessionId, userId, message, metadata } = data;
+      const { sessionId, message, quickReply, metadata } = data;
+      const { userId } = socket.data.auth;
       
-      if (!sessionId || !userId || !message) {
-        socket.emit('error', { message: 'Session ID, User ID, and message are required' });
+      if (!sessionId || !message) {
+        socket.emit('error', { message: 'Session ID and message are required' });
+        return;
+      }
+
+      if (typeof message !== 'string' || message.trim() === '' || message.length > 1000) {
+        socket.emit('error', { message: 'Message must be a string of at most 1000 characters' });
+        return;
+      }
+
+      if (quickReply !== undefined && (typeof quickReply !== 'string' || quickReply.length > 200)) {
+        socket.emit('error', { message: 'Quick reply must be a string of at most 200 characters' });
+        return;
+      }
+
+      if (!ownsSession(socket, sessionId)) {
+        socket.emit('error', { message: 'Not authorized for this session' });
+        return;
+      }
+
+      try {
+        await handleVisitorMessage({ sessionId, userId, message, quickReply, metadata });
+      } catch (error) {
+        console.error('Error processing message:', error);
+        socket.emit('error', { message: 'Failed to process message' });
+      }
+    });
+
+    // Handle a visitor asking for a human
+    socket.on('request-human', async (data) => {
+      const { sessionId } = data;
+
+      if (!ownsSession(socket, sessionId)) {
+        socket.emit('error', { message: 'Not authorized for this session' });
+        return;
+      }
+
+      handoffService.request(sessionId, socket.data.auth.userId);
+      broadcastHandoffQueue();
+
+      const handoff = handoffService.get(sessionId);
+      socket.emit('handoff-requested', {
+        sessionId,
+        status: handoff.status,
+        position: handoffService.getQueuePosition(sessionId)
+      });
+    });
+
+    // Handle a visitor withdrawing their request for a human
+    socket.on('cancel-human-request', (data) => {
+      const { sessionId } = data;
+
+      if (!ownsSession(socket, sessionId)) {
+        socket.emit('error', { message: 'Not authorized for this session' });
+        return;
+      }
+
+      if (handoffService.cancel(sessionId)) {
+        socket.emit('handoff-cancelled', { sessionId });
+        broadcastHandoffQueue();
+      }
+    });
+
+    // Handle staff asking for the sessions waiting for pickup
+    socket.on('agent-list-waiting', async () => {
+      if (!(await canHandleSessions(socket))) {
+        socket.emit('error', { message: 'Not authorized to view the handoff queue' });
+        return;
+      }
+
+      socket.emit('handoff-queue', {
+        waiting: handoffService.getWaiting(),
+        active: handoffService.getActive()
+      });
+    });
+
+    // Handle staff taking over a session from the bot
+    socket.on('agent-take-over', async (data) => {
+      const { sessionId } = data;
+
+      if (!sessionId || !(await canHandleSessions(socket))) {
+        socket.emit('error', { message: 'Not authorized to take over sessions' });
         return;
       }
 
       try {
-        // Process message through chatbot service
-        const botResponse = await chatbotService.processMessage(message, sessionId, userId);
+        const handoff = handoffService.takeOver(sessionId, socket.data.auth);
+        socket.join(sessionId);
 
-        // Save user message
-        const userMessage = new ChatMessage({
+        io.to(sessionId).emit('agent-joined', {
           sessionId,
-          userId,
-          message,
-          response: botResponse.response,
-          messageType: 'user',
-          intent: botResponse.intent,
-          confidence: botResponse.confidence,
-          context: botResponse.context,
-          metadata: {
-            userAgent: metadata?.userAgent || '',
-            ipAddress: metadata?.ipAddress || '',
-            timestamp: new Date()
-          }
+          agentName: handoff.agentName,
+          timestamp: handoff.takenAt
         });
+        broadcastHandoffQueue();
+
+        console.log(`🧑‍💼 Agent ${handoff.agentName} took over session ${sessionId}`);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
 
-        await userMessage.save();
+    // Handle messages from the agent handling a session
+    socket.on('agent-message', async (data) => {
+      const { sessionId, message } = data;
+      const handoff = handoffService.get(sessionId);
 
-        // Save bot response
-        const botMessage = new ChatMessage({
-          sessionId,
-          userId,
-          message: botResponse.response,
-          response: '',
-          messageType: 'bot',
-          intent: botResponse.intent,
-          confidence: botResponse.confidence,
-          context: botResponse.context,
-          metadata: {
-            userAgent: metadata?.userAgent || '',
-            ipAddress: metadata?.ipAddress || '',
-            timestamp: new Date()
-          }
-        });
+      if (!message || !handoff || handoff.status !== 'active' || handoff.agentId !== socket.data.auth.userId) {
+        socket.emit('error', { message: 'You are not handling this session' });
+        return;
+      }
 
-        await botMessage.save();
-
-        // Emit messages to the session room
-        io.to(sessionId).emit('new-message', {
-          userMessage: {
-            id: userMessage._id,
-            message: userMessage.message,
-            messageType: 'user',
-            timestamp: userMessage.createdAt
-          },
-          botMessage: {
-            id: botMessage._id,
-            message: botMessage.message,
-            messageType: 'bot',
-            timestamp: botMessage.createdAt,
-            context: botMessage.context
-          }
-        });
+      try {
+        await sendAgentMessage(sessionId, socket.data.auth, message);
+      } catch (error) {
+        console.error('Error sending agent message:', error);
+        socket.emit('error', { message: 'Failed to send message' });
+      }
+    });
+
+    // Handle the agent handing the session back to the bot
+    socket.on('agent-release', async (data) => {
+      const { sessionId } = data;
+
+      if (!sessionId || !(await canHandleSessions(socket))) {
+        socket.emit('error', { message: 'Not authorized to release sessions' });
+        return;
+      }
+
+      try {
+        const handoff = handoffService.release(sessionId, socket.data.auth.userId);
 
-        // Check if conversation is complete
-        if (botResponse.isComplete) {
-          io.to(sessionId).emit('conversation-complete', {
-            sessionId,
-            collectedData: botResponse.context.collectedData,
-            nextSteps: botResponse.nextSteps
-          });
+        if (!handoff) {
+          socket.emit('error', { message: 'Session is not handled by an agent' });
+          return;
         }
 
+        const context = await chatbotService.getConversationContext(sessionId);
+        io.to(sessionId).emit('agent-left', {
+          sessionId,
+          agentName: handoff.agentName,
+          botResumed: true,
+          currentStep: context.currentStep
+        });
+        broadcastHandoffQueue();
       } catch (error) {
-        console.error('Error processing message:', error);
-        socket.emit('error', { message: 'Failed to process message' });
+        socket.emit('error', { message: error.message });
       }
     });
 
     // Handle typing indicators
     socket.on('typing-start', (data) => {
       const { sessionId } = data;
+      if (!socket.rooms.has(sessionId)) return;
       socket.to(sessionId).emit('user-typing', { userId: activeSessions.get(socket.id)?.userId });
     });
 
     socket.on('typing-stop', (data) => {
       const { sessionId } = data;
+      if (!socket.rooms.has(sessionId)) return;
       socket.to(sessionId).emit('user-stopped-typing', { userId: activeSessions.get(socket.id)?.userId });
     });
 
     // Handle file uploads for design images
     socket.on('upload-design-image', async (data) => {
-      const { sessionId, userId, imageData, imageType } = data;
+      const { sessionId, imageData, imageType } = data;
+      const { userId } = socket.data.auth;
+
+      if (!ownsSession(socket, sessionId)) {
+        socket.emit('image-upload-error', { message: 'Not authorized for this session' });
+        return;
+      }
       
       try {
         // Process image upload
@@ -183,7 +472,12 @@ const setupSocketIO = (server) => {
 
     // Handle design preference updates
     socket.on('update-design-preferences', async (data) => {
-      const { sessionId, userId, preferences } = data;
+      const { sessionId, preferences } = data;
+
+      if (!ownsSession(socket, sessionId)) {
+        socket.emit('error', { message: 'Not authorized for this session' });
+        return;
+      }
       
       try {
         const updatedContext = await chatbotService.updateDesignPreferences(sessionId, preferences);
@@ -211,6 +505,27 @@ const setupSocketIO = (server) => {
 
     // Handle disconnection
     socket.on('disconnect', () => {
+      // Hand sessions back to the bot when their agent has no other connection left
+      if (socket.data.auth.type === 'staff') {
+        const { userId } = socket.data.auth;
+        const stillConnected = [...io.sockets.sockets.values()]
+          .some(other => other.id !== socket.id && other.data.auth?.userId === userId);
+
+        if (!stillConnected) {
+          handoffService.getActive()
+            .filter(handoff => handoff.agentId === userId)
+            .forEach((handoff) => {
+              handoffService.release(handoff.sessionId, userId);
+              io.to(handoff.sessionId).emit('agent-left', {
+                sessionId: handoff.sessionId,
+                agentName: handoff.agentName,
+                botResumed: true
+              });
+            });
+          broadcastHandoffQueue();
+        }
+      }
+
       const sessionInfo = activeSessions.get(socket.id);
       if (sessionInfo) {
         socket.leave(sessionInfo.sessionId);
@@ -250,5 +565,7 @@ const getActiveSessionsCount = () => {
 module.exports = {
   setupSocketIO,
   emitToSession,
+  sendAgentMessage,
+  handleVisitorMessage,
   getActiveSessionsCount
 }; 
\ No newline at end of file